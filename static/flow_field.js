@@ -1,602 +1,551 @@
 // static/flow_field.js
 
-/** @fileoverview Flow field simulation script.  */
+/**
+ * @fileoverview Flow field simulation on a canvas, as an ES module. Embed it with `new FlowFieldCanvas(canvas, options)`,
+ * see PUBLIC API; `index.html` is one such consumer. The simulation itself is flow_field_core.js, which this module
+ * draws, binds to the page and re-exports, so `FlowFieldSimulation` is importable from either.
+ */
 
-/** Indicates whether the script is running in debug mode. @type {boolean} */
-const __DEBUG = window.location.hostname === "localhost" || window.location.hostname === "127.0.0.1";
+import {
+    BoundaryFn, CONFIG_SCHEMA, CompositeFn, ConfigFn, DataExportFn, E_BOUNDARY_MODES, E_COLOR_MAPPINGS,
+    E_FIELD_INTERPOLATIONS, E_FIELD_PATTERNS, E_FIELD_VIEWS, E_INTEGRATORS, E_POINTER_TOOLS, E_SPAWN_STRATEGIES,
+    FIELD_SECONDS_PER_TICK, FPS_RESISTANCE, FieldPatterns, FlowField, FlowFieldFn, FlowFieldSimulation, FlowVector,
+    IMPORTED_PATTERN, ImportFn, IntegratorFn, Noise, ObstacleFn, PARTICLE_COUNT_MAX, PARTICLE_GRADIENT_ALPHA,
+    PARTICLE_SPEED_MULTIPLIER_MAX, PHI, PI_INV, POINTER_SOURCE_RADIUS, Palettes, Particle, ParticleFn, Random,
+    RunHistoryFn, UrlStateFn, Utils, __DEBUG, add_listener, create_context, g_context, g_contexts, reset_run,
+    simulate_tick, with_context,
+} from "./flow_field_core.js";
+
+/** @typedef {import("./flow_field_core.js").Config} Config */
+/** @typedef {import("./flow_field_core.js").EColorMappings} EColorMappings */
+/** @typedef {import("./flow_field_core.js").EFieldViews} EFieldViews */
+/** @typedef {import("./flow_field_core.js").EPointerTools} EPointerTools */
+/** @typedef {import("./flow_field_core.js").HistoryField} HistoryField */
+/** @typedef {import("./flow_field_core.js").ImportedGrid} ImportedGrid */
+/** @typedef {import("./flow_field_core.js").Obstacle} Obstacle */
+/** @typedef {import("./flow_field_core.js").Palette} Palette */
+/** @typedef {import("./flow_field_core.js").PatternFn} PatternFn */
+/** @typedef {import("./flow_field_core.js").RenderedFile} RenderedFile */
+/** @typedef {import("./flow_field_core.js").SimulationContext} SimulationContext */
+/** @typedef {import("./flow_field_core.js").SimulationState} SimulationState */
 
 __DEBUG && console.time("simulation");
 
 // --------------------------------------------------------------------------------------------------------------------
 // CONSTANTS
 
-/** Golden ratio constant. @type {number} */
-const PHI = 1.61803398875;
-const PHI_INV = 1 / PHI;
-const PI_INV = 1 / Math.PI;
+const ARROW_MIN_SIZE = 2.0, ARROW_MAX_SIZE = 4.0;
 
-/** Multiplier for frames per second (ms). @type {number} */
-const FPS_MULTIPLIER = 0.001; //  is this ms?
+/** Change of the speed multiplier per ArrowUp/ArrowDown key press. */
+const PARTICLE_SPEED_MULTIPLIER_STEP = 0.25;
 
-/** Resistance factor for controlling frames per second. @type {number} */
-const FPS_RESISTANCE = (60 * FPS_MULTIPLIER) / 3.65; // HACK to control FPS with this.
+/** Colors a gradient is quantized to per frame, so particles still draw in a few batched paths. */
+const PARTICLE_GRADIENT_BUCKETS = 24;
 
-const ARROW_MIN_SIZE = 2.0, ARROW_MAX_SIZE = 4.0;
+/** Side of the textures rendered by the LIC, heatmap, divergence and curl views, in texels. Stretched to the canvas. */
+const FIELD_VIEW_RESOLUTION = 128;
 
-// --------------------------------------------------------------------------------------------------------------------
-// ENUMS
+/** Texels integrated in each direction of a Line Integral Convolution streamline. */
+const LIC_LENGTH = 8;
+
+/** Streamline separation, in field cells. `d_test` of Jobard–Lefer is half of it. */
+const STREAMLINE_SEPARATION = 1;
+
+/** Streamline integration step, as a fraction of the separation. */
+const STREAMLINE_STEP = 0.2;
+
+/** Length of one fixed simulation tick in ms. The loop runs as many ticks as real time has elapsed. */
+const SIMULATION_TICK_MS = 1000 * FIELD_SECONDS_PER_TICK;
 
-/** Enumeration of field patterns. @enum {string} */
-const E_FIELD_PATTERNS = Object.freeze({
-    SINUSOIDAL: "SINUSOIDAL",
-    INVERSE_SINUSOIDAL: "INVERSE_SINUSOIDAL",
-    ANTI_CLOCKWISE: "ANTI_CLOCKWISE",
-    CLOCKWISE: "CLOCKWISE",
-});
+/** CSS background of the canvas, which exports paint in under the transparent drawing. */
+const CANVAS_BACKGROUND = "#101020" || "#334";
+
+/** Most ticks caught up in one displayed frame, so a throttled background tab does not stall on return. */
+const SIMULATION_MAX_TICKS_PER_FRAME = 8;
+
+/** How often `#gui_fps` is refreshed with the measured frame rate, in ms. */
+const FPS_READOUT_INTERVAL_MS = 500;
+
+/** Fraction of the brush direction blended into each field vector under the brush, per pointer move. */
+const POINTER_BRUSH_STRENGTH = 0.35;
 
 // --------------------------------------------------------------------------------------------------------------------
 // TYPES
 
-/** @typedef {keyof typeof E_FIELD_PATTERNS} EFieldPatterns */
-
-/** @typedef {(args: any[]) => void} DebouncedFunction */
+/**
+ * @typedef {{
+ *   tolerance?: number, stroke_width?: number, arrow_stroke_width?: number, separate_layers?: boolean, hue_step?: number,
+ *   trail_color?: string, with_arrows?: boolean, with_trails?: boolean,
+ * }} SvgExportOptions `tolerance` is the path simplification tolerance in pixels. `hue_step` quantizes arrow colors into layers.
+ */
 
 // --------------------------------------------------------------------------------------------------------------------
 // UTILITIES
 
-/** Utility class providing assertion and interpolation methods.  */
-class Utils {
-    /**
-     * Asserts a boolean condition and throws an error with the specified message if the assertion fails.
-     * @param {boolean} condition - Truthy or Falsy boolean condition.
-     * @param {string} [message=""] - Error message to be displayed if assertion fails.
-     * @example
-     * Utils.assert(1 === 2, 'Expect 1 to be equal to 1.');
-     */
-    static assert(condition, message = "") {
-        if (!condition) throw Error(`AssertionError: ${message}`);
+class Logging {
+    static log_on_stop_animation() {
+        console.info(`Simulation completed after ${g_context.frame_tick} ticks.`);
+        console.info(`\tUnique scaled points collected = ${g_context.closest_points_map.size}`);
     }
 
-    /**
-     * Clamps a value within a specified range.
-     *
-     * @param {number} value - The value to be clamped.
-     * @param {number} min - The minimum allowed value.
-     * @param {number} max - The maximum allowed value.
-     * @example
-     * Utils.clamp(5, 0, 10); // Returns 5 * // Clamping within the range
-     * Utils.clamp(-5, 0, 10); // Returns 0 * // Clamping below the minimum
-     * Utils.clamp(15, 0, 10); // Returns 10 * // Clamping above the maximum
-     * Utils.clamp(7, 5, 5); // Returns 5 * // Clamping with equal minimum and maximum
-     * Utils.clamp(-8, -10, -5); // Returns -8 * // Clamping with negative values
-     * @returns {number} - The clamped value.
-     */
-    static clamp(value, min, max) {
-        return Math.min(Math.max(value, min), max);
-    }
+    static #notify_timeout_id;
 
-    /**
-     * @param {DebouncedFunction} fn - The function to be debounced.
-     * @param {number} delay - The delay in milliseconds.
-     * @returns {() => void} - The debounced function.
-     */
-    static debounce(fn, delay) {
-        let timeout_id;
-        return function (...args) {
-            clearTimeout(timeout_id);
-            timeout_id = setTimeout(() => {
-                /* Calls the function, substituting the specified object for the this value of the function, 
-                           and the specified array for the arguments of the function. */
-                fn.apply(this, args);
-            }, delay);
-        };
+    /** Shows a short message in `#toast_notify_user`, cleared after `ms` milliseconds. @param {string} message @param {number} [ms=4000] */
+    static notify_user(message, ms = 4000) {
+        if (typeof document === "undefined") return; // Workers report through `WorkerFn` replies instead.
+        const toast = document.getElementById("toast_notify_user");
+        if (!toast) return;
+        toast.textContent = message;
+        clearTimeout(Logging.#notify_timeout_id);
+        Logging.#notify_timeout_id = setTimeout(() => (toast.textContent = ""), ms);
     }
+}
 
-    /**
-     * @param {number} a - Start value.
-     * @param {number} b - End value.
-     * @param {number} value - Extrapolated value.
-     * @returns {number} Interpolated factor.
-     */
-    static inv_lerp(a, b, value) {
-        if (b === a)
-            throw new Error(
-                `Cannot divide by 0 as start and end are same. Got ${(a, b, value)}`
-            );
-        return (value - a) / (b - a);
-    }
-
-    /**
-     * Linear interpolation of a to b where the interpolation factor is t.
-     * @param {number} a - Start value.
-     * @param {number} b - End value.
-     * @param {number} t - Interpolation factor.
-     * @example
-     * const lerp_val = Utils.lerp(0, 10, 0.5);
-     * Utils.assert(lerp_val === 5, `Expected 5. Got ${lerp_val},`);
-     * @returns {number} Linearly interpolated value.
-     */
-    static lerp(a, b, t) {
-        // __DEBUG && Utils.assert(t >= 0.0 && t <= 1.0, `Expected interpolation factor t to be between 0.0 and 1.0. Got ${t}.`)  // (0.3)ms
-        switch (t) {
-            case 0.0:
-                return a;
-            case 1.0:
-                return b;
-            default:
-                return (1.0 - t) * a + t * b;
-        }
-    }
+// --------------------------------------------------------------------------------------------------------------------
+// DOM EVENT HANDLERS
 
-    /** @param {number} x1 @param {number} y1 @param {number} x2 @param {number} y2 @returns {number} */
-    static manhattan_distance(x1, y1, x2, y2) {
-        return Math.abs(x2 - x1) + Math.abs(y2 - y1);
-    }
+function resize_canvas_field_offscreen(mut_canvas_field_offscreen) {
+    mut_canvas_field_offscreen.width = g_context.canvas.width;
+    mut_canvas_field_offscreen.height = g_context.canvas.height;
+}
 
-    /**
-     * Generates a range of numbers and returns as a list.
-     * @param {number} start - The starting value of the range.
-     * @param {number} end - The ending value of the range.
-     * @param {number} [step=1] - The step between each number in the range (default: 1).
-     * @example
-     * const positiveRange = Utils.range(1, 5); // Output: [1, 2, 3, 4, 5]
-     * const negativeRange = Utils.range(5, 1, -1); // Output: [5, 4, 3, 2, 1]
-     * @returns {number[]} - Sequence of a range of numbers inclusive of values of each step between start and end.
-     */
-    static range_tolist(start, end, step = 1) {
-        /** @type {number[]} */
-        const lst = []; // Handle negative steps to ensure inclusive nature for range's start and end values.
-        if (step > 0) for (let i = start; i <= end; i += step) lst.push(i);
-        else for (let i = start; i >= end; i += step) lst.push(i);
-        return lst;
+class EventHandlerFn {
+    /** Restarts the run from its seed, see `reset_run`, on a canvas fitted to the window if it is to be. */
+    static reset_all() {
+        // Embedded canvases keep the size their page gave them.
+        g_context.fit_window && CanvasFn.fit_canvas(window.innerWidth, window.innerHeight);
+
+        reset_run();
+        g_context.is_drawn_once = false;
+        PageUrlFn.sync_url();
     }
 
-    /**
-     * Generates a range of numbers.
-     * @param {number} start
-     * @param {number} end
-     * @param {number} [step=1]
-     * @returns {Generator<any, void, unknown>}
-     */
-    static *range(start, end, step = 1) {
-        if (step > 0) for (let i = start; i <= end; i += step) yield i;
-        else for (let i = start; i >= end; i += step) yield i;
+    /** Applies state decoded from the URL, reporting invalid values, then rebuilds the field and restarts. */
+    static handle_url_state() {
+        const { state, errors } = UrlStateFn.decode(window.location.search, window.location.hash);
+        UrlStateFn.apply(state);
+        if (errors.length > 0) {
+            errors.forEach((err) => console.warn(err));
+            Logging.notify_user(`Ignored invalid link settings: ${errors.map((err) => err.message).join(" ")}`);
+        }
+        g_context.field_instance = new FlowField(g_context.field_shape, g_context.field_shape, g_context.field_steps, g_context.cur_field_pattern, g_context.field_params);
+        GuiFn.sync_controls();
+        EventHandlerFn.reset_all();
+        resize_canvas_field_offscreen(g_context.canvas_field_offscreen);
     }
 
     /**
-     * Naive sleep basic blocks the thread with a while loop counting via `Date.now()` that runs till `ms` milliseconds has elapsed.
-     * @param {number|undefined} ms - Milliseconds to sleep the thread for. [default: 1000]
+     * Renders an export, downloads it and reports the outcome in the toast. It holds no context across its awaits, so
+     * it serves the page of a `FlowFieldWorker` as well.
+     * @param {string} label - What is exported, e.g. `"4x PNG"`.
+     * @param {() => RenderedFile|Promise<RenderedFile>} render - e.g. `FlowFieldCanvas#renderPng`.
      */
-    static sleep_basic(ms = 1000) {
-        let start = Date.now();
-        // __DEBUG && console.time(start);
-        while (Date.now() - start < ms) { }
-        // __DEBUG && console.timeEnd(start);
+    static async export_with(label, render) {
+        Logging.notify_user(`Rendering ${label}...`);
+        try {
+            // Yield a frame so the notice paints before a blocking render.
+            await new Promise((resolve) => requestAnimationFrame(resolve));
+            const { blob, filename, notice } = await render();
+            ExportFn.download_blob(blob, filename);
+            if (notice === undefined) Logging.notify_user(`Exported ${filename}.`, 1500);
+            else Logging.notify_user(`Exported ${filename}. ${notice}`, 8000);
+        } catch (err) {
+            console.error(err);
+            Logging.notify_user(`Export failed: ${err.message}`);
+        }
     }
 
-    /**
-     * @param {Number} ms
-     */
-    static sleep_perf(ms = 1000) {
-        /** High-resolution time stamp in milliseconds, but it is based on a monotonic clock. This means that it provides a time value that continuously increases at a constant rate, unaffected by changes to the system clock or adjustments for daylight saving time */
-        const end = ms + performance.now();
-        while (performance.now() < end) { }
+    /** Starts a live WebM recording of a full run, or stops the current one. */
+    static handle_record_toggle() {
+        try {
+            if (RecorderFn.is_recording()) RecorderFn.stop_live();
+            else RecorderFn.start_live();
+        } catch (err) {
+            console.error(err);
+            Logging.notify_user(`Recording failed: ${err.message}`);
+        }
     }
-}
 
-class Perf {
     /**
-     * Thanks to https://github.com/GoldLink21/Pixel-Sim/blob/6dd8ec7db4b398283cb02bf435122928b6175bd9/main.js#L6
+     * Imports a field from a dropped or picked file, see `ImportFn.read_file`, and restarts the run on it.
+     * @param {File} file @param {(grid: ImportedGrid) => void|Promise<void>} import_grid - e.g. `FlowFieldCanvas#importField`.
      */
-    constructor() {
-        this.cur_time;
-        this.counter = [];
-    }
-
-    test() {
-        this.cur_time = performance.now();
+    static async handle_import_file(file, import_grid) {
+        try {
+            const grid = await ImportFn.read_file(file);
+            await import_grid(grid);
+            Logging.notify_user(`Imported a ${grid.cols} by ${grid.rows} field from ${file.name}.`, 2500);
+        } catch (err) {
+            console.warn(err);
+            Logging.notify_user(`Import failed: ${err.message}`);
+        }
     }
 
-    test_end(n) {
-        this.counter.push(performance.now() - this.cur_time);
-
-        if (this.counter.length === n) {
-            const now = this.counter.reduce((acc, cur) => acc + cur, 0);
-            console.info({ perf_t: now / this.counter.length });
-            this.counter = [];
+    /** Copies a permalink of `state` to the clipboard. @param {SimulationState} state */
+    static async handle_copy_link(state) {
+        const url = PageUrlFn.to_url(state);
+        try {
+            await navigator.clipboard.writeText(url);
+            Logging.notify_user("Link copied.", 1500);
+        } catch (err) {
+            console.warn(err);
+            Logging.notify_user(`Copy failed. Link: ${url}`);
         }
     }
 
-    /**
-     * @param {{fn: () => void, n: number, iterations: number}} [options]
-     * @example Perf.bench_fn({ fn: () => Utils.sleep_perf(50), n: 10, iterations: 100 });
-     */
-    static bench_fn({ fn, n, iterations }) {
+    static handle_resize() {
+        g_context.handle_resize_debounced();
         (function () {
-            const perf = new Perf();
-            const n_logger = n > iterations ? iterations - 1 : n;
-
-            for (let i = 0; i < iterations; i += 1) {
-                perf.test();
-                fn();
-                perf.test_end(n_logger);
-            }
+            g_context.canvas_field_offscreen.width = g_context.canvas.width;
+            g_context.canvas_field_offscreen.height = g_context.canvas.height;
         })();
     }
-}
-
-class Logging {
-    static log_on_stop_animation() {
-        console.info(`Simulation completed after ${g_frame_tick} ticks.`);
-        console.info(`\tUnique scaled points collected = ${g_closest_points_map.size}`);
-    }
-}
-
-// --------------------------------------------------------------------------------------------------------------------
-// DATA STRUCTURES
-
-/** Represents a particle with position, speed, and size. */
-class Particle {
-    /** @param {number} x - X-coordinate. @param {number} y - Y-coordinate. @param {number} speed - Particle speed. @param {number} size - Particle size. */
-    constructor(x, y, speed, size) {
-        this.x = x;
-        this.y = y;
-        this.speed = speed;
-        this.size = size;
-    }
-}
-
-/** Represents a flow vector with u and v components. */
-class FlowVector {
-    /** @param {number} u - U-component. @param {number} v - V-component. */
-    constructor(u, v) {
-        this.u = u;
-        this.v = v;
-    }
-}
 
-/** Represents a field vector with position (x, y) and flow components (u, v). */
-class FieldVector {
-    /** @param {number} x - X-coordinate, @param {number} y - Y-coordinate, @param {number} u - U-component, @param {number} v - V-component, */
-    constructor(x, y, u, v) {
-        this.x = x;
-        this.y = y;
-        this.u = u;
-        this.v = v;
-    }
-}
+    static handle_shuffle_field_pattern() {
+        const keys = FieldPatterns.names();
+        __DEBUG && Utils.assert(keys.includes(g_context.cur_field_pattern), `Expected current field pattern to be a valid field pattern. Got ${g_context.cur_field_pattern}.\nAvailable:\n\t${JSON.stringify(keys)}`);
 
-/** Represents a flow field with specified columns, rows, steps, and pattern. */
-class FlowField {
-    /** @param {number} cols @param {number} rows @param {number} steps - Number of steps. @param {EFieldPatterns} pattern - Field pattern. */
-    constructor(cols, rows, steps, pattern) {
-        this.cols = cols;
-        this.rows = rows;
-        this.steps = steps;
-        this.pattern = pattern;
-        /** @prop {FieldVector[]} [field] */
-        this.field = FlowFieldFn.gen_field(this);
-    }
-}
+        const nkeys = keys.length;
+        const cur_pattern_index = keys.findIndex((val) => val === g_context.cur_field_pattern);
 
-const g_visited_path = new Set();
-// --------------------------------------------------------------------------------------------------------------------
-// DATA STRUCTURE TRAITS
+        let rand_num = cur_pattern_index;
+        while (rand_num === cur_pattern_index && nkeys > 1) rand_num = g_context.shuffle_rng.int(nkeys);
+        __DEBUG && Utils.assert(rand_num < nkeys && (rand_num !== cur_pattern_index || nkeys === 1));
 
-/** Functions related to particles. */
-// PERF: Group multiple drawing operations together and perform them in a batch.
-// PERF: Minimize calls to ctx.save() and ctx.restore().
-class ParticleFn {
-    /** @deprecated */
-    static _update(particle, field) {
-        const force = field.lookup(particle.x, particle.y);
-        particle.x += force.u * particle.x * particle.speed;
-        particle.y += force.v * particle.y * particle.speed;
+        g_context.cur_field_pattern = keys[rand_num];
+        g_context.field_params = {};
+        EventHandlerFn.morph_field();
     }
 
     /**
-     * @deprecated
-     * @param {Particle} particle - A `Particle` instance. @param {CanvasRenderingContext2D} ctx - Canvas Rendering 2D Context */
-    static _display(particle, ctx) {
-        ctx.fillStyle = "#0099ff";
-        ctx.fillRect(particle.x, particle.y, particle.size, particle.size);
+     * Morphs the live field into the current pattern over `FIELD_MORPH_TICKS`, keeping particles and trails. A run
+     * past its tick limit would never finish the morph, so it is rebuilt instead.
+     */
+    static morph_field() {
+        if (g_context.frame_tick > g_context.frame_tick_limit) {
+            EventHandlerFn.rebuild_field();
+            return;
+        }
+        g_context.field_morph = FlowFieldFn.start_morph(g_context.field_instance, g_context.cur_field_pattern, g_context.field_params, g_context.frame_tick);
+        GuiFn.sync_controls();
+        PageUrlFn.sync_url();
+        g_context.frame_tick_animation_is_paused && EventHandlerFn.restart_animation();
     }
 
-    /** Draws the particle at the given coordinates. @param {Particle} [particle]  */
-    static draw_particle(particle) {
-        const nx = g_closest_point.x * g_scale; // (0.3)ms
-        const ny = g_closest_point.y * g_scale;
-        {
-            // draw visited field point
-            // ctx.save();  // (0.7)ms
-            if (true /* with_frames_elapsed_clr */) {
-                // performance heavy (0.5:4.6)ms
-                // truncate float to int; via bitwise NOT `~~`, to avoid imprecise painting on prev visited field point.
-                CanvasFn.draw_point(nx, ny, `hsla(${-g_frame_tick * g_frame_tick_limit_360deg}, 50%, 50%, 0.0125`, 8);
-            } else {
-                // (0.3:0.6)ms
-                CanvasFn.draw_point(nx, ny, "hsla(116, 50%, 50%, 0.0125", 8); //  hue 96 || 116 looks great.
-            }
-            // ctx.restore();
-        }
-        {
-            // draw particle
-            // ctx.save();
-            if (false /* with_frames_elapsed_clr */) {
-                /* performance heavy (0.4:1.0)ms */
-                CanvasFn.draw_point(particle.x, particle.y, `hsla(${~~(-g_frame_tick * g_frame_tick_limit_360deg)}, 60%, 50%, 0.95)`, 3);
-            } else {
-                const with_close_point_graphics = false;
-                const has_closest_flow_point = nx && ny;
-                if (with_close_point_graphics && has_closest_flow_point) {
-                    const fps = FPS_RESISTANCE * 1000; // _ * (1 / FPS_MULTIPLIER)
-                    let xy_key = JSON.stringify({ x: Math.round(Math.round(particle.x * fps) * 0.1 * fps), y: Math.round(Math.round(particle.y * fps) * 0.1 * fps), }); /* Pixelate visited path to bigger numbers. */
-                    if (false /* with_field_color */) {
-                        CanvasFn.draw_point(particle.x, particle.y, "hsla(1, 55%, 50%, 0.90)", 3); // red looks great if clearing canvas and particles are a dot.
-                    } else {
-                        let ncolor = "hsla(240, 33%, 50%, 0.35";
-                        ncolor = "hsla(1, 55%, 50%, 0.90)";
-                        if (g_visited_path.has(xy_key))
-                            ncolor = "hsla(180, 90%, 50%, 0.35)"; // console.count("visited")
-                        CanvasFn.draw_point(particle.x, particle.y, ncolor, 8 || 3 || 4 || 1);
-                    }
-                    g_visited_path.add(xy_key);
-                } else {
-                    CanvasFn.draw_point(particle.x + 1, particle.y + 1, "hsla(106, 60%, 50%, 0.25)", 4); // CanvasFn.draw_point(particle.x, particle.y, "hsla(180, 90%, 50%, 0.35)", 1);
-                    CanvasFn.draw_point(particle.x - 1, particle.y - 1, "hsla(250, 40%, 30%, 0.25)", 4); // CanvasFn.draw_point(particle.x, particle.y, "hsla(180, 90%, 50%, 0.35)", 1);
-                    CanvasFn.draw_point(particle.x, particle.y, "hsla(1, 60%, 50%, 0.50)", 4); // CanvasFn.draw_point(particle.x, particle.y, "hsla(180, 90%, 50%, 0.35)", 1);
-                }
-            } // hue _ || 1 looks great.
-            // ctx.restore();
-        }
+    /** Rebuilds the field from the current state, resets the run, and restarts the animation. */
+    static rebuild_field() {
+        g_context.field_instance = new FlowField(g_context.field_shape, g_context.field_shape, g_context.field_steps, g_context.cur_field_pattern, g_context.field_params);
+        GuiFn.sync_controls();
+        EventHandlerFn.reset_all();
+        resize_canvas_field_offscreen(g_context.canvas_field_offscreen);
+        EventHandlerFn.restart_animation();
     }
 
     /**
-     * Updates the particle's position based on the flow field data.
-     * @param {Particle} [mut_particle] - Mutable pointer to a `Particle`.
-     * @param {FlowField} data - Flow field data.
-     * TIP: use perfect square ratios for interpolation. Adjust to vary velocity/thrust/drift/inertia.
+     * Applies a validated partial state the way the controls do: field settings rebuild the field, run settings reset
+     * the run, view settings redraw the field layer, and the rest take effect on the next frame.
+     * @param {Partial<SimulationState>} state
      */
-    static update_particle_via_field(mut_particle, data, is_lerped = true, t_interpolate = 1.0) {
-        const p_x = mut_particle.x / g_scale;
-        const p_y = mut_particle.y / g_scale;
-
-        /** @type {FlowVector} */
-        const flow_vector = ParticleFn._get_flow_vector_at_position(p_x, p_y, data, !true /*with_manhattan_distance*/); // (1.6)ms
-        const resistance = g_scale * FPS_RESISTANCE;
-        const nforceu = flow_vector.u * resistance;
-        const nforcev = flow_vector.v * resistance;
-
-        if (is_lerped) {
-            // Smooth particle trail curves.
-            mut_particle.x += Utils.lerp(p_x, nforceu, t_interpolate); // (0.7)ms
-            mut_particle.y += Utils.lerp(p_y, nforcev, t_interpolate);
-        } else {
-            mut_particle.x += nforceu;
-            mut_particle.y += nforcev;
+    static apply_state(state) {
+        /** @param {(keyof SimulationState)[]} keys */
+        const has_any = (keys) => keys.some((key) => state[key] !== undefined);
+        UrlStateFn.apply(state);
+        if (has_any(["pattern", "params", "shape", "steps", "interpolation", "animated", "keyframe_interval"])) {
+            EventHandlerFn.rebuild_field();
+            return;
         }
+        if (has_any(["seed", "count", "spawn", "limit"])) EventHandlerFn.reset_all();
+        if (has_any(["arrows", "view", "obstacles"])) g_context.is_drawn_once = false;
+        GuiFn.sync_controls();
+        PageUrlFn.sync_url();
+    }
 
-        // Wrap the particle around the canvas edges
-        if (mut_particle.x < 0) mut_particle.x += g_canvas_width;
-        else if (mut_particle.x > g_canvas_width) mut_particle.x -= g_canvas_width;
-        if (mut_particle.y < 0) mut_particle.y += g_canvas_height;
-        else if (mut_particle.y > g_canvas_height) mut_particle.y -= g_canvas_height;
+    /** Registers `grid` as the imported pattern of this instance, see `ImportFn.register`, and rebuilds on it. @param {ImportedGrid} grid */
+    static import_grid(grid) {
+        ImportFn.register(grid);
+        g_context.cur_field_pattern = IMPORTED_PATTERN;
+        g_context.field_params = {};
+        EventHandlerFn.rebuild_field();
     }
 
     /**
-     * Gets the flow vector at a given position.
-     * @param {number} x - X-coordinate.
-     * @param {number} y - Y-coordinate.
-     * @param {FlowField} data - Flow field data.
-     * @returns {FlowVector} - Flow vector.
+     * Applies config changes that the loop does not pick up by itself. Layout changes need a reset; the rest take
+     * effect on the next frame, after a redraw of the field layer.
+     * @param {Partial<Config>} changed
      */
-    static _get_flow_vector_at_position(x, y, data, with_manhattan_distance = true) {
-        const with_lru_cache = false;
-        if (with_lru_cache) {
-            let scale = ~~g_scale; // || Math.floor(g_scale);  // 72 -> 80 -> 40 -> 50.
-            {
-                scale += 10 - (scale % 10); // Round off to be a multiple of 10.
-                scale *= 0.5; // Halve the value.
-                scale += 10 - (scale % 10); // Round off to be a multiple of 10.
-            }
-            const key_xy = `${~~(x * scale)},${~~(y * scale)}`; /* (double bitwise NOT) `~~` == `Math.round()` */
-            const lru_flow_vector = g_closest_points_map.get(key_xy);
-            if (lru_flow_vector !== undefined) return lru_flow_vector;
+    static handle_config_change(changed) {
+        if ("lru_cache" in changed) g_context.closest_points_map.clear();
+        if ("square_canvas" in changed) {
+            EventHandlerFn.rebuild_field();
+            return;
         }
-        // Find the closest data point to the given position.
-        g_closest_point = data.reduce((closest, point) => {  /* 0.7ms */ /*vs*/ /* 17.2 ms */
-            const dist = with_manhattan_distance
-                ? Utils.manhattan_distance(x, y, point.x, point.y)
-                : Math.hypot(point.x - x, point.y - y);
-            return dist < closest.distance ? { point, distance: dist } : closest;
-        }, { point: null, distance: Infinity }).point;
-
-        const flow_vec = new FlowVector(g_closest_point.u, g_closest_point.v);
-        with_lru_cache && g_closest_points_map.set(key_xy, flow_vec);
-
-        return flow_vec; // Return the flow vector at the closest point
+        g_context.is_drawn_once = false;
     }
-}
 
-class FlowFieldFn {
-    /** @param {number} x @param {number} y @returns {FlowVector} u and v values of flow vector at x and y coordinates. */
-    static lookup(flowfield, x, y) {
-        const i = Math.floor(x / (canvas.width / flowfield.cols));
-        const j = Math.floor(y / (canvas.width / flowfield.rows));
-        return flowfield.field[i][j];
+    /** Cancels any pending frame and runs the loop again, unpausing it. Used after resets and rebuilds. */
+    static restart_animation() {
+        g_context.animation_frame_id_handle !== undefined && CanvasFn.stop_animation(g_context.animation_frame_id_handle);
+        g_context.frame_tick_animation_is_paused = false;
+        g_context.frame_time_last = undefined; // Time spent paused or rebuilding is not simulated.
+        g_context.frame_time_accumulator = 0;
+        EventHandlerFn.#update_pause_gui();
+        animate(g_context.field_instance);
     }
 
-    // static generate_field(flowfield) { //     return Array.from({ length: flowfield.cols }, () => Array.from({ length: flowfield.rows }, () => ( new CFlowVector( ((Math.random() * 2) - 1), ((Math.random() * 2) - 1),)))); // }
-
-    /** @returns {FieldVector[]} Array of `CFieldVector` object that makes up a flow field */
-    static gen_field(field) {
-        const nrows = field.rows, ncols = field.cols, nsteps = field.steps, pattern = field.pattern;
-        if (__DEBUG) {
-            Utils.assert(Number.isInteger(nsteps), `Expected nsteps to be an integer. Got ${nsteps}.`);
-            Utils.assert(Number.isInteger(Math.log2(nsteps)), `Expected nsteps to be a power of 2. nsteps is ${nsteps}.`);
-            Utils.assert(nrows === ncols, `Expect count of rows and columns to be same. Got nrows: ${nrows}, ncols: ${ncols}.`);
+    /** Pauses the loop keeping trails, particles and `frame_tick`, or resumes it from where it was. */
+    static handle_pause_toggle() {
+        if (g_context.frame_tick_animation_is_paused) {
+            EventHandlerFn.restart_animation();
+            return;
         }
+        g_context.animation_frame_id_handle !== undefined && CanvasFn.stop_animation(g_context.animation_frame_id_handle);
+        g_context.frame_tick_animation_is_paused = true;
+        EventHandlerFn.#update_pause_gui();
+    }
 
-        const step = nrows / nsteps;
-        const xvals = Utils.range_tolist(0, nrows, step);
-        const yvals = Utils.range_tolist(0, ncols, step);
-
-        /** @type {number[][]} */
-        const xgrid = [], ygrid = [];
-        for (let i = 0; i < nsteps; i += 1) {
-            const xrow = [], yrow = [];
-            for (let j = 0; j < nsteps; j += 1) {
-                xrow.push(xvals[j]);
-                yrow.push(yvals[i]);
-            }
-            xgrid.push(xrow);
-            ygrid.push(yrow);
-        }
+    /**
+     * Ends the run where it is, like reaching the tick limit: stops the loop and a live recording, which downloads the
+     * clip, and calls the stop listeners. Resume carries on from here, Reload starts over.
+     */
+    static handle_stop_animation() {
+        g_context.animation_frame_id_handle !== undefined && CanvasFn.stop_animation(g_context.animation_frame_id_handle);
+        g_context.frame_tick_animation_is_paused = true;
+        EventHandlerFn.#update_pause_gui();
+        RecorderFn.stop_live();
+        g_context.stop_listeners.forEach((listener) => listener(g_context.frame_tick));
+    }
 
-        /** @type {number[][] | undefined} */
-        let { ugrid, vgrid } = FlowFieldFn._map_flow_vectors(pattern, xgrid, ygrid);
-        __DEBUG && Utils.assert(ugrid !== undefined && vgrid !== undefined, `Expected ugrid and vgrid to be initialized. Got "ugrid: ${ugrid}, vgrid: ${vgrid}"`);
+    /**
+     * Pauses, then advances exactly `count` frame ticks (or up to the tick limit) for inspection.
+     * @param {number} count
+     */
+    static handle_step(count) {
+        if (!Number.isInteger(count) || count < 1) throw new RangeError(`Expected step count to be a positive integer. Got ${count}.`);
+        if (!g_context.frame_tick_animation_is_paused) EventHandlerFn.handle_pause_toggle();
 
-        /** @type {FieldVector[]} */
-        const data = xgrid.flatMap((xrow, i) =>
-            xrow.map((x, j) => ({ x, y: ygrid[i][j], u: ugrid[i][j], v: vgrid[i][j], })) // (3.1:7.9)ms
-        );
-        if (__DEBUG) {
-            Utils.assert(data.length === xgrid.length * xgrid[0].length, `Expected flow field data to have length similar to any of it's axis's rows or column.`);
-            Utils.assert(Number.isInteger(Math.log2(data.length)), `Expected flow field data length to be a power of 2. Data length is ${data.length}.`);
-        }
-        return data;
+        const arrow_size = CanvasFn.arrow_size(g_context.field_instance);
+        for (let i = 0; i < count && g_context.frame_tick <= g_context.frame_tick_limit; i++) step_frame(g_context.field_instance, arrow_size);
     }
 
-    static _map_flow_vectors(pattern, xgrid, ygrid) {
-        /** @type {number[][] | undefined} */
-        let ugrid, vgrid;
+    /**
+     * Keyboard shortcuts: Space pauses or resumes, ArrowRight steps one tick, Shift+ArrowRight steps
+     * `#step_count_input` ticks, ArrowUp/ArrowDown change the speed, R reloads and S shuffles. Ignored while typing in
+     * a control.
+     * @param {KeyboardEvent} ev @param {PageActions} actions
+     */
+    static handle_keydown(ev, actions) {
+        if (ev.ctrlKey || ev.metaKey || ev.altKey) return;
+        if (ev.target?.matches?.("input:not([type=button]):not([type=checkbox]), select, textarea")) return;
 
-        switch (pattern) {
-            case E_FIELD_PATTERNS.SINUSOIDAL:
-                ugrid = ygrid.map((row) => row.map(Math.sin));
-                vgrid = xgrid.map((row) => row.map(Math.cos));
+        switch (ev.key) {
+            case " ":
+                actions.pause_toggle();
+                break;
+            case "ArrowRight":
+                actions.step(ev.shiftKey ? Number(document.getElementById("step_count_input")?.value) || 1 : 1);
                 break;
-            case E_FIELD_PATTERNS.INVERSE_SINUSOIDAL:
-                ugrid = xgrid.map((row) => row.map(Math.cos));
-                vgrid = ygrid.map((row) => row.map(Math.sin));
+            case "ArrowUp":
+            case "ArrowDown": {
+                const delta = ev.key === "ArrowUp" ? PARTICLE_SPEED_MULTIPLIER_STEP : -PARTICLE_SPEED_MULTIPLIER_STEP;
+                actions.apply_state({ speed: Utils.clamp(actions.state().speed + delta, 0, PARTICLE_SPEED_MULTIPLIER_MAX) });
                 break;
-            case E_FIELD_PATTERNS.CLOCKWISE:
-                ugrid = ygrid.map((row) => row.map((val) => -Math.sqrt(val * PHI_INV * PI_INV)));
-                vgrid = xgrid.map((row) => row.map((val) => Math.sqrt(val * PHI_INV * PI_INV)));
+            }
+            case "r":
+            case "R":
+                actions.reload();
                 break;
-            case E_FIELD_PATTERNS.ANTI_CLOCKWISE:
-                ugrid = ygrid.map((row) => row.map((val) => Math.sqrt(val * PHI_INV * PI_INV)));
-                vgrid = xgrid.map((row) => row.map((val) => Math.sqrt(val * PHI_INV * PI_INV)));
+            case "s":
+            case "S":
+                actions.shuffle();
                 break;
             default:
-                throw new TypeError(`Expected an enumeration of ${Object.keys(E_FIELD_PATTERNS)} for field pattern. Got ${pattern}.`);
+                return;
         }
-        return { ugrid, vgrid };
+        ev.preventDefault(); // Keeps Space and the arrows from scrolling the page.
+    }
+
+    static #update_pause_gui() {
+        g_context.has_controls && GuiFn.write_pause_label(g_context.frame_tick_animation_is_paused);
     }
 }
 
 // --------------------------------------------------------------------------------------------------------------------
-// DOM EVENT HANDLERS
+// POINTER INTERACTION
 
-function resize_canvas_field_offscreen(mut_canvas_field_offscreen) {
-    mut_canvas_field_offscreen.width = canvas.width;
-    mut_canvas_field_offscreen.height = canvas.height;
-}
-
-class EventHandlerFn {
-    static reset_all() {
-        if (true /* with_square_canvas */) {
-            CanvasFn.set_square_canvas_dimensions();
-        } else {
-            canvas.width = window.innerWidth;
-            canvas.height = window.innerHeight;
+/**
+ * Mouse, pen and (multi-)touch interaction on the canvas, via Pointer Events. Every active pointer is its own source,
+ * so several fingers can push the flow at once.
+ */
+class PointerFn {
+    /**
+     * Permanently blends the direction of a brush stroke into the field vectors around x and y, keeping each vector's
+     * magnitude. The stroke is also added to the field's `brush`, which `FlowFieldFn.advance_time` lays over animated
+     * fields whenever it recomputes u and v.
+     * @param {FlowField} mut_flowfield @param {number} x @param {number} y @param {number} dx - Stroke direction x. @param {number} dy - Stroke direction y.
+     */
+    static paint_field(mut_flowfield, x, y, dx, dy) {
+        const len = Math.hypot(dx, dy);
+        if (len === 0) return;
+        const dir_u = dx / len, dir_v = dy / len;
+        const step = FlowFieldFn.cell_size(mut_flowfield), nsteps = mut_flowfield.steps, n = mut_flowfield.field.length;
+        const brush = (mut_flowfield.brush ??= { u: new Float64Array(n), v: new Float64Array(n), weight: new Float64Array(n) });
+        const reach = Math.ceil((2 * POINTER_SOURCE_RADIUS) / step);
+        const cj = Math.round(x / step), ci = Math.round(y / step);
+        for (let i = Math.max(ci - reach, 0); i <= Math.min(ci + reach, nsteps - 1); i += 1) {
+            for (let j = Math.max(cj - reach, 0); j <= Math.min(cj + reach, nsteps - 1); j += 1) {
+                const k = i * nsteps + j, point = mut_flowfield.field[k];
+                const weight = POINTER_BRUSH_STRENGTH * Math.exp(-((Math.hypot(point.x - x, point.y - y) / POINTER_SOURCE_RADIUS) ** 2));
+                const magnitude = Math.hypot(point.u, point.v) || 1;
+                point.u = Utils.lerp(point.u, dir_u * magnitude, weight);
+                point.v = Utils.lerp(point.v, dir_v * magnitude, weight);
+                // Fold the stroke into the painted direction, weighted by how much was painted there before.
+                const painted = brush.weight[k];
+                const bu = Utils.lerp(brush.u[k] * painted, dir_u, weight), bv = Utils.lerp(brush.v[k] * painted, dir_v, weight);
+                const blen = Math.hypot(bu, bv) || 1;
+                brush.u[k] = bu / blen;
+                brush.v[k] = bv / blen;
+                brush.weight[k] = painted + weight * (1 - painted);
+            }
         }
+    }
 
-        g_particle.x = Math.random() * canvas.width + 0;
-        g_particle.y = Math.random() * canvas.height + 0;
-
-        // Following can lead to race conditions or cache miss like phenomenon if not handled properly.
-
-        g_scale = canvas.width / g_field_shape;
-
-        g_canvas_width = canvas.width;
-        g_canvas_height = canvas.height;
+    /** @param {PointerEvent} ev @param {Element} el @returns {{fx: number, fy: number}} Pointer position as fractions of `el`'s size. */
+    static to_fraction(ev, el) {
+        const rect = el.getBoundingClientRect();
+        return { fx: (ev.clientX - rect.left) / rect.width, fy: (ev.clientY - rect.top) / rect.height };
+    }
 
-        g_cell_count = g_canvas_width * g_canvas_height;
+    /** @param {number} fx @param {number} fy - See `PointerFn.to_fraction`. @returns {{x: number, y: number}} Position in field units. */
+    static fraction_to_field(fx, fy) {
+        return { x: (fx * g_context.canvas.width) / g_context.scale, y: (fy * g_context.canvas.height) / g_context.scale };
+    }
 
-        g_closest_point = undefined;
+    /** @param {PointerEvent} ev */
+    static handle_pointer_down(ev) {
+        ev.preventDefault();
+        g_context.canvas.setPointerCapture(ev.pointerId);
+        const { fx, fy } = PointerFn.to_fraction(ev, g_context.canvas);
+        PointerFn.press(ev.pointerId, fx, fy);
+    }
 
-        g_frame_tick = 1;
+    /** @param {PointerEvent} ev */
+    static handle_pointer_move(ev) {
+        const { fx, fy } = PointerFn.to_fraction(ev, g_context.canvas);
+        PointerFn.drag(ev.pointerId, fx, fy);
+    }
 
-        g_is_drawn_once = false;
+    /** @param {PointerEvent} ev */
+    static handle_pointer_up(ev) {
+        PointerFn.release(ev.pointerId);
+    }
 
-        g_closest_points_map.clear();
+    /** Starts a pointer source of the current tool. @param {number} pointer_id @param {number} fx @param {number} fy - See `PointerFn.to_fraction`. */
+    static press(pointer_id, fx, fy) {
+        const { x, y } = PointerFn.fraction_to_field(fx, fy);
+        g_context.pointer_sources.set(pointer_id, { tool: g_context.pointer_tool, x, y, start_x: x, start_y: y });
     }
 
-    static #handle_resize_debounced = Utils.debounce(() => {
-        EventHandlerFn.reset_all();  // For main canvas only.
-        {  // For all other buffer/offscreen canvas.
-            resize_canvas_field_offscreen(canvas_field_offscreen);
+    /** @param {number} pointer_id @param {number} fx @param {number} fy */
+    static drag(pointer_id, fx, fy) {
+        const source = g_context.pointer_sources.get(pointer_id);
+        if (source === undefined) return;
+        const { x, y } = PointerFn.fraction_to_field(fx, fy);
+        if (source.tool === E_POINTER_TOOLS.BRUSH) {
+            PointerFn.paint_field(g_context.field_instance, x, y, x - source.x, y - source.y);
+            g_context.config.lru_cache && g_context.closest_points_map.clear();
         }
-    }, 200);
-
-    static handle_resize() {
-        EventHandlerFn.#handle_resize_debounced();
-        (function () {
-            canvas_field_offscreen.width = canvas.width;
-            canvas_field_offscreen.height = canvas.height;
-        })();
+        source.x = x;
+        source.y = y;
     }
 
-    static handle_shuffle_field_pattern() {
-        const keys = Object.keys(E_FIELD_PATTERNS);
-        __DEBUG && Utils.assert(keys.includes(g_cur_field_pattern), `Expected current global field pattern to be a valid field pattern. Got ${g_cur_field_pattern}.\nAvailable:\n\t${JSON.stringify(keys)}`);
-
-        const nkeys = keys.length;
-        const cur_pattern_index = keys.findIndex((val) => val === g_cur_field_pattern);
-
-        let rand_num = cur_pattern_index;
-        while (rand_num === cur_pattern_index) rand_num = ~~(Math.random() * nkeys); // || Math.floor(Math.random() * nkeys);  // double bitwise NOT operator
-        __DEBUG && Utils.assert(rand_num < nkeys && rand_num !== cur_pattern_index);
+    /** Ends a pointer source, placing an obstacle or showing a brush stroke. @param {number} pointer_id */
+    static release(pointer_id) {
+        const source = g_context.pointer_sources.get(pointer_id);
+        if (source === undefined) return;
+        g_context.pointer_sources.delete(pointer_id);
+        if (source.tool === E_POINTER_TOOLS.OBSTACLE) {
+            // Dragging sets the radius. A plain click places an obstacle of the pointer source's size.
+            const r = Math.hypot(source.x - source.start_x, source.y - source.start_y) || POINTER_SOURCE_RADIUS;
+            g_context.obstacles.push({ kind: "circle", x: source.start_x, y: source.start_y, r });
+            PageUrlFn.sync_url();
+        }
+        if (source.tool === E_POINTER_TOOLS.BRUSH || source.tool === E_POINTER_TOOLS.OBSTACLE) {
+            // Show the painted vectors once per stroke, rather than redrawing every arrow on every move.
+            CanvasFn.draw_field_layer(g_context.field_instance, CanvasFn.arrow_size(g_context.field_instance));
+            g_context.ctx.drawImage(g_context.canvas_field_offscreen, 0, 0);
+        }
+    }
+}
 
-        g_cur_field_pattern = keys[rand_num];
-        document.getElementById("cur_field_pattern_name").textContent = g_cur_field_pattern.toLowerCase(); //.replace("_", "-").replace(" ", "");
+// --------------------------------------------------------------------------------------------------------------------
+// URL STATE
+
+/** Mirrors the run in the page URL. `UrlStateFn` encodes and decodes it. */
+class PageUrlFn {
+    /** @param {SimulationState} state @returns {string} Absolute permalink to `state`. */
+    static to_url(state) {
+        const { origin, pathname } = window.location;
+        return `${origin ?? ""}${pathname}#${UrlStateFn.encode(state)}`;
+    }
 
-        g_field_instance = new FlowField(g_field_shape, g_field_shape, g_field_steps, g_cur_field_pattern);
+    /** Mirrors the current state into the URL hash without adding a history entry, so a reload keeps it. */
+    static sync_url() {
+        g_context.url_state && PageUrlFn.write_url(UrlStateFn.capture());
+    }
 
-        EventHandlerFn.handle_resize();
-        CanvasFn.stop_animation(g_animation_frame_id_handle);
-        animate(g_field_instance);
+    /** Writes `state` into the URL hash without adding a history entry. @param {SimulationState} state */
+    static write_url(state) {
+        window.history.replaceState(null, "", `#${UrlStateFn.encode(state)}`);
     }
 }
 
 // --------------------------------------------------------------------------------------------------------------------
 // CANVAS TRAITS
 
+// PERF: Group multiple drawing operations together and perform them in a batch.
+// PERF: Minimize calls to ctx.save() and ctx.restore().
 class CanvasFn {
     /** @param {number} x @param {number} y @param {string} color @param {number} radius */
     static draw_point(x, y, color = "#fff", radius = 1) {
         // (1.6)ms
-        ctx.beginPath();
-        ctx.arc(x, y, radius, 0, Math.PI * 2);
-        ctx.fillStyle = color; // (9.1)ms
-        ctx.lineCap = "round";
-        ctx.fill();
-        ctx.closePath();
+        g_context.ctx.beginPath();
+        g_context.ctx.arc(x, y, radius, 0, Math.PI * 2);
+        g_context.ctx.fillStyle = color; // (9.1)ms
+        g_context.ctx.lineCap = "round";
+        g_context.ctx.fill();
+        g_context.ctx.closePath();
+    }
+
+    /**
+     * Draws many points of one color as a single path with one `fill`. Items without a finite x or y are skipped,
+     * while points on the canvas edge at 0 are drawn.
+     * @template T
+     * @param {T[]} items @param {(item: T) => number} get_x @param {(item: T) => number} get_y @param {string} color @param {(item: T) => number} get_radius @param {CanvasRenderingContext2D} [target=g_context.ctx]
+     */
+    static draw_points(items, get_x, get_y, color = "#fff", get_radius = () => 1, target = g_context.ctx) {
+        target.beginPath();
+        for (const item of items) {
+            const x = get_x(item), y = get_y(item);
+            if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+            const radius = get_radius(item);
+            target.moveTo(x + radius, y);
+            target.arc(x, y, radius, 0, Math.PI * 2);
+        }
+        target.fillStyle = color;
+        target.fill();
     }
 
     /** @param {number} x1 @param {number} y1 @param {number} x2 @param {number} y2 @param {string} color @param {number} line_width */
     static draw_line(x1, y1, x2, y2, color = "#fff", line_width = 1) {
-        ctx.beginPath();
-        ctx.moveTo(x1, y1);
+        g_context.ctx.beginPath();
+        g_context.ctx.moveTo(x1, y1);
         // ctx.quadraticCurveTo(1, 1, x2, y2);
-        ctx.lineTo(x2, y2);
-        ctx.strokeStyle = color;
-        ctx.lineWidth = line_width;
-        ctx.lineCap = "round";
-        ctx.stroke();
-        ctx.closePath();
+        g_context.ctx.lineTo(x2, y2);
+        g_context.ctx.strokeStyle = color;
+        g_context.ctx.lineWidth = line_width;
+        g_context.ctx.lineCap = "round";
+        g_context.ctx.stroke();
+        g_context.ctx.closePath();
     }
 
     /** @param {number} x @param {number} y @param {FlowVector} vector @param {number} scale @param {string} color @param {number} line_width */
@@ -605,52 +554,154 @@ class CanvasFn {
         CanvasFn.draw_line(x, y, x + u * scale, y + v * scale, color, line_width);
     }
 
-    /** @param {number} x @param {number} y @param {number} angle @param {number} length @param {number} size @param {string} color @param {boolean} with_arrow_line */
-    static draw_arrow(x, y, angle, length, size, color = "hsla(180, 90%, 50%, 1.0)", with_arrow_line = true) {
+    /** @param {number} x @param {number} y @param {number} angle @param {number} length @param {number} size @param {string} color @param {boolean} with_arrow_line @param {CanvasRenderingContext2D} [target=g_context.ctx_field_offscreen] */
+    static draw_arrow(x, y, angle, length, size, color = "hsla(180, 90%, 50%, 1.0)", with_arrow_line = true, target = g_context.ctx_field_offscreen) {
         if (with_arrow_line)
             length *= size * Math.PI * PHI || 0.618; /* performance heavy */
         {
-            // magnitude: approx(min=0.4. max=79). multiply by prime 17 for wider distribution.
-            let magnitude = size * length * 17;
-            const h = 160 + Utils.clamp(magnitude, 1, 48);
-            const s = Utils.clamp(20 + magnitude, 35, 90);
-            const l = Utils.clamp(-20 + magnitude, 35, 60);
+            const { h, s, l } = CanvasFn.arrow_hsl(length, size);
             color = `hsla(${h}, ${s}%, ${l}%, 1.0)`;
         }
 
         function draw_arrow_filled() {
             const end_x = x + length * Math.cos(angle);
             const end_y = y + length * Math.sin(angle);
-            ctx_field_offscreen.strokeStyle = color;
-            ctx_field_offscreen.lineCap = "round";
+            target.strokeStyle = color;
+            target.lineCap = "round";
             // Draw arrow line
             if (with_arrow_line) {
                 //  performance heavy
-                ctx_field_offscreen.beginPath();
-                ctx_field_offscreen.moveTo(x, y);
-                ctx_field_offscreen.lineTo(end_x, end_y);
-                ctx_field_offscreen.stroke();
+                target.beginPath();
+                target.moveTo(x, y);
+                target.lineTo(end_x, end_y);
+                target.stroke();
             }
             // Draw arrowhead
-            ctx_field_offscreen.save();
-            ctx_field_offscreen.fillStyle = color;
-            ctx_field_offscreen.translate(end_x, end_y);
-            ctx_field_offscreen.rotate(angle);
-            ctx_field_offscreen.beginPath();
-            ctx_field_offscreen.moveTo(0, 0);
-            ctx_field_offscreen.lineCap = "round";
-            ctx_field_offscreen.lineTo(-size, -size);
-            ctx_field_offscreen.lineTo(-size, size);
-            ctx_field_offscreen.closePath();
-            ctx_field_offscreen.fill();
-            ctx_field_offscreen.restore();
+            target.save();
+            target.fillStyle = color;
+            target.translate(end_x, end_y);
+            target.rotate(angle);
+            target.beginPath();
+            target.moveTo(0, 0);
+            target.lineCap = "round";
+            target.lineTo(-size, -size);
+            target.lineTo(-size, size);
+            target.closePath();
+            target.fill();
+            target.restore();
         }
 
         draw_arrow_filled();
     }
 
+    /** Arrow color by magnitude. @param {number} length - Arrow length, after scaling. @param {number} size @returns {{h: number, s: number, l: number}} */
+    static arrow_hsl(length, size) {
+        // magnitude: approx(min=0.4. max=79). multiply by prime 17 for wider distribution.
+        const magnitude = size * length * 17;
+        return {
+            h: 160 + Utils.clamp(magnitude, 1, 48),
+            s: Utils.clamp(20 + magnitude, 35, 90),
+            l: Utils.clamp(-20 + magnitude, 35, 60),
+        };
+    }
+
+    /**
+     * Redraws the cached field layer in `canvas_field_offscreen` (or `target`) from the field's current vectors, in
+     * the `g_context.field_view` style, with the obstacles on top.
+     * @param {FlowField} ff @param {number} arrow_size @param {CanvasRenderingContext2D} [target=g_context.ctx_field_offscreen]
+     */
+    static draw_field_layer(ff, arrow_size, target = g_context.ctx_field_offscreen) {
+        target.save();
+        target.setTransform(1, 0, 0, 1, 0, 0);
+        target.clearRect(0, 0, target.canvas.width, target.canvas.height);
+        target.restore();
+        switch (g_context.field_view) {
+            case E_FIELD_VIEWS.ARROWS:
+                CanvasFn.draw_field_arrows(ff, arrow_size, target);
+                break;
+            case E_FIELD_VIEWS.STREAMLINES:
+                FieldViewFn.draw_streamlines(ff, target);
+                break;
+            case E_FIELD_VIEWS.LIC:
+                FieldViewFn.draw_texture(ff, FieldViewFn.lic(ff, FIELD_VIEW_RESOLUTION), target);
+                break;
+            case E_FIELD_VIEWS.HEATMAP:
+                FieldViewFn.draw_texture(ff, FieldViewFn.heatmap(ff, FIELD_VIEW_RESOLUTION), target);
+                break;
+            case E_FIELD_VIEWS.DIVERGENCE:
+            case E_FIELD_VIEWS.CURL:
+                FieldViewFn.draw_texture(ff, FieldViewFn.derivative_map(ff, FIELD_VIEW_RESOLUTION, g_context.field_view), target);
+                break;
+            default:
+                throw new TypeError(`Expected an enumeration of ${Object.keys(E_FIELD_VIEWS)} for field view. Got ${g_context.field_view}.`);
+        }
+        // Obstacles are part of the field, so they share its cached layer.
+        g_context.obstacles.length > 0 && CanvasFn.draw_obstacles(g_context.obstacles, target);
+        target === g_context.ctx_field_offscreen && RunHistoryFn.record_field(ff);
+    }
+
+    /** Draws an arrow per field point. @param {FlowField} ff @param {number} arrow_size @param {CanvasRenderingContext2D} [target=g_context.ctx_field_offscreen] */
+    static draw_field_arrows(ff, arrow_size, target = g_context.ctx_field_offscreen) {
+        ff.field.forEach((point) => {
+            // Draw visualization based on data.
+            CanvasFn.draw_arrow(
+                point.x * g_context.scale,
+                point.y * g_context.scale,
+                Math.atan2(point.v, point.u),
+                Math.sqrt(point.u ** 2 + point.v ** 2),
+                arrow_size,
+                /* color:*/ undefined,
+                g_context.field_has_arrows,
+                target
+            );
+        });
+    }
+
+    /** @param {Obstacle[]} obstacles @param {CanvasRenderingContext2D} [target=g_context.ctx_field_offscreen] */
+    static draw_obstacles(obstacles, target = g_context.ctx_field_offscreen) {
+        target.beginPath();
+        for (const obstacle of obstacles) {
+            if (obstacle.kind === "circle") {
+                target.moveTo((obstacle.x + obstacle.r) * g_context.scale, obstacle.y * g_context.scale);
+                target.arc(obstacle.x * g_context.scale, obstacle.y * g_context.scale, obstacle.r * g_context.scale, 0, 2 * Math.PI);
+            } else {
+                const pts = obstacle.points;
+                target.moveTo(pts[0] * g_context.scale, pts[1] * g_context.scale);
+                for (let k = 2; k < pts.length; k += 2) target.lineTo(pts[k] * g_context.scale, pts[k + 1] * g_context.scale);
+                target.closePath();
+            }
+        }
+        target.fillStyle = "hsla(220, 15%, 25%, 0.85)";
+        target.fill();
+        target.strokeStyle = "hsla(220, 20%, 60%, 0.9)";
+        target.lineWidth = 1;
+        target.stroke();
+    }
+
+    /** @param {FlowField} ff @returns {number} Arrowhead size that fits the field's cells on the current canvas. */
+    static arrow_size(ff) {
+        const n_data_points = ff.field.length;
+        /** Using a bitwise right shift (>>) for division by 2^log2(n_data_points), which is equivalent to dividing g_context.cell_count by n_data_points. This optimization is valid when n_data_points is a power of 2.
+         * @example const n_points_per_cell = g_context.cell_count / n_data_points; */
+        const n_points_per_cell = g_context.cell_count >> Math.log2(n_data_points);
+        return Utils.clamp(n_points_per_cell / g_context.scale, ARROW_MIN_SIZE, ARROW_MAX_SIZE);
+    }
+
+    /**
+     * Fades everything drawn so far towards transparent by `alpha`, so trails decay over time.
+     * @param {number} alpha - Fraction erased per call, in [0, 1]. @param {CanvasRenderingContext2D} [target=g_context.ctx]
+     */
+    static fade_canvas(alpha, target = g_context.ctx) {
+        target.save();
+        target.setTransform(1, 0, 0, 1, 0, 0);
+        target.globalCompositeOperation = "destination-out";
+        target.fillStyle = `rgba(0, 0, 0, ${alpha})`;
+        target.fillRect(0, 0, target.canvas.width, target.canvas.height);
+        target.restore();
+    }
+
     static clear_canvas() {
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        g_context.ctx.clearRect(0, 0, g_context.canvas.width, g_context.canvas.height);
     }
 
     /** Stop the animation. @param {number} frame_id_handle */
@@ -661,201 +712,1987 @@ class CanvasFn {
         __DEBUG && console.timeEnd("simulation");
     }
 
-    static set_square_canvas_dimensions() {
-        const w = window.innerWidth, h = window.innerHeight;
-        canvas.width = w;
-        canvas.height = w < h ? w : h;
+    static set_square_canvas_dimensions(w = window.innerWidth, h = window.innerHeight) {
+        g_context.canvas.width = w;
+        g_context.canvas.height = w < h ? w : h;
     }
-}
 
-// --------------------------------------------------------------------------------------------------------------------
-// CANVAS SIMULATION SETUP
+    /** Sizes the canvas to a viewport of `width` by `height`, square if `g_context.config.square_canvas`. @param {number} width @param {number} height */
+    static fit_canvas(width, height) {
+        if (g_context.config.square_canvas) {
+            CanvasFn.set_square_canvas_dimensions(width, height);
+        } else {
+            g_context.canvas.width = width;
+            g_context.canvas.height = height;
+        }
+    }
 
-// Get the canvas and its 2D context
-/**@type {HTMLCanvasElement | null} */
-const canvas = document.getElementById("flowFieldCanvas");
-__DEBUG && Utils.assert(canvas !== null, `Expected canvas id ${"flowFieldCanvas"} to be on a non-null HTMLCanvasElement.`);
+    /**
+     * Creates a canvas for drawing off screen. Workers have no `document`, so there it is an `OffscreenCanvas`.
+     * @param {number} width @param {number} height @returns {HTMLCanvasElement}
+     */
+    static create_canvas(width, height) {
+        const out = typeof document === "undefined" ? new OffscreenCanvas(width, height) : document.createElement("canvas");
+        out.width = width;
+        out.height = height;
+        return out;
+    }
 
-/** @type {CanvasRenderingContext2D | null} */
-const ctx = canvas?.getContext("2d");
-__DEBUG && Utils.assert(ctx !== null, `Expected ctx to be non-null.`);
+    /** Encodes a canvas or an `OffscreenCanvas`. @param {HTMLCanvasElement|OffscreenCanvas} canvas_el @param {string} [type="image/png"] @returns {Promise<Blob>} */
+    static canvas_to_blob(canvas_el, type = "image/png") {
+        if (typeof canvas_el.convertToBlob === "function") return canvas_el.convertToBlob({ type });
+        return new Promise((resolve, reject) =>
+            canvas_el.toBlob((blob) => (blob ? resolve(blob) : reject(new Error(`Canvas could not be encoded as ${type}.`))), type)
+        );
+    }
 
-if (!canvas || !ctx) throw Error("Canvas or context not found.");
+    /**
+     * Draws all particles in batches, one path per layer, instead of a `beginPath`/`fill` per particle.
+     * @param {Particle[]} particles @param {CanvasRenderingContext2D} [target=g_context.ctx] @param {number} [frame_tick=g_context.frame_tick]
+     */
+    static draw_particles(particles, target = g_context.ctx, frame_tick = g_context.frame_tick) {
+        target.save();
+        target.globalCompositeOperation = g_context.particle_blend;
+        const get_nx = (p) => p.closest_point && p.closest_point.x * g_context.scale; // (0.3)ms
+        const get_ny = (p) => p.closest_point && p.closest_point.y * g_context.scale;
+        {
+            // draw visited field points
+            if (g_context.config.visited_points_hue_by_tick) {
+                // performance heavy (0.5:4.6)ms
+                CanvasFn.draw_points(particles, get_nx, get_ny, `hsla(${-frame_tick * g_context.frame_tick_limit_360deg}, 50%, 50%, 0.0125`, () => 8, target);
+            } else {
+                // (0.3:0.6)ms
+                CanvasFn.draw_points(particles, get_nx, get_ny, "hsla(116, 50%, 50%, 0.0125", () => 8, target); //  hue 96 || 116 looks great.
+            }
+        }
+        {
+            // draw particles
+            if (g_context.config.particles_hue_by_tick) {
+                /* performance heavy (0.4:1.0)ms */
+                CanvasFn.draw_points(particles, (p) => p.x, (p) => p.y, `hsla(${~~(-frame_tick * g_context.frame_tick_limit_360deg)}, 60%, 50%, 0.95)`, (p) => p.size * 1.5, target);
+            } else {
+                if (g_context.config.close_point_graphics) {
+                    const fps = FPS_RESISTANCE * 1000; // _ * (1 / FPS_MULTIPLIER)
+                    /** Pixelate visited path to bigger numbers. @param {Particle} p */
+                    const to_xy_key = (p) => JSON.stringify({ x: Math.round(Math.round(p.x * fps) * 0.1 * fps), y: Math.round(Math.round(p.y * fps) * 0.1 * fps), });
+                    const with_closest = particles.filter((p) => get_nx(p) && get_ny(p));
+                    if (g_context.config.close_point_field_color) {
+                        CanvasFn.draw_points(with_closest, (p) => p.x, (p) => p.y, "hsla(1, 55%, 50%, 0.90)", (p) => p.size * 1.5, target); // red looks great if clearing canvas and particles are a dot.
+                    } else {
+                        const visited = [], unvisited = [];
+                        for (const p of with_closest) (g_context.visited_path.has(to_xy_key(p)) ? visited : unvisited).push(p);
+                        CanvasFn.draw_points(unvisited, (p) => p.x, (p) => p.y, "hsla(1, 55%, 50%, 0.90)", () => g_context.config.close_point_radius, target);
+                        CanvasFn.draw_points(visited, (p) => p.x, (p) => p.y, "hsla(180, 90%, 50%, 0.35)", () => g_context.config.close_point_radius, target);
+                    }
+                    with_closest.forEach((p) => g_context.visited_path.add(to_xy_key(p)));
+                } else {
+                    const palette = Palettes.get(g_context.particle_palette);
+                    CanvasFn.draw_points(particles, (p) => p.x + 1, (p) => p.y + 1, palette.highlight, (p) => p.size * 2, target);
+                    CanvasFn.draw_points(particles, (p) => p.x - 1, (p) => p.y - 1, palette.shadow, (p) => p.size * 2, target);
+                    if (g_context.particle_color_by === E_COLOR_MAPPINGS.SOLID) {
+                        CanvasFn.draw_points(particles, (p) => p.x, (p) => p.y, palette.core, (p) => p.size * 2, target);
+                    } else {
+                        CanvasFn._draw_points_by_gradient(particles, palette, g_context.particle_color_by, frame_tick, target);
+                    }
+                }
+            } // hue _ || 1 looks great.
+        }
+        target.restore();
+    }
 
-// Adapt to devices window size
-if (/* with_square_canvas */ true) {
-    CanvasFn.set_square_canvas_dimensions();
-} else {
-    canvas.width = window.innerWidth;
-    canvas.height = window.innerHeight;
+    /**
+     * Draws particle cores colored along the palette's gradient by `mapping`, one batched path per color bucket.
+     * @param {Particle[]} particles @param {Palette} palette @param {EColorMappings} mapping @param {number} frame_tick
+     * @param {CanvasRenderingContext2D} target
+     */
+    static _draw_points_by_gradient(particles, palette, mapping, frame_tick, target) {
+        /** @type {(p: Particle) => number} */
+        let get_t;
+        switch (mapping) {
+            case E_COLOR_MAPPINGS.SPEED: {
+                // Relative to the fastest particle, as absolute speeds vary a lot between patterns.
+                let max_speed = 0;
+                for (const p of particles) max_speed = Math.max(max_speed, Math.hypot(p.vx, p.vy));
+                get_t = (p) => (max_speed === 0 ? 0 : Math.hypot(p.vx, p.vy) / max_speed);
+                break;
+            }
+            case E_COLOR_MAPPINGS.DIRECTION:
+                get_t = (p) => (Math.atan2(p.vy, p.vx) + Math.PI) / (2 * Math.PI);
+                break;
+            case E_COLOR_MAPPINGS.AGE:
+                get_t = (p) => p.age / p.lifetime;
+                break;
+            case E_COLOR_MAPPINGS.FRAME_TICK: {
+                const t = ((frame_tick * g_context.frame_tick_limit_360deg) % 360) / 360;
+                get_t = () => t;
+                break;
+            }
+            default:
+                throw new TypeError(`Expected an enumeration of ${Object.keys(E_COLOR_MAPPINGS)} for color mapping. Got ${mapping}.`);
+        }
+        /** @type {Particle[][]} */
+        const buckets = Array.from({ length: PARTICLE_GRADIENT_BUCKETS }, () => []);
+        for (const p of particles) buckets[Math.round(Utils.clamp(get_t(p), 0, 1) * (PARTICLE_GRADIENT_BUCKETS - 1))].push(p);
+        buckets.forEach((bucket, k) => {
+            if (bucket.length === 0) return;
+            const color = Palettes.color_at(palette, k / (PARTICLE_GRADIENT_BUCKETS - 1), PARTICLE_GRADIENT_ALPHA);
+            CanvasFn.draw_points(bucket, (p) => p.x, (p) => p.y, color, (p) => p.size * 2, target);
+        });
+    }
 }
-canvas.style.background = "#101020" || "#334";
-ctx.imageSmoothingEnabled = true;
-ctx.imageSmoothingQuality = "high";
-
-/*
-  Double buffering
-  - Perform drawing operations on ctx_offscreen.
-  - Copy the canvas_offscreen to the main canvas.
-  @example ctx.drawImage(canvas_offscreen, 0, 0);
-*/
-// /**@type {HTMLCanvasElement} */
-// const canvas_offscreen = document.createElement("canvas");
-// /** @type {CanvasRenderingContext2D} */
-// const ctx_offscreen = canvas_offscreen.getContext("2d");
-
-/**@type {HTMLCanvasElement} */
-const canvas_field_offscreen = document.createElement("canvas");
-/** @type {CanvasRenderingContext2D} */
-const ctx_field_offscreen = canvas_field_offscreen.getContext("2d");
-
-canvas_field_offscreen.width = canvas.width;
-canvas_field_offscreen.height = canvas.height;
-ctx_field_offscreen.imageSmoothingEnabled = true;
-ctx_field_offscreen.imageSmoothingQuality = "high";
-
-// window.addEventListener("mousemove", ev => { const mouse_x = ev.clientX, mouse_y = ev.clientY; console.info({ mouse_x, mouse_y }); })
 
 // --------------------------------------------------------------------------------------------------------------------
-// LOGIC SETUP
-
-// Initialize global mutable objects
-
-const g_particle = new Particle(Math.random() * canvas.width, Math.random() * canvas.height, 1, 2);
-/** @const {particle[]} */
-const g_particles = [];
-/** @const {Map<string,FlowVector>} */
-const g_closest_points_map = new Map();
-
-// Initialize variables
-
-/** @type {EFieldPatterns} */
-let g_cur_field_pattern = E_FIELD_PATTERNS.SINUSOIDAL;
-let g_field_has_arrows = false;
-/** Number of field shapes. @type {number} */
-let g_field_shape = 2 ** 3.5 || 13; // if field shape decides scaleFactor: 4 * 4 == 4 quadrants. A sinusoidal pattern creates at max 4 whole spirals.  else use atleast (4 * 2.5) or 10.
-__DEBUG && Utils.assert(g_field_shape >= Math.fround(2 ** (Math.log(10) / Math.log(2))), `Expected field shape to be greater than 10. Got ${g_field_shape}.`); // 10
-let g_field_steps = 2 ** (5 || 4); // Should be a power of 2, for bitwise operation while computing. // Field size =>1: 4|2: 16|3: 64|4: 256|5: 1024|6: 4096|7: 16384|...[((2 ** 5) ** 2) == 1024 == (2 ** 10)]
-if (__DEBUG) {
-    const shape_to_step_ratio = g_field_shape / g_field_steps;
-    const shape_to_step_ratio_inv = 1 / shape_to_step_ratio;
-    if (shape_to_step_ratio_inv <= 16 && g_field_shape < 2 ** 3.5)
-        alert(JSON.stringify({ shape_to_step_ratio, shape_to_step_ratio_inv, g_field_shape, g_field_steps, }, null, 4));
+// FIELD VIEWS
+
+/** Alternative renderings of a `FlowField` for the field layer. Textures are square, covering the whole field. */
+class FieldViewFn {
+    /**
+     * Samples the field at the centers of an `n * n` texel grid, with bilinear interpolation.
+     * @param {FlowField} ff @param {number} n @returns {{u: Float64Array, v: Float64Array}} Row-major components.
+     */
+    static sample_grid(ff, n) {
+        const u = new Float64Array(n * n), v = new Float64Array(n * n);
+        const texel = ff.rows / n;
+        for (let i = 0; i < n; i += 1) {
+            for (let j = 0; j < n; j += 1) {
+                const flow = FlowFieldFn.lookup(ff, (j + 0.5) * texel, (i + 0.5) * texel, E_FIELD_INTERPOLATIONS.BILINEAR);
+                u[i * n + j] = flow.u;
+                v[i * n + j] = flow.v;
+            }
+        }
+        return { u, v };
+    }
+
+    /**
+     * Colors each texel by flow angle (hue) and magnitude (lightness, relative to the strongest flow).
+     * @param {FlowField} ff @param {number} n @returns {ImageData}
+     */
+    static heatmap(ff, n) {
+        const { u, v } = FieldViewFn.sample_grid(ff, n);
+        let max_magnitude = 0;
+        for (let k = 0; k < u.length; k += 1) max_magnitude = Math.max(max_magnitude, Math.hypot(u[k], v[k]));
+        const image = new ImageData(n, n);
+        for (let k = 0; k < u.length; k += 1) {
+            const hue = (Math.atan2(v[k], u[k]) * 180 * PI_INV + 360) % 360;
+            const magnitude = max_magnitude === 0 ? 0 : Math.hypot(u[k], v[k]) / max_magnitude;
+            FieldViewFn._set_texel(image, k, Utils.hsl_to_rgb(hue, 0.7, 0.1 + 0.45 * magnitude));
+        }
+        return image;
+    }
+
+    /**
+     * Maps divergence (du/dx + dv/dy) or curl (dv/dx - du/dy) by central differences: red where positive, blue where
+     * negative, brighter with size relative to the largest value.
+     * @param {FlowField} ff @param {number} n @param {EFieldViews} view - DIVERGENCE or CURL.
+     * @returns {ImageData}
+     */
+    static derivative_map(ff, n, view) {
+        const { u, v } = FieldViewFn.sample_grid(ff, n);
+        const inv_2h = n / (2 * ff.rows);
+        const values = new Float64Array(n * n);
+        let max_abs = 0;
+        for (let i = 0; i < n; i += 1) {
+            const up = Math.max(i - 1, 0) * n, down = Math.min(i + 1, n - 1) * n;
+            for (let j = 0; j < n; j += 1) {
+                const left = i * n + Math.max(j - 1, 0), right = i * n + Math.min(j + 1, n - 1);
+                // One-sided at the edges, where the clamped neighbor is the texel itself. Close enough for a view.
+                const value = view === E_FIELD_VIEWS.DIVERGENCE
+                    ? (u[right] - u[left]) * inv_2h + (v[down + j] - v[up + j]) * inv_2h
+                    : (v[right] - v[left]) * inv_2h - (u[down + j] - u[up + j]) * inv_2h;
+                values[i * n + j] = value;
+                max_abs = Math.max(max_abs, Math.abs(value));
+            }
+        }
+        const image = new ImageData(n, n);
+        for (let k = 0; k < values.length; k += 1) {
+            const t = max_abs === 0 ? 0 : values[k] / max_abs;
+            FieldViewFn._set_texel(image, k, Utils.hsl_to_rgb(t >= 0 ? 5 : 215, 0.75, 0.08 + 0.5 * Math.abs(t)));
+        }
+        return image;
+    }
+
+    /**
+     * Line Integral Convolution: blurs seeded white noise along the flow, `LIC_LENGTH` texels each way, so the
+     * texture shows every streamline at once. Tinted by flow angle.
+     * @param {FlowField} ff @param {number} n @returns {ImageData}
+     */
+    static lic(ff, n) {
+        const { u, v } = FieldViewFn.sample_grid(ff, n);
+        const rng = new Random(g_context.seed);
+        const noise = Float64Array.from({ length: n * n }, () => rng.next());
+        const values = new Float64Array(n * n);
+        let min = Infinity, max = -Infinity;
+        for (let i = 0; i < n; i += 1) {
+            for (let j = 0; j < n; j += 1) {
+                let sum = noise[i * n + j], count = 1;
+                for (const sign of [1, -1]) {
+                    let x = j + 0.5, y = i + 0.5;
+                    for (let step = 0; step < LIC_LENGTH; step += 1) {
+                        const k = Math.floor(y) * n + Math.floor(x);
+                        const len = Math.sqrt(u[k] * u[k] + v[k] * v[k]);
+                        if (len === 0) break;
+                        x += (sign * u[k]) / len;
+                        y += (sign * v[k]) / len;
+                        if (x < 0 || x >= n || y < 0 || y >= n) break;
+                        sum += noise[Math.floor(y) * n + Math.floor(x)];
+                        count += 1;
+                    }
+                }
+                const value = sum / count;
+                values[i * n + j] = value;
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+            }
+        }
+        // Averaging flattens the noise towards 0.5, so the contrast is stretched back to the full range.
+        const range = max - min || 1;
+        const image = new ImageData(n, n);
+        for (let k = 0; k < values.length; k += 1) {
+            const hue = (Math.atan2(v[k], u[k]) * 180 * PI_INV + 360) % 360;
+            FieldViewFn._set_texel(image, k, Utils.hsl_to_rgb(hue, 0.35, 0.05 + 0.6 * ((values[k] - min) / range)));
+        }
+        return image;
+    }
+
+    /** @param {ImageData} mut_image @param {number} k - Texel index. @param {[number, number, number]} rgb */
+    static _set_texel(mut_image, k, rgb) {
+        const data = mut_image.data;
+        data[k * 4] = rgb[0];
+        data[k * 4 + 1] = rgb[1];
+        data[k * 4 + 2] = rgb[2];
+        data[k * 4 + 3] = 255;
+    }
+
+    /** Stretches a square texture over the field. @param {FlowField} ff @param {ImageData} image @param {CanvasRenderingContext2D} target */
+    static draw_texture(ff, image, target) {
+        const texture = CanvasFn.create_canvas(image.width, image.height);
+        texture.getContext("2d").putImageData(image, 0, 0);
+        target.save();
+        target.imageSmoothingEnabled = true;
+        target.drawImage(texture, 0, 0, ff.cols * g_context.scale, ff.rows * g_context.scale);
+        target.restore();
+    }
+
+    /**
+     * Evenly spaced streamlines after Jobard and Lefer (1997): each line is traced both ways from a seed until it
+     * leaves the field, stalls, or comes closer than `d_test` to a line; new seeds are tried `d_sep` to either side of
+     * every traced line, then on a grid to reach regions the lines never got near.
+     * @param {FlowField} ff @param {number} [separation=STREAMLINE_SEPARATION] - `d_sep`, in field cells.
+     * @returns {number[][]} Polylines as flat `[x0, y0, x1, y1, ...]` arrays, in field units.
+     */
+    static streamlines(ff, separation = STREAMLINE_SEPARATION) {
+        const extent = ff.rows;
+        const d_sep = separation * FlowFieldFn.cell_size(ff), d_test = 0.5 * d_sep, h = STREAMLINE_STEP * d_sep;
+        const max_steps = Math.ceil((4 * extent) / h);
+        // A line's own points closer than this along it are neighbors, not a collision.
+        const self_skip = Math.ceil((2 * d_sep) / h);
+
+        const ncells = Math.ceil(extent / d_sep);
+        /** @type {{x: number, y: number, line: number, dir: number, step: number}[][]} */
+        const cells = Array.from({ length: ncells * ncells }, () => []);
+        /** @param {number} c */
+        const cell_of = (c) => Utils.clamp(Math.floor(c / d_sep), 0, ncells - 1);
+
+        /** @param {number} x @param {number} y @param {number} min_dist @param {number} [line=-1] @param {number} [dir=0] @param {number} [step=0] */
+        const is_free = (x, y, min_dist, line = -1, dir = 0, step = 0) => {
+            const ci = cell_of(y), cj = cell_of(x);
+            for (let i = Math.max(ci - 1, 0); i <= Math.min(ci + 1, ncells - 1); i += 1) {
+                for (let j = Math.max(cj - 1, 0); j <= Math.min(cj + 1, ncells - 1); j += 1) {
+                    for (const p of cells[i * ncells + j]) {
+                        if (p.line === line && (p.dir === dir ? Math.abs(p.step - step) : p.step + step) < self_skip) continue;
+                        if (Math.hypot(p.x - x, p.y - y) < min_dist) return false;
+                    }
+                }
+            }
+            return true;
+        };
+        /** @param {number} x @param {number} y @returns {{u: number, v: number} | undefined} Unit direction, if any. */
+        const direction = (x, y) => {
+            const flow = FlowFieldFn.lookup(ff, x, y, E_FIELD_INTERPOLATIONS.BILINEAR);
+            const len = Math.hypot(flow.u, flow.v);
+            return len < 1e-9 ? undefined : { u: flow.u / len, v: flow.v / len };
+        };
+        /** @param {number} x @param {number} y */
+        const is_inside = (x, y) => x >= 0 && x <= extent && y >= 0 && y <= extent;
+
+        /** @type {number[][]} */
+        const lines = [];
+        /** @param {number} seed_x @param {number} seed_y @returns {number[] | undefined} */
+        const trace = (seed_x, seed_y) => {
+            const line = lines.length;
+            /** @type {number[][]} */
+            const halves = [[], []];
+            for (const [dir, sign] of [[0, 1], [1, -1]]) {
+                let x = seed_x, y = seed_y;
+                for (let step = 1; step <= max_steps; step += 1) {
+                    // Midpoint step along the unit direction.
+                    const d1 = direction(x, y);
+                    if (d1 === undefined) break;
+                    const d2 = direction(x + 0.5 * h * sign * d1.u, y + 0.5 * h * sign * d1.v) ?? d1;
+                    x += h * sign * d2.u;
+                    y += h * sign * d2.v;
+                    if (!is_inside(x, y) || !is_free(x, y, d_test, line, dir, step)) break;
+                    halves[dir].push(x, y);
+                    cells[cell_of(y) * ncells + cell_of(x)].push({ x, y, line, dir, step });
+                }
+            }
+            const backward = [];
+            for (let k = halves[1].length - 2; k >= 0; k -= 2) backward.push(halves[1][k], halves[1][k + 1]);
+            const points = [...backward, seed_x, seed_y, ...halves[0]];
+            cells[cell_of(seed_y) * ncells + cell_of(seed_x)].push({ x: seed_x, y: seed_y, line, dir: 0, step: 0 });
+            lines.push(points);
+            return points;
+        };
+
+        /** @type {number[][]} */
+        const queue = [];
+        /** @param {number} x @param {number} y */
+        const try_seed = (x, y) => {
+            if (is_inside(x, y) && direction(x, y) !== undefined && is_free(x, y, d_sep)) queue.push(trace(x, y));
+        };
+        const stride = Math.max(1, Math.round(d_sep / h));
+        try_seed(0.5 * extent, 0.5 * extent);
+        for (let gi = 0.5 * d_sep; gi < extent; gi += d_sep) {
+            for (let gj = 0.5 * d_sep; gj < extent; gj += d_sep) {
+                try_seed(gj, gi);
+                while (queue.length > 0) {
+                    const points = queue.shift();
+                    for (let k = 0; k < points.length; k += 2 * stride) {
+                        const dir = direction(points[k], points[k + 1]);
+                        if (dir === undefined) continue;
+                        try_seed(points[k] - d_sep * dir.v, points[k + 1] + d_sep * dir.u);
+                        try_seed(points[k] + d_sep * dir.v, points[k + 1] - d_sep * dir.u);
+                    }
+                }
+            }
+        }
+        // Lines that stopped right at their seed are dots, not lines.
+        return lines.filter((points) => points.length >= 4);
+    }
+
+    /** @param {FlowField} ff @param {CanvasRenderingContext2D} target */
+    static draw_streamlines(ff, target) {
+        target.beginPath();
+        for (const points of FieldViewFn.streamlines(ff)) {
+            target.moveTo(points[0] * g_context.scale, points[1] * g_context.scale);
+            for (let k = 2; k < points.length; k += 2) target.lineTo(points[k] * g_context.scale, points[k + 1] * g_context.scale);
+        }
+        target.strokeStyle = "hsla(180, 45%, 55%, 0.55)";
+        target.lineWidth = 1;
+        target.stroke();
+    }
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// EXPORT
+
+/** Largest export edge in pixels. Browsers refuse to allocate canvases much bigger than this. */
+const EXPORT_MAX_SIZE = 2 ** 14;
+
+/** Exports the running simulation to files. */
+class ExportFn {
+    /**
+     * Parses an export resolution as a scale factor of the on-screen canvas: `"4x"` scales by 4, `"8000px"` or `"8000"`
+     * scales the longer canvas edge to 8000 pixels.
+     * @param {string} text @param {number} width - On-screen canvas width. @param {number} height - On-screen canvas height.
+     * @returns {number} Scale factor.
+     */
+    static parse_resolution(text, width, height) {
+        const match = /^\s*(\d+(?:\.\d+)?)\s*(x|px)?\s*$/i.exec(text);
+        if (match === null) throw new TypeError(`Expected export resolution like "4x" or "8000px". Got "${text}".`);
+        const value = Number(match[1]);
+        const scale = match[2]?.toLowerCase() === "x" ? value : value / Math.max(width, height);
+        const max_scale = EXPORT_MAX_SIZE / Math.max(width, height);
+        if (!(scale > 0) || scale > max_scale)
+            throw new RangeError(`Expected export resolution to be at most ${EXPORT_MAX_SIZE}px (${max_scale.toFixed(2)}x). Got "${text}".`);
+        return scale;
+    }
+
+    /**
+     * Re-renders the current run at `scale` times the canvas size. The field layer and the particle trails are played
+     * back from the run history as vectors, rather than upscaling the on-screen bitmap.
+     * @param {number} scale
+     * @param {{on_tick?: (layer: HTMLCanvasElement, tick: number) => void}} [hooks] - `on_tick` sees the transparent
+     *   drawing after every replayed frame tick.
+     * @returns {HTMLCanvasElement}
+     */
+    static render_at_scale(scale, { on_tick = undefined } = {}) {
+        const width = Math.round(g_context.canvas_width * scale), height = Math.round(g_context.canvas_height * scale);
+        const out = CanvasFn.create_canvas(width, height);
+        const out_ctx = out.getContext("2d");
+        const field_layer = CanvasFn.create_canvas(width, height);
+        const field_ctx = field_layer.getContext("2d");
+        for (const target of [out_ctx, field_ctx]) {
+            target.imageSmoothingEnabled = true;
+            target.imageSmoothingQuality = "high";
+            target.setTransform(scale, 0, 0, scale, 0, 0);
+        }
+
+        /** Composites the arrow layer onto the trail layer, 1:1 in device pixels. */
+        const composite_field_layer = () => {
+            out_ctx.save();
+            out_ctx.setTransform(1, 0, 0, 1, 0, 0);
+            out_ctx.drawImage(field_layer, 0, 0);
+            out_ctx.restore();
+        };
+
+        ExportFn.replay({
+            on_field: (ff, arrow_size) => {
+                CanvasFn.draw_field_layer(ff, arrow_size, field_ctx);
+                composite_field_layer();
+            },
+            on_frame: (particles, tick) => {
+                if (!g_context.config.particle_trail) {
+                    out_ctx.save();
+                    out_ctx.setTransform(1, 0, 0, 1, 0, 0);
+                    out_ctx.clearRect(0, 0, width, height);
+                    out_ctx.restore();
+                    composite_field_layer();
+                }
+                if (g_context.trail_fade > 0) CanvasFn.fade_canvas(g_context.trail_fade, out_ctx);
+                CanvasFn.draw_particles(particles, out_ctx, tick);
+                on_tick?.(out, tick);
+            },
+        });
+        return ExportFn.with_background(out);
+    }
+
+    /**
+     * The on-screen background is CSS, so exports paint it in under the (transparent) drawing.
+     * @param {HTMLCanvasElement} layer @returns {HTMLCanvasElement} New canvas of the same size.
+     */
+    static with_background(layer) {
+        const flat = CanvasFn.create_canvas(layer.width, layer.height);
+        const flat_ctx = flat.getContext("2d");
+        flat_ctx.fillStyle = CANVAS_BACKGROUND;
+        flat_ctx.fillRect(0, 0, flat.width, flat.height);
+        flat_ctx.drawImage(layer, 0, 0);
+        return flat;
+    }
+
+    /**
+     * Plays back the run since its last reset from `g_context.history`, as it was drawn live, without touching the
+     * live run. A run that outgrew `RUN_HISTORY_MAX_BYTES` is played back from its oldest kept tick, see
+     * `RunHistoryFn.notice`.
+     * @param {{on_field?: (ff: FlowField, arrow_size: number, tick: number) => void, on_frame?: (particles: Particle[], tick: number) => void}} hooks
+     *   `on_field` is called wherever the live loop (re)drew the field layer, `on_frame` for every drawn frame tick.
+     */
+    static replay({ on_field = () => { }, on_frame = () => { } }) {
+        const frames = RunHistoryFn.frames(g_context.history), fields = g_context.history.fields;
+        const live = g_context.field_instance;
+        const ff = new FlowField(live.cols, live.rows, live.steps, live.pattern, live.params, live.time);
+        const arrow_size = CanvasFn.arrow_size(ff);
+        const { field_view, obstacles } = g_context;
+        /** @param {HistoryField} snapshot @param {number} tick */
+        const play_field = (snapshot, tick) => {
+            ff.field.forEach((point, k) => {
+                point.u = snapshot.us[k];
+                point.v = snapshot.vs[k];
+            });
+            // The field layer is drawn with the view and obstacles of its time.
+            g_context.field_view = snapshot.view;
+            g_context.obstacles = snapshot.obstacles;
+            on_field(ff, arrow_size, tick);
+        };
+
+        try {
+            // A headless run draws no field layer, so the live field stands in for it.
+            fields.length === 0 && on_field(live, arrow_size, frames[0]?.tick ?? g_context.frame_tick);
+            let k = 0;
+            for (const frame of frames) {
+                while (k < fields.length && fields[k].before_tick <= frame.tick) play_field(fields[k++], frame.tick);
+                on_frame(RunHistoryFn.particles_at(frame, ff), frame.tick);
+            }
+            // Redrawn after the last tick, e.g. at the end of a brush stroke.
+            while (k < fields.length) play_field(fields[k++], g_context.frame_tick);
+        } finally {
+            g_context.field_view = field_view;
+            g_context.obstacles = obstacles;
+        }
+    }
+
+    /**
+     * Builds an SVG document of the field arrows and particle trails, for pen plotters.
+     * @param {SvgExportOptions} [options]
+     * @returns {string}
+     */
+    static to_svg({ tolerance = 0.5, stroke_width = 1, arrow_stroke_width = 0.5, separate_layers = true, hue_step = 8, trail_color = "hsl(1, 60%, 50%)", with_arrows = true, with_trails = true } = {}) {
+        if (!(stroke_width > 0)) throw new RangeError(`Expected SVG stroke width to be a positive number. Got ${stroke_width}.`);
+        const width = g_context.canvas_width, height = g_context.canvas_height;
+        /** @param {number} value */
+        const fmt = (value) => String(Math.round(value * 100) / 100);
+        /** @type {Map<string, string[]>} SVG elements grouped by color. */
+        const arrow_layers = new Map();
+        /** @type {string[]} */
+        const trail_elements = [];
+
+        if (with_arrows) {
+            const ff = g_context.field_instance, size = CanvasFn.arrow_size(ff);
+            for (const point of ff.field) {
+                const x = point.x * g_context.scale, y = point.y * g_context.scale;
+                const angle = Math.atan2(point.v, point.u);
+                let length = Math.sqrt(point.u ** 2 + point.v ** 2);
+                if (g_context.field_has_arrows) length *= size * Math.PI * PHI || 0.618;
+                const { h, s, l } = CanvasFn.arrow_hsl(length, size);
+                // Quantize so a plot needs a handful of pens rather than one per magnitude.
+                const color = `hsl(${Math.round(h / hue_step) * hue_step}, ${Math.round(s / 10) * 10}%, ${Math.round(l / 10) * 10}%)`;
+                const end_x = x + length * Math.cos(angle), end_y = y + length * Math.sin(angle);
+                const head = [[0, 0], [-size, -size], [-size, size]].map(([hx, hy]) => {
+                    const { u, v } = Utils.rotate(hx, hy, angle);
+                    return `${fmt(end_x + u)},${fmt(end_y + v)}`;
+                });
+                const elements = arrow_layers.get(color) ?? [];
+                if (g_context.field_has_arrows) elements.push(`<line x1="${fmt(x)}" y1="${fmt(y)}" x2="${fmt(end_x)}" y2="${fmt(end_y)}"${separate_layers ? "" : ` stroke="${color}"`}/>`);
+                elements.push(`<polygon points="${head.join(" ")}"${separate_layers ? "" : ` stroke="${color}" fill="${color}"`}/>`);
+                arrow_layers.set(color, elements);
+            }
+        }
+        if (with_trails) {
+            for (const segment of DataExportFn.record_trajectories()) {
+                const points = Utils.simplify_polyline(segment.xs.map((x, i) => [x, segment.ys[i]]), tolerance);
+                trail_elements.push(`<polyline points="${points.map(([x, y]) => `${fmt(x)},${fmt(y)}`).join(" ")}"/>`);
+            }
+        }
+
+        /** @param {string} id @param {string} label @param {string} attrs @param {string[]} elements */
+        const layer = (id, label, attrs, elements) =>
+            `  <g id="${id}" inkscape:groupmode="layer" inkscape:label="${label}" ${attrs}>\n${elements.map((el) => `    ${el}`).join("\n")}\n  </g>`;
+        const arrow_attrs = (color) => `stroke-width="${arrow_stroke_width}" stroke-linecap="round"${color ? ` stroke="${color}" fill="${color}"` : ""}`;
+        const groups = [];
+        if (separate_layers) {
+            [...arrow_layers].forEach(([color, elements], i) => groups.push(layer(`arrows_${i}`, `arrows ${color}`, arrow_attrs(color), elements)));
+        } else if (arrow_layers.size > 0) {
+            groups.push(layer("arrows", "arrows", arrow_attrs(), [...arrow_layers.values()].flat()));
+        }
+        if (trail_elements.length > 0) {
+            groups.push(layer("trails", `trails ${trail_color}`, `stroke="${trail_color}" stroke-width="${stroke_width}" fill="none" stroke-linecap="round" stroke-linejoin="round"`, trail_elements));
+        }
+
+        return [
+            `<?xml version="1.0" encoding="UTF-8"?>`,
+            `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            ...groups,
+            `</svg>`,
+            ``,
+        ].join("\n");
+    }
+
+    /** @param {SvgExportOptions} [options] @returns {RenderedFile} */
+    static render_svg(options) {
+        const notice = options?.with_trails === false ? undefined : RunHistoryFn.notice(g_context.history, "trails");
+        return { blob: new Blob([ExportFn.to_svg(options)], { type: "image/svg+xml" }), filename: `${DataExportFn.file_stem()}.svg`, notice };
+    }
+
+    /**
+     * Renders the run as PNG without downloading it. The file name is taken before encoding, which is asynchronous.
+     * @param {string} resolution - See `ExportFn.parse_resolution`. @returns {Promise<RenderedFile>}
+     */
+    static async render_png(resolution) {
+        const scale = ExportFn.parse_resolution(resolution, g_context.canvas_width, g_context.canvas_height);
+        const out = ExportFn.render_at_scale(scale);
+        const filename = `${DataExportFn.file_stem()}_${out.width}x${out.height}.png`;
+        const notice = RunHistoryFn.notice(g_context.history, "frames");
+        return { blob: await CanvasFn.canvas_to_blob(out), filename, notice };
+    }
+
+    /** Saves a blob through a temporary download link. @param {Blob} blob @param {string} filename */
+    static download_blob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const anchor = document.createElement("a");
+        anchor.href = url;
+        anchor.download = filename;
+        anchor.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
 }
-let g_field_resolution = g_field_shape || 10; /* Doubt if this should affect scale here or, N_FIELD_SHAPE should??? */
-let g_field_instance = new FlowField(g_field_shape, g_field_shape, g_field_steps, g_cur_field_pattern);
-let g_scale = canvas.width / g_field_resolution; // 800 x 800 => 80 x 80, 10 * 1 unit pixel
-let g_canvas_width = canvas.width;
-let g_canvas_height = canvas.height;
-let g_cell_count = g_canvas_width * g_canvas_height;
-let g_frame_tick = 1;
-let g_frame_tick_limit = Math.floor((60 * FPS_RESISTANCE) / FPS_MULTIPLIER) || Infinity; // {FPS_RESISTANCE = 0.02} :: {1200 frame_ticks in (35339:40946)ms} || {120 frame_ticks = 4343ms => 1 frame = 36ms approx}
-{
-    g_frame_tick_limit = Math.floor(g_frame_tick_limit * 6); // {1min if 10fps}
+
+/** Minimal ZIP archive writer. Entries are stored uncompressed, which suits already-compressed PNG frames. */
+class ZipFn {
+    /** @type {Uint32Array|undefined} */
+    static #crc_table;
+
+    /** 1980-01-01, the earliest valid MS-DOS date, so archives are byte-identical between exports. */
+    static #DOS_DATE = (1 << 5) | 1;
+
+    /** @param {Uint8Array} bytes @returns {number} CRC-32 checksum as required by the ZIP format. */
+    static crc32(bytes) {
+        const table = (ZipFn.#crc_table ??= Uint32Array.from({ length: 256 }, (_, n) => {
+            let c = n;
+            for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            return c >>> 0;
+        }));
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i += 1) crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /** @param {{name: string, data: Uint8Array}[]} files @returns {Blob} `application/zip` blob. */
+    static store(files) {
+        const encoder = new TextEncoder();
+        /** @type {Uint8Array[]} */
+        const parts = [], central = [];
+        let offset = 0;
+        for (const { name, data } of files) {
+            const name_bytes = encoder.encode(name);
+            const crc = ZipFn.crc32(data);
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true); // Local file header signature.
+            local.setUint16(4, 20, true); // Version needed to extract.
+            local.setUint16(12, ZipFn.#DOS_DATE, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true); // Compressed size, equal when stored.
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name_bytes.length, true);
+            parts.push(new Uint8Array(local.buffer), name_bytes, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true); // Central directory header signature.
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(14, ZipFn.#DOS_DATE, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name_bytes.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name_bytes);
+            offset += 30 + name_bytes.length + data.length;
+        }
+        const central_size = central.reduce((acc, part) => acc + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory signature.
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, central_size, true);
+        end.setUint32(16, offset, true);
+        return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: "application/zip" });
+    }
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// RECORDING
+
+/** Capture rate of live WebM recordings, in frames per second. */
+const RECORDING_FPS = 60;
+
+/** Records the running simulation, live to WebM or offline to a numbered PNG sequence. */
+class RecorderFn {
+    /** @returns {boolean} */
+    static is_recording() {
+        return g_context.recorder !== undefined && g_context.recorder.state !== "inactive";
+    }
+
+    /**
+     * Starts recording the canvas to WebM. The run is reset first, so a clip covers one run from its start until
+     * `#stop_animation_toggle` (`EventHandlerFn.handle_stop_animation`) or the `g_context.frame_tick_limit` break
+     * condition ends it. Clicking Record again ends the clip but leaves the run going.
+     */
+    static start_live() {
+        const stem = DataExportFn.file_stem().replace(/_t\d+$/, "");
+        // Ends after `stop`, possibly once the instance is destroyed, so the clip is saved either way.
+        const context = g_context;
+        const recorder = RecorderFn.record(g_context.canvas, () => `${stem}_t${context.frame_tick}.webm`, () => {
+            context.recorder = undefined;
+            g_contexts.has(context.owner) && with_context(context.owner, RecorderFn.#update_gui);
+        });
+
+        EventHandlerFn.reset_all();
+        g_context.recorder = recorder;
+        recorder.start();
+        RecorderFn.#update_gui();
+        EventHandlerFn.restart_animation();
+    }
+
+    /**
+     * Sets up a WebM recording of `canvas_el`, which downloads the clip once stopped. Needs no context, so the page of
+     * a `FlowFieldWorker` records the canvas it handed over the same way.
+     * @param {HTMLCanvasElement} canvas_el @param {() => string} get_filename - Called when the recording ends.
+     * @param {() => void} [on_end] - Called after the download.
+     * @returns {MediaRecorder} Not started yet.
+     */
+    static record(canvas_el, get_filename, on_end = () => { }) {
+        if (typeof MediaRecorder === "undefined" || typeof canvas_el.captureStream !== "function")
+            throw new Error("Recording needs MediaRecorder and canvas.captureStream, which this browser lacks.");
+        const mime_type = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"].find((type) => MediaRecorder.isTypeSupported(type));
+        if (mime_type === undefined) throw new Error("This browser cannot record WebM video.");
+
+        /** @type {Blob[]} */
+        const chunks = [];
+        const recorder = new MediaRecorder(canvas_el.captureStream(RECORDING_FPS), { mimeType: mime_type });
+        recorder.addEventListener("dataavailable", (ev) => ev.data.size > 0 && chunks.push(ev.data));
+        recorder.addEventListener("stop", () => {
+            ExportFn.download_blob(new Blob(chunks, { type: "video/webm" }), get_filename());
+            on_end();
+        });
+        return recorder;
+    }
+
+    /** Stops a live recording, if any, which downloads the clip. Safe to call when not recording. */
+    static stop_live() {
+        if (RecorderFn.is_recording()) g_context.recorder.stop();
+    }
+
+    /**
+     * Plays the run history back off screen and captures every `step`-th frame tick as a numbered PNG, so the
+     * sequence is frame accurate regardless of how fast the live loop ran. Frames are encoded asynchronously, as an
+     * `OffscreenCanvas` in a worker can only be, but each is copied when its tick is played back.
+     * @param {number} [step=10] - Frame ticks between captured frames.
+     * @returns {Promise<{name: string, data: Uint8Array}[]>}
+     */
+    static async capture_frames(step = 10) {
+        if (!Number.isInteger(step) || step < 1) throw new RangeError(`Expected frame step to be a positive integer. Got ${step}.`);
+
+        /** @type {Promise<{name: string, data: Uint8Array}>[]} */
+        const frames = [];
+        const digits = String(g_context.frame_tick).length;
+        ExportFn.render_at_scale(1, {
+            on_tick: (layer, tick) => {
+                if (tick % step !== 0 && tick !== g_context.frame_tick) return;
+                const name = `frame_${String(tick).padStart(digits, "0")}.png`;
+                frames.push(CanvasFn.canvas_to_blob(ExportFn.with_background(layer)).then(async (blob) => ({ name, data: new Uint8Array(await blob.arrayBuffer()) })));
+            },
+        });
+        return Promise.all(frames);
+    }
+
+    /**
+     * Renders the PNG sequence of the run so far as a ZIP archive. The file name is taken before encoding.
+     * @param {number} [step=10] @returns {Promise<RenderedFile>}
+     */
+    static async render_frames(step = 10) {
+        const filename = `${DataExportFn.file_stem()}_frames.zip`;
+        const notice = RunHistoryFn.notice(g_context.history, "frames");
+        return { blob: ZipFn.store(await RecorderFn.capture_frames(step)), filename, notice };
+    }
+
+    static #update_gui() {
+        g_context.has_controls && GuiFn.write_record_label(RecorderFn.is_recording());
+    }
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// CANVAS SIMULATION SETUP
+
+/*
+  Double buffering
+  - Perform drawing operations on ctx_offscreen.
+  - Copy the canvas_offscreen to the main canvas.
+  @example ctx.drawImage(canvas_offscreen, 0, 0);
+*/
+
+/**
+ * State of one `FlowFieldCanvas`: the `SimulationContext` of its run plus its canvases, listeners and animation
+ * loop. `g_context` is one of these while a `FlowFieldCanvas` is current.
+ * @typedef {ReturnType<typeof create_canvas_context>} CanvasContext
+ */
+
+/**
+ * Creates the initial state of a `FlowFieldCanvas` on `canvas_el`: that of its run, see `create_context`, and what
+ * drawing it and binding it to the page take. Nothing is drawn or sized until it is made current.
+ * @param {FlowFieldCanvas} owner @param {HTMLCanvasElement|OffscreenCanvas} canvas_el @param {SetupOptions} [options]
+ */
+function create_canvas_context(owner, canvas_el, { fit_window = false, url_state = false, controls = false } = {}) {
+    const context = create_context(owner, canvas_el);
+    const canvas_ctx = canvas_el.getContext("2d");
+    if (!canvas_ctx) throw new TypeError(`Expected a canvas element with a 2D context. Got ${canvas_el}.`);
+    const field_canvas = CanvasFn.create_canvas(canvas_el.width, canvas_el.height);
+    const field_ctx = field_canvas.getContext("2d");
+    if (canvas_el.style) canvas_el.style.background = CANVAS_BACKGROUND; // An `OffscreenCanvas` is styled by its element.
+    canvas_ctx.imageSmoothingEnabled = true;
+    canvas_ctx.imageSmoothingQuality = "high";
+    field_ctx.imageSmoothingEnabled = true;
+    field_ctx.imageSmoothingQuality = "high";
+
+    return {
+        ...context,
+        /** @type {CanvasRenderingContext2D} */
+        ctx: canvas_ctx,
+        /**@type {HTMLCanvasElement} */
+        canvas_field_offscreen: field_canvas,
+        /** @type {CanvasRenderingContext2D} */
+        ctx_field_offscreen: field_ctx,
+        /** Whether the canvas is sized to the window on reset, else it keeps its own size. */
+        fit_window: fit_window,
+        /** Whether the run is mirrored to the page URL, see `PageUrlFn.sync_url`. */
+        url_state: url_state,
+        /** Whether this instance drives the page's `.controls_panel`, keyboard shortcuts and `#gui_fps`. */
+        has_controls: controls,
+        /** Undo every listener and subscription of the instance, on `destroy`. @type {(() => void)[]} */
+        disposers: [],
+        /** @type {Set<(frame_tick: number) => void>} */
+        frame_listeners: new Set(),
+        /** @type {Set<(frame_tick: number) => void>} */
+        stop_listeners: new Set(),
+        /** Called with the measured frame rate every `FPS_READOUT_INTERVAL_MS`, see `GuiFn.update_fps`. @type {Set<(fps: number, frame_ms: number) => void>} */
+        fps_listeners: new Set(),
+        /** @type {() => void} */
+        handle_resize_debounced: Utils.debounce(() => g_contexts.has(owner) && with_context(owner, () => {
+            EventHandlerFn.reset_all();  // For main canvas only.
+            {  // For all other buffer/offscreen canvas.
+                resize_canvas_field_offscreen(g_context.canvas_field_offscreen);
+            }
+        }), 200),
+        /** Live WebM recording, if any. @type {MediaRecorder|undefined} */
+        recorder: undefined,
+        /** @type {Set<string>} */
+        visited_path: new Set(),
+        /** @type {boolean} */
+        frame_tick_animation_is_paused: false,
+        /** @type {number|undefined} */
+        animation_frame_id_handle: undefined,
+        /** Timestamp of the previous animation frame. `undefined` until the loop (re)starts. @type {DOMHighResTimeStamp|undefined} */
+        frame_time_last: undefined,
+        /** Real time not yet simulated, in ms. Always less than one tick after a frame. @type {number} */
+        frame_time_accumulator: 0,
+        /** Frames and their total time since the frame rate was last measured. @type {number} */
+        fps_frames: 0,
+        /** Frames and their total time since the frame rate was last measured. @type {number} */
+        fps_elapsed_ms: 0,
+        /** @type {boolean} */
+        is_drawn_once: false,
+    };
 }
-let g_frame_tick_limit_360deg = 360 / g_frame_tick_limit;
-let g_frame_tick_animation_is_paused = false;
 
-/** @type {FlowField|undefined} */
-let g_flow_field_data;
-/** @type {Particle|undefined} */
-let g_closest_point;
-/** @type {number|undefined} */
-let g_animation_frame_id_handle; // To control the animation loop
-let g_is_drawn_once = false;
+/**
+ * Adds a DOM listener that runs in the current instance's context, and removes it on `destroy`.
+ * @param {EventTarget} target @param {string} type @param {(ev: Event) => void} fn
+ */
+function listen(target, type, fn) {
+    const owner = g_context.owner;
+    /** @param {Event} ev */
+    const listener = (ev) => with_context(owner, () => fn(ev));
+    target.addEventListener(type, listener);
+    g_context.disposers.push(() => target.removeEventListener(type, listener));
+}
 
 // --------------------------------------------------------------------------------------------------------------------
 // FUNCTIONS
 
 /**
- * Animates the flow field and particle.
- * @param {FlowField} ff - Flow field.
+ * Advances the simulation by one frame tick and draws it. Shared by the animation loop and single-stepping.
+ * @param {FlowField} ff - Flow field. @param {number} arrow_size
+ * @returns {boolean} Whether the tick limit has been passed.
  */
-function animate(ff) {
-    const n_data_points = ff.field.length;
-    /** Using a bitwise right shift (>>) for division by 2^log2(n_data_points), which is equivalent to dividing g_cell_count by n_data_points. This optimization is valid when n_data_points is a power of 2.
-     * @example const n_points_per_cell = g_cell_count / n_data_points; */
-    const n_points_per_cell = g_cell_count >> Math.log2(n_data_points);
-    const arrow_size = Utils.clamp(n_points_per_cell / g_scale, ARROW_MIN_SIZE, ARROW_MAX_SIZE);
-
-    // Define draw function for animation
-    function draw() {
-        g_frame_tick += 1;
-
-        const with_particle_trail = true;
-        if (!with_particle_trail) {
-            __DEBUG && console.count("with_particle_trail"); // None
-            CanvasFn.clear_canvas();
-        }
-
-        if (!g_is_drawn_once) {  // PERF: use pre-made sprites.
-            __DEBUG && console.count("g_is_drawn_once"); // 1
-            CanvasFn.clear_canvas();
-            ctx_field_offscreen.clearRect(0, 0, canvas.width, canvas.height);
-            ff.field.forEach((point) => {
-                // Draw visualization based on data.
-                CanvasFn.draw_arrow(
-                    point.x * g_scale,
-                    point.y * g_scale,
-                    Math.atan2(point.v, point.u),
-                    Math.sqrt(point.u ** 2 + point.v ** 2),
-                    arrow_size,
-                    /* color:*/ undefined,
-                    g_field_has_arrows
-                );
-            });
-            // Copy the content of the off-screen canvas to the visible canvas.
-            ctx.drawImage(canvas_field_offscreen, 0, 0); // (42)ms
-            g_is_drawn_once = true;
-        }
+function step_frame(ff, arrow_size) {
+    const was_morphing = g_context.field_morph !== undefined;
+    simulate_tick(ff);
+
+    if (!g_context.config.particle_trail) {
+        __DEBUG && console.count("with_particle_trail"); // None
+        CanvasFn.clear_canvas();
+        g_context.ctx.drawImage(g_context.canvas_field_offscreen, 0, 0);
+    }
 
-        ParticleFn.update_particle_via_field(g_particle, ff.field, /* is_lerped */ true, /* t_interpolate */ 0.95);
-        ParticleFn.draw_particle(g_particle);
+    if (!g_context.is_drawn_once) {  // PERF: use pre-made sprites.
+        __DEBUG && console.count("is_drawn_once"); // 1
+        CanvasFn.clear_canvas();
+        CanvasFn.draw_field_layer(ff, arrow_size);
+        // Copy the content of the off-screen canvas to the visible canvas.
+        g_context.ctx.drawImage(g_context.canvas_field_offscreen, 0, 0); // (42)ms
+        g_context.is_drawn_once = true;
+    }
+
+    // The arrow layer is expensive, so it is only invalidated every few ticks rather than every frame, and once a morph ends.
+    const is_morph_end = was_morphing && g_context.field_morph === undefined;
+    if ((g_context.field_is_animated || was_morphing) && (g_context.frame_tick % g_context.field_arrow_redraw_ticks === 0 || is_morph_end)) {
+        CanvasFn.draw_field_layer(ff, arrow_size);
+        g_context.ctx.drawImage(g_context.canvas_field_offscreen, 0, 0);
+    }
+
+    if (g_context.trail_fade > 0) CanvasFn.fade_canvas(g_context.trail_fade);
+    CanvasFn.draw_particles(g_context.particles);
+    RunHistoryFn.record_frame();
+    g_context.frame_listeners.forEach((listener) => listener(g_context.frame_tick));
+
+    return g_context.frame_tick > g_context.frame_tick_limit;
+}
 
-        if (g_frame_tick > g_frame_tick_limit) {
+/**
+ * Animates the flow field and particle. Does nothing while paused.
+ * Real elapsed time from the `requestAnimationFrame` timestamps fills an accumulator that is drained in fixed
+ * `SIMULATION_TICK_MS` ticks, so a 144 Hz and a 60 Hz display step the simulation equally often per second.
+ * @param {FlowField} ff - Flow field. @param {DOMHighResTimeStamp} [timestamp=performance.now()]
+ */
+function animate(ff, timestamp = performance.now()) {
+    if (g_context.frame_tick_animation_is_paused) return;
+
+    // A (re)start has no previous frame to measure from, so it runs one tick right away.
+    const elapsed = g_context.frame_time_last === undefined ? SIMULATION_TICK_MS : Math.max(0, timestamp - g_context.frame_time_last);
+    g_context.frame_time_last = timestamp;
+    g_context.frame_time_accumulator = Math.min(g_context.frame_time_accumulator + elapsed, SIMULATION_TICK_MS * SIMULATION_MAX_TICKS_PER_FRAME);
+    GuiFn.update_fps(elapsed);
+
+    const arrow_size = CanvasFn.arrow_size(ff);
+    while (g_context.frame_time_accumulator >= SIMULATION_TICK_MS) {
+        g_context.frame_time_accumulator -= SIMULATION_TICK_MS;
+        if (step_frame(ff, arrow_size)) {
             //  Break condition.
-            CanvasFn.stop_animation(g_animation_frame_id_handle);
+            CanvasFn.stop_animation(g_context.animation_frame_id_handle);
+            RecorderFn.stop_live();
             __DEBUG && Logging.log_on_stop_animation();
+            g_context.stop_listeners.forEach((listener) => listener(g_context.frame_tick));
             return;
         }
-        g_animation_frame_id_handle = requestAnimationFrame(() => animate(ff)); // (5.8)ms  //  Request the next frame
+    }
+    const owner = g_context.owner;
+    g_context.animation_frame_id_handle = requestAnimationFrame((t) => with_context(owner, () => animate(ff, t))); // (5.8)ms  //  Request the next frame
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// GUI CONTROLS
+
+/**
+ * What the controls panel and keyboard shortcuts do to a run, on this thread (`GuiFn.local_actions`) or in a worker
+ * (`FlowFieldWorker`). Actions report their own failures in the toast.
+ * @typedef {{
+ *   state: () => SimulationState, sync: () => void, apply_state: (state: Partial<SimulationState>) => void,
+ *   pause_toggle: () => void, stop: () => void, step: (count: number) => void, reload: () => void, shuffle: () => void,
+ *   set_pointer_tool: (tool: EPointerTools) => void, record_toggle: () => void, copy_link: () => void,
+ *   import_grid: (grid: ImportedGrid) => void|Promise<void>,
+ *   render_png: (resolution: string) => Promise<RenderedFile>,
+ *   render_svg: (options: SvgExportOptions) => RenderedFile|Promise<RenderedFile>,
+ *   render_data: (kind: "field"|"trajectories", format: "json"|"csv") => RenderedFile|Promise<RenderedFile>,
+ *   render_frames: (step: number) => Promise<RenderedFile>,
+ * }} PageActions
+ */
+
+/** Live controls in `.controls_panel`. Each writes its state and applies without a page reload. */
+class GuiFn {
+    /** Fills `#field_pattern_select` with every registered pattern. */
+    static populate_pattern_select() {
+        GuiFn.fill_select("field_pattern_select", FieldPatterns.names().map((name) => ({ name, label: FieldPatterns.label(name) })), g_context.cur_field_pattern);
+    }
+
+    /** Fills `#particle_palette_select` with every registered palette. */
+    static populate_palette_select() {
+        GuiFn.fill_select("particle_palette_select", Palettes.names().map((name) => ({ name, label: Palettes.get(name).label })), g_context.particle_palette);
+    }
+
+    /** @param {string} id @param {{name: string, label: string}[]} entries @param {string} value - Selected name. */
+    static fill_select(id, entries, value) {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.replaceChildren(...entries.map(({ name, label }) => {
+            const option = document.createElement("option");
+            option.value = name;
+            option.textContent = label;
+            return option;
+        }));
+        select.value = value;
+    }
+
+    /** Writes the current state into the controls and labels, e.g. after a shuffle or a link was opened. */
+    static sync_controls() {
+        g_context.has_controls && GuiFn.write_controls(UrlStateFn.capture(), FieldPatterns.label(g_context.cur_field_pattern));
+    }
+
+    /** Writes `state` into the controls and labels. @param {SimulationState} state @param {string} pattern_label */
+    static write_controls(state, pattern_label) {
+        /** @param {string} id @param {string|number|boolean} value */
+        const set = (id, value) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            if (typeof value === "boolean") el.checked = value;
+            else el.value = String(value);
+        };
+        const label = document.getElementById("cur_field_pattern_name");
+        if (label) label.textContent = pattern_label;
+        const seed = document.getElementById("gui_seed");
+        if (seed) seed.textContent = `seed ${state.seed}`;
+        set("field_pattern_select", state.pattern);
+        set("field_shape_input", state.shape);
+        set("field_steps_select", state.steps);
+        set("field_arrows_toggle", state.arrows);
+        set("field_view_select", state.view);
+        set("particle_count_input", state.count);
+        set("particle_speed_input", state.speed);
+        set("particle_t_interpolate_input", state.t_interpolate);
+        set("trail_fade_input", state.fade);
+        set("particle_palette_select", state.palette);
+        set("particle_color_by_select", state.color_by);
+        set("particle_blend_select", state.blend);
+        if (state.gradient.length > 0) set("particle_gradient_input", state.gradient.join(","));
+        set("particle_integrator_select", state.integrator);
+        set("boundary_mode_select", state.boundary);
+        set("obstacles_deflect_toggle", state.deflect);
+    }
+
+    /** @param {boolean} is_paused */
+    static write_pause_label(is_paused) {
+        const label = document.querySelector("label[for='pause_toggle']");
+        if (label) label.textContent = is_paused ? "Resume" : "Pause";
+    }
+
+    /** @param {boolean} is_recording */
+    static write_record_label(is_recording) {
+        const label = document.querySelector("label[for='record_toggle']");
+        if (label) label.textContent = is_recording ? "Recording..." : "Record";
+    }
+
+    /**
+     * Measures displayed frames. Every `FPS_READOUT_INTERVAL_MS` it refreshes `#gui_fps` and tells `fps_listeners`.
+     * @param {number} elapsed - Time since the previous frame, in ms.
+     */
+    static update_fps(elapsed) {
+        g_context.fps_frames += 1;
+        g_context.fps_elapsed_ms += elapsed;
+        if (g_context.fps_elapsed_ms < FPS_READOUT_INTERVAL_MS) return;
+
+        const frame_ms = g_context.fps_elapsed_ms / g_context.fps_frames;
+        const fps = Math.round(1000 / frame_ms);
+        g_context.has_controls && GuiFn.write_fps(fps, frame_ms);
+        g_context.fps_listeners.forEach((listener) => listener(fps, frame_ms));
+        g_context.fps_frames = 0;
+        g_context.fps_elapsed_ms = 0;
+    }
+
+    /** @param {number} fps - Displayed frames per second. @param {number} frame_ms - Mean time between them, in ms. */
+    static write_fps(fps, frame_ms) {
+        const el = document.getElementById("gui_fps");
+        if (el) el.textContent = `${fps}fps ${frame_ms.toFixed(1)}ms`;
+    }
+
+    /** Binds the page's controls panel and keyboard shortcuts to the current instance. */
+    static bind_page() {
+        const owner = g_context.owner;
+        listen(g_context.canvas, "dragover", (ev) => ev.preventDefault());
+        listen(g_context.canvas, "drop", (ev) => {
+            ev.preventDefault();
+            const file = ev.dataTransfer?.files?.[0];
+            file && EventHandlerFn.handle_import_file(file, (grid) => with_context(owner, () => EventHandlerFn.import_grid(grid)));
+        });
+        g_context.disposers.push(
+            FieldPatterns.subscribe(() => with_context(owner, GuiFn.populate_pattern_select)),
+            Palettes.subscribe(() => with_context(owner, GuiFn.populate_palette_select))
+        );
+        GuiFn.populate_pattern_select();
+        GuiFn.populate_palette_select();
+        GuiFn.bind_panel(GuiFn.local_actions(), listen);
+        GuiFn.sync_controls();
+    }
+
+    /** @returns {PageActions} Actions on the current instance. Each runs in its context, as its listener does. */
+    static local_actions() {
+        const owner = g_context.owner;
+        /** @template T @param {() => T} fn @returns {() => T} */
+        const run = (fn) => () => with_context(owner, fn);
+        return {
+            state: run(UrlStateFn.capture),
+            sync: run(GuiFn.sync_controls),
+            apply_state: (state) => with_context(owner, () => EventHandlerFn.apply_state(state)),
+            pause_toggle: run(EventHandlerFn.handle_pause_toggle),
+            stop: run(EventHandlerFn.handle_stop_animation),
+            step: (count) => with_context(owner, () => {
+                try {
+                    EventHandlerFn.handle_step(count);
+                } catch (err) {
+                    console.warn(err);
+                    Logging.notify_user(err.message);
+                }
+            }),
+            reload: run(() => {
+                EventHandlerFn.reset_all();
+                EventHandlerFn.restart_animation();
+            }),
+            shuffle: run(EventHandlerFn.handle_shuffle_field_pattern),
+            set_pointer_tool: (tool) => owner.setPointerTool(tool),
+            record_toggle: run(EventHandlerFn.handle_record_toggle),
+            copy_link: run(() => EventHandlerFn.handle_copy_link(UrlStateFn.capture())),
+            import_grid: (grid) => with_context(owner, () => EventHandlerFn.import_grid(grid)),
+            render_png: (resolution) => with_context(owner, () => ExportFn.render_png(resolution)),
+            render_svg: (options) => with_context(owner, () => ExportFn.render_svg(options)),
+            render_data: (kind, format) => with_context(owner, () => DataExportFn.render_data(kind, format)),
+            render_frames: (step) => with_context(owner, () => RecorderFn.render_frames(step)),
+        };
+    }
+
+    /**
+     * Binds the buttons, controls and keyboard shortcuts of the page to `actions`.
+     * @param {PageActions} actions
+     * @param {(target: EventTarget, type: string, fn: (ev: Event) => void) => void} listen - Adds a listener removed on `destroy`.
+     */
+    static bind_panel(actions, listen) {
+        /** @param {string} id @param {string} type @param {(ev: Event) => void} fn */
+        const on = (id, type, fn) => {
+            const el = document.getElementById(id);
+            el && listen(el, type, fn);
+        };
+        on("pause_toggle", "click", (_) => {
+            actions.pause_toggle();
+        });
+        on("stop_animation_toggle", "click", (_) => {
+            actions.stop();
+        });
+        on("step_toggle", "click", (_) => {
+            actions.step(Number(document.getElementById("step_count_input").value));
+        });
+        on("record_toggle", "click", (_) => {
+            actions.record_toggle();
+        });
+        on("export_frames_toggle", "click", (_) => {
+            const step = Number(document.getElementById("record_frame_step_input")?.value || 10);
+            EventHandlerFn.export_with("frames", () => actions.render_frames(step));
+        });
+        on("reload_animation_toggle", "click", (_) => {
+            actions.reload();
+        });
+        on("shuffle_field_toggle", "click", (_) => {
+            actions.shuffle();
+        });
+        on("export_png_toggle", "click", (_) => {
+            const resolution = document.getElementById("export_resolution_input")?.value || "4x";
+            EventHandlerFn.export_with(`${resolution} PNG`, () => actions.render_png(resolution));
+        });
+        on("export_svg_toggle", "click", (_) => {
+            const stroke_width = Number(document.getElementById("svg_stroke_width_input")?.value || 1);
+            const separate_layers = document.getElementById("svg_layers_toggle")?.checked ?? true;
+            EventHandlerFn.export_with("SVG", () => actions.render_svg({ stroke_width, separate_layers }));
+        });
+        on("export_data_toggle", "click", (_) => {
+            // e.g. `"field.csv"`.
+            const [kind, format] = (document.getElementById("data_export_select")?.value ?? "field.json").split(".");
+            EventHandlerFn.export_with(`${kind} ${format.toUpperCase()}`, () => actions.render_data(/** @type {"field"|"trajectories"} */(kind), /** @type {"json"|"csv"} */(format)));
+        });
+        on("pointer_tool_select", "change", (ev) => {
+            actions.set_pointer_tool(ev.target.value);
+        });
+        on("copy_link_toggle", "click", (_) => {
+            actions.copy_link();
+        });
+        on("field_import_input", "change", (ev) => {
+            const file = ev.target.files?.[0];
+            file && EventHandlerFn.handle_import_file(file, actions.import_grid);
+            ev.target.value = ""; // Picking the same file again still imports it.
+        });
+        listen(window, "keydown", (ev) => EventHandlerFn.handle_keydown(ev, actions));
+        GuiFn.bind_controls(actions, listen);
     }
 
-    // Start the animation loop
-    if (!g_frame_tick_animation_is_paused) {
-        draw();
+    /**
+     * Binds every live control to its state.
+     * @param {PageActions} actions @param {(target: EventTarget, type: string, fn: (ev: Event) => void) => void} listen
+     */
+    static bind_controls(actions, listen) {
+        /**
+         * @param {string} id @param {string} type - Event type.
+         * @param {(el: HTMLInputElement | HTMLSelectElement) => Partial<SimulationState>} read - Validates the control's value.
+         */
+        const bind = (id, type, read) => {
+            const el = document.getElementById(id);
+            el && listen(el, type, (ev) => {
+                try {
+                    actions.apply_state(read(ev.target));
+                } catch (err) {
+                    console.warn(err);
+                    Logging.notify_user(err.message);
+                    actions.sync();
+                }
+            });
+        };
+        /** @param {string} key @param {string} text @param {number} min @param {number} max */
+        const parse_number = (key, text, min, max) => {
+            const value = Number(text);
+            if (text === "" || !Number.isFinite(value) || value < min || value > max) throw new RangeError(`Expected ${key} to be in [${min}, ${max}]. Got ${text}.`);
+            return value;
+        };
+
+        // Field settings need a new field, so they go through a rebuild and reset, see `EventHandlerFn.apply_state`.
+        bind("field_pattern_select", "change", (el) => ({ pattern: el.value, params: {} }));
+        bind("field_shape_input", "change", (el) => ({ shape: parse_number("field shape", el.value, 10, 2 ** 8) }));
+        bind("field_steps_select", "change", (el) => ({ steps: Number(el.value) }));
+        bind("field_arrows_toggle", "change", (el) => ({ arrows: el.checked }));
+        bind("field_view_select", "change", (el) => ({ view: el.value }));
+        bind("particle_count_input", "change", (el) => {
+            const count = parse_number("particle count", el.value, 0, PARTICLE_COUNT_MAX);
+            if (!Number.isInteger(count)) throw new TypeError(`Expected particle count to be an integer. Got ${el.value}.`);
+            return { count };
+        });
+        // Particle look and motion apply on the next frame.
+        bind("particle_speed_input", "input", (el) => ({ speed: parse_number("speed", el.value, 0, PARTICLE_SPEED_MULTIPLIER_MAX) }));
+        bind("particle_t_interpolate_input", "input", (el) => ({ t_interpolate: parse_number("interpolation", el.value, 0, 1) }));
+        bind("trail_fade_input", "input", (el) => ({ fade: parse_number("trail fade", el.value, 0, 1) }));
+        bind("particle_palette_select", "change", (el) => ({ palette: el.value }));
+        bind("particle_color_by_select", "change", (el) => ({ color_by: el.value }));
+        bind("particle_blend_select", "change", (el) => ({ blend: el.value }));
+        bind("particle_gradient_input", "change", (el) => {
+            const gradient = Palettes.parse_gradient(el.value);
+            const { color_by } = actions.state();
+            return { gradient, palette: "CUSTOM", color_by: color_by === E_COLOR_MAPPINGS.SOLID ? E_COLOR_MAPPINGS.SPEED : color_by };
+        });
+        bind("particle_integrator_select", "change", (el) => ({ integrator: el.value }));
+        bind("boundary_mode_select", "change", (el) => ({ boundary: el.value }));
+        bind("obstacles_deflect_toggle", "change", (el) => ({ deflect: el.checked }));
+        bind("obstacles_clear_toggle", "click", (_) => ({ obstacles: [] }));
     }
 }
 
+// --------------------------------------------------------------------------------------------------------------------
+// PUBLIC API
+
 /**
- * Main entrypoint.
- * @returns {void}
+ * A flow field simulation on a canvas. Each instance has its own state, so several can run on one page.
+ * @example
+ * const sim = new FlowFieldCanvas(document.querySelector("canvas"), { state: { pattern: "CURL_NOISE", seed: 42 } });
+ * sim.onStop((tick) => console.log(`Stopped at ${tick}.`));
+ * sim.start();
  */
-function main() {
-    window.addEventListener("resize", EventHandlerFn.handle_resize);
-    animate(g_field_instance);
+class FlowFieldCanvas {
+    #is_destroyed = false;
+
+    /**
+     * Runs in a `FlowFieldWorker` where the browser can draw in workers, so the page never waits on the simulation,
+     * else on the main thread. Either way the controls panel and URL state stay bound to the page.
+     * @param {HTMLCanvasElement} canvas_el
+     * @param {ConstructorParameters<typeof FlowFieldCanvas>[1] & {worker?: boolean, worker_url?: URL|string}} [options] -
+     *   `worker: false` always runs on the main thread.
+     * @returns {FlowFieldCanvas|FlowFieldWorker}
+     */
+    static create(canvas_el, { worker = true, worker_url = undefined, ...options } = {}) {
+        if (worker && FlowFieldWorker.is_supported(canvas_el))
+            return new FlowFieldWorker(canvas_el, { ...options, worker_url });
+        return new FlowFieldCanvas(canvas_el, options);
+    }
+
+    /**
+     * @param {HTMLCanvasElement} canvas_el
+     * @param {SetupOptions & {state?: Partial<SimulationState>, config?: Partial<Config>}} [options] - `state` is
+     *   validated like a link, see `UrlStateFn.decode`. `fit_window` sizes the canvas to the window; `url_state`
+     *   reads and mirrors the run in the page URL; `controls` binds the page's controls panel. All default to false.
+     */
+    constructor(canvas_el, { state = {}, config = {}, ...setup } = {}) {
+        if (typeof canvas_el?.getContext !== "function") throw new TypeError(`Expected a canvas element or an OffscreenCanvas. Got ${canvas_el}.`);
+        g_contexts.set(this, create_canvas_context(this, canvas_el, setup));
+        this.#run(() => {
+            ConfigFn.override(config, g_context.config);
+            const decoded = UrlStateFn.decode(`?${UrlStateFn.encode({ ...UrlStateFn.capture(), params: {}, ...state })}`, "");
+            if (decoded.errors.length > 0) throw decoded.errors[0];
+            UrlStateFn.apply(decoded.state);
+
+            // An `OffscreenCanvas` gets no pointer events. `FlowFieldWorker` forwards those of its element.
+            if (g_context.canvas.style) {
+                g_context.canvas.style.touchAction = "none"; // Keep touch drags on the canvas from scrolling or zooming the page.
+                listen(g_context.canvas, "pointerdown", PointerFn.handle_pointer_down);
+                listen(g_context.canvas, "pointermove", PointerFn.handle_pointer_move);
+                listen(g_context.canvas, "pointerup", PointerFn.handle_pointer_up);
+                listen(g_context.canvas, "pointercancel", PointerFn.handle_pointer_up);
+            }
+            g_context.fit_window && listen(window, "resize", EventHandlerFn.handle_resize);
+            if (g_context.url_state) {
+                listen(window, "hashchange", (_) => {
+                    EventHandlerFn.handle_url_state();
+                    EventHandlerFn.restart_animation();
+                });
+                EventHandlerFn.handle_url_state();
+            } else {
+                g_context.field_instance = new FlowField(g_context.field_shape, g_context.field_shape, g_context.field_steps, g_context.cur_field_pattern, g_context.field_params);
+                EventHandlerFn.reset_all();
+                resize_canvas_field_offscreen(g_context.canvas_field_offscreen);
+            }
+            g_context.has_controls && GuiFn.bind_page();
+            // Not running until `start`.
+            g_context.frame_tick_animation_is_paused = true;
+        });
+    }
+
+    /** Starts, or resumes, the animation. */
+    start() {
+        this.#run(() => g_context.frame_tick_animation_is_paused && EventHandlerFn.restart_animation());
+    }
+
+    /** Pauses the animation, keeping the trails and frame tick. */
+    pause() {
+        this.#run(() => !g_context.frame_tick_animation_is_paused && EventHandlerFn.handle_pause_toggle());
+    }
+
+    /** Ends the run, stopping a live recording and calling `onStop` listeners. `start` resumes it. */
+    stop() {
+        this.#run(() => EventHandlerFn.handle_stop_animation());
+    }
+
+    /** Pauses and advances `count` frame ticks. @param {number} [count=1] */
+    step(count = 1) {
+        this.#run(() => EventHandlerFn.handle_step(count));
+    }
+
+    /** Restarts the run from its seed. */
+    reset() {
+        this.#run(() => {
+            EventHandlerFn.reset_all();
+            EventHandlerFn.restart_animation();
+        });
+    }
+
+    /**
+     * Fits the canvas to a viewport of `width` by `height` pixels, square if `square_canvas`, and restarts the run.
+     * @param {number} width @param {number} height
+     */
+    resize(width, height) {
+        if (!(Number.isInteger(width) && width > 0 && Number.isInteger(height) && height > 0))
+            throw new RangeError(`Expected a positive integer width and height. Got ${width}x${height}.`);
+        this.#run(() => {
+            CanvasFn.fit_canvas(width, height);
+            EventHandlerFn.reset_all();
+            resize_canvas_field_offscreen(g_context.canvas_field_offscreen);
+            !g_context.frame_tick_animation_is_paused && EventHandlerFn.restart_animation();
+        });
+    }
+
+    /** Renders the run as PNG, see `ExportFn.render_png`. Nothing is downloaded. @param {string} [resolution="1x"] @returns {Promise<RenderedFile>} */
+    renderPng(resolution = "1x") {
+        return this.#run(() => ExportFn.render_png(resolution));
+    }
+
+    /** Renders the run as SVG, see `ExportFn.to_svg`. Nothing is downloaded. @param {SvgExportOptions} [options] @returns {RenderedFile} */
+    renderSvg(options) {
+        return this.#run(() => ExportFn.render_svg(options));
+    }
+
+    /**
+     * Exports the live field or the particle trajectories with metadata, see `DataExportFn.data_text`. Nothing is downloaded.
+     * @param {"field"|"trajectories"} kind @param {"json"|"csv"} [format="json"] @returns {RenderedFile}
+     */
+    renderData(kind, format = "json") {
+        return this.#run(() => DataExportFn.render_data(kind, format));
+    }
+
+    /**
+     * Renders every `step`-th frame tick of the run so far as a ZIP of PNGs, see `RecorderFn.capture_frames`.
+     * Nothing is downloaded. @param {number} [step=10] @returns {Promise<RenderedFile>}
+     */
+    renderFrames(step = 10) {
+        return this.#run(() => RecorderFn.render_frames(step));
+    }
+
+    /**
+     * Switches to a registered field pattern and restarts the run.
+     * @param {string} name - See `FieldPatterns.names`. @param {Record<string, number>} [params] - Overrides of its defaults.
+     */
+    setPattern(name, params = {}) {
+        this.#run(() => {
+            FieldPatterns.resolve_params(name, params); // Throws on unknown names or invalid params.
+            g_context.cur_field_pattern = name;
+            g_context.field_params = { ...params };
+            EventHandlerFn.rebuild_field();
+        });
+    }
+
+    /**
+     * Changes some settings of the run the way the controls panel does, see `EventHandlerFn.apply_state`: field
+     * settings rebuild the field, run settings restart it, and the rest apply on the next frame.
+     * @param {Partial<SimulationState>} state - Validated like a link, see `UrlStateFn.validate`.
+     */
+    setState(state) {
+        this.#run(() => EventHandlerFn.apply_state(UrlStateFn.validate(state)));
+    }
+
+    /** Morphs into another registered field pattern, picked by the run's PRNG. */
+    shuffle() {
+        this.#run(() => EventHandlerFn.handle_shuffle_field_pattern());
+    }
+
+    /** Registers `grid` as this instance's imported pattern and restarts the run on it, see `ImportFn.register`. @param {ImportedGrid} grid */
+    importField(grid) {
+        this.#run(() => EventHandlerFn.import_grid(grid));
+    }
+
+    /** Picks what dragging on the canvas does. @param {EPointerTools} tool */
+    setPointerTool(tool) {
+        if (!Object.hasOwn(E_POINTER_TOOLS, tool)) throw new TypeError(`Expected a pointer tool, one of ${Object.keys(E_POINTER_TOOLS)}. Got ${tool}.`);
+        this.#run(() => (g_context.pointer_tool = tool));
+    }
+
+    /**
+     * Registers a field pattern for this instance only, see `FieldPatterns.register`. Use `FieldPatterns.register` at
+     * module level to share one with every instance.
+     * @param {string} name @param {PatternFn} fn @param {Parameters<typeof FieldPatterns.register>[2]} [options]
+     */
+    registerPattern(name, fn, options) {
+        this.#run(() => FieldPatterns.register(name, fn, options));
+    }
+
+    /** Registers a palette for this instance only, see `Palettes.register`. @param {string} name @param {Parameters<typeof Palettes.register>[1]} options */
+    registerPalette(name, options) {
+        this.#run(() => Palettes.register(name, options));
+    }
+
+    /** Overrides runtime options, see `CONFIG_SCHEMA`. @param {Partial<Config>} partial */
+    configure(partial) {
+        this.#run(() => {
+            ConfigFn.override(partial, g_context.config);
+            EventHandlerFn.handle_config_change(partial);
+        });
+    }
+
+    /** @returns {SimulationState} Snapshot of the run's settings. */
+    get state() {
+        return this.#run(() => UrlStateFn.capture());
+    }
+
+    /** @returns {number} */
+    get frameTick() {
+        return this.#run(() => g_context.frame_tick);
+    }
+
+    /** @returns {boolean} Whether the animation is paused, stopped or not started yet. */
+    get paused() {
+        return this.#run(() => g_context.frame_tick_animation_is_paused);
+    }
+
+    /** Calls `fn` after every simulated frame tick. @param {(frame_tick: number) => void} fn @returns {() => void} Unsubscribes. */
+    onFrame(fn) {
+        return this.#run(() => add_listener(g_context.frame_listeners, fn));
+    }
+
+    /** Calls `fn` when the run reaches its tick limit or is stopped. @param {(frame_tick: number) => void} fn @returns {() => void} Unsubscribes. */
+    onStop(fn) {
+        return this.#run(() => add_listener(g_context.stop_listeners, fn));
+    }
+
+    /**
+     * Calls `fn` with the measured rate and mean time of displayed frames, every `FPS_READOUT_INTERVAL_MS` while running.
+     * @param {(fps: number, frame_ms: number) => void} fn @returns {() => void} Unsubscribes.
+     */
+    onFps(fn) {
+        return this.#run(() => add_listener(g_context.fps_listeners, fn));
+    }
+
+    /** Stops the animation and any recording, and removes every listener. The instance cannot be used afterwards. */
+    destroy() {
+        this.#run(() => {
+            g_context.animation_frame_id_handle !== undefined && CanvasFn.stop_animation(g_context.animation_frame_id_handle);
+            RecorderFn.stop_live();
+            g_context.disposers.forEach((dispose) => dispose());
+            g_context.disposers.length = 0;
+            g_context.frame_listeners.clear();
+            g_context.stop_listeners.clear();
+            g_context.fps_listeners.clear();
+        });
+        g_contexts.delete(this);
+        this.#is_destroyed = true;
+    }
+
+    /** @template T @param {() => T} fn @returns {T} */
+    #run(fn) {
+        if (this.#is_destroyed) throw new Error("Expected a live FlowFieldCanvas. Got a destroyed one.");
+        return with_context(this, fn);
+    }
 }
 
 // --------------------------------------------------------------------------------------------------------------------
-// DOM EVENT LISTENERS GUI SETUP
-
-document.getElementById("stop_animation_toggle")?.addEventListener("click", (_) => {
-    CanvasFn.stop_animation(g_animation_frame_id_handle);
-});
-document.getElementById("reload_animation_toggle")?.addEventListener("click", (_) => {
-    CanvasFn.stop_animation(g_animation_frame_id_handle);
-    EventHandlerFn.reset_all();
-    animate(g_field_instance);
-});
-document.getElementById("shuffle_field_toggle")?.addEventListener("click", (_) => {
-    EventHandlerFn.handle_shuffle_field_pattern();
-});
-document.getElementById("gui_fps").textContent = `${Math.floor(FPS_RESISTANCE / FPS_MULTIPLIER)}fps`;
+// WORKER
 
-// --------------------------------------------------------------------------------------------------------------------
-// SCRIPT EXECUTION
+/**
+ * Requests of `FlowFieldWorker` to its worker. Those with an `id` are answered by a `reply` of the same `id`. The
+ * setup options of `FlowFieldCanvas` stay on the page: `FlowFieldWorker` fits the canvas with `resize` requests, and
+ * binds the URL and the controls panel to `set_state` and the other requests.
+ * @typedef {{id?: number} & (
+ *   {type: "init", canvas: OffscreenCanvas, state: Partial<SimulationState>, config: Partial<Config>} |
+ *   {type: "start"} | {type: "pause"} | {type: "stop"} | {type: "reset"} | {type: "shuffle"} | {type: "destroy"} |
+ *   {type: "step", count: number} |
+ *   {type: "set_pattern", name: string, params: Record<string, number>} |
+ *   {type: "set_state", state: Partial<SimulationState>} |
+ *   {type: "set_pointer_tool", tool: EPointerTools} |
+ *   {type: "import", grid: ImportedGrid} |
+ *   {type: "configure", partial: Partial<Config>} |
+ *   {type: "resize", width: number, height: number} |
+ *   {type: "pointer", phase: "down"|"move"|"up", pointer_id: number, fx: number, fy: number} |
+ *   {type: "render", format: "png"|"svg", resolution?: string, options?: SvgExportOptions} |
+ *   {type: "render", format: "json"|"csv", kind: "field"|"trajectories"} |
+ *   {type: "render", format: "frames", step: number}
+ * )} WorkerRequest
+ */
+
+/**
+ * Registered names and labels, as the page's selects list them.
+ * @typedef {{patterns: {name: string, label: string}[], palettes: {name: string, label: string}[]}} WorkerRegistries
+ */
+
+/**
+ * Messages of the worker to `FlowFieldWorker`. A `reply` carries the request's result and the run after it, or the
+ * error it threw.
+ * @typedef {{type: "reply", id: number, result?: any, error?: Error, state?: SimulationState, frame_tick?: number,
+ *   paused?: boolean, registries?: WorkerRegistries} |
+ *   {type: "frame", frame_tick: number} | {type: "stop", frame_tick: number} | {type: "fps", fps: number, frame_ms: number}} WorkerEvent
+ */
+
+/** The worker side of `FlowFieldWorker`: runs a `FlowFieldCanvas` on the transferred canvas and answers requests. */
+class WorkerFn {
+    /** Serves `WorkerRequest`s, see flow_field_worker.js. @param {DedicatedWorkerGlobalScope} scope */
+    static serve(scope) {
+        // Not every browser animates in workers. Timers drive the same fixed timestep of `animate` there.
+        globalThis.requestAnimationFrame ??= (fn) => setTimeout(() => fn(performance.now()), SIMULATION_TICK_MS);
+        globalThis.cancelAnimationFrame ??= clearTimeout;
+
+        /** @type {FlowFieldCanvas|undefined} */
+        let sim;
+        scope.addEventListener("message", async (ev) => {
+            /** @type {WorkerRequest} */
+            const request = ev.data;
+            /** @type {WorkerEvent} */
+            let reply;
+            try {
+                if (request.type === "init") {
+                    if (sim !== undefined) throw new Error("Expected one init per worker. Got another.");
+                    sim = new FlowFieldCanvas(request.canvas, { state: request.state, config: request.config });
+                    sim.onFrame((frame_tick) => scope.postMessage({ type: "frame", frame_tick }));
+                    sim.onStop((frame_tick) => scope.postMessage({ type: "stop", frame_tick }));
+                    sim.onFps((fps, frame_ms) => scope.postMessage({ type: "fps", fps, frame_ms }));
+                }
+                const result = await WorkerFn.#handle(sim, request);
+                // Requests without an `id`, e.g. every pointer move, get no reply, so skip the snapshot.
+                if (request.id === undefined) return;
+                reply = request.type === "destroy"
+                    ? { type: "reply", id: request.id, result }
+                    : { type: "reply", id: request.id, result, state: sim.state, frame_tick: sim.frameTick, paused: sim.paused, registries: WorkerFn.#registries(sim) };
+            } catch (err) {
+                if (request.id === undefined) {
+                    console.warn(err);
+                    return;
+                }
+                reply = { type: "reply", id: request.id, error: err };
+            }
+            scope.postMessage(reply);
+        });
+    }
+
+    /** @param {FlowFieldCanvas|undefined} sim @param {WorkerRequest} request @returns {any} */
+    static #handle(sim, request) {
+        if (sim === undefined) throw new Error(`Expected "init" before "${request.type}".`);
+        switch (request.type) {
+            case "init":
+                return undefined;
+            case "start":
+                return sim.start();
+            case "pause":
+                return sim.pause();
+            case "stop":
+                return sim.stop();
+            case "step":
+                return sim.step(request.count);
+            case "reset":
+                return sim.reset();
+            case "shuffle":
+                return sim.shuffle();
+            case "set_pattern":
+                return sim.setPattern(request.name, request.params);
+            case "set_state":
+                return sim.setState(request.state);
+            case "set_pointer_tool":
+                return sim.setPointerTool(request.tool);
+            case "import":
+                return sim.importField(request.grid);
+            case "configure":
+                return sim.configure(request.partial);
+            case "resize":
+                return sim.resize(request.width, request.height);
+            case "pointer":
+                return with_context(sim, () => {
+                    if (request.phase === "down") PointerFn.press(request.pointer_id, request.fx, request.fy);
+                    else if (request.phase === "move") PointerFn.drag(request.pointer_id, request.fx, request.fy);
+                    else PointerFn.release(request.pointer_id);
+                });
+            case "render":
+                if (request.format === "json" || request.format === "csv") return sim.renderData(request.kind, request.format);
+                if (request.format === "frames") return sim.renderFrames(request.step);
+                return request.format === "svg" ? sim.renderSvg(request.options) : sim.renderPng(request.resolution);
+            case "destroy":
+                return sim.destroy();
+            default:
+                throw new TypeError(`Expected a known worker request. Got ${request.type}.`);
+        }
+    }
+
+    /** @param {FlowFieldCanvas} sim @returns {WorkerRegistries} */
+    static #registries(sim) {
+        return with_context(sim, () => ({
+            patterns: FieldPatterns.names().map((name) => ({ name, label: FieldPatterns.label(name) })),
+            palettes: Palettes.names().map((name) => ({ name, label: Palettes.get(name).label })),
+        }));
+    }
+}
+
+/**
+ * A `FlowFieldCanvas` run in a Web Worker on the canvas' `OffscreenCanvas`, so simulating and drawing never block the
+ * page. It mirrors the `FlowFieldCanvas` API, except that methods return promises of the worker's reply, and `state`
+ * and `paused` are as of the last reply. The setup options are the page's part: `url_state` and `controls` bind the
+ * page URL and controls panel here, and forward every change to the worker. See `FlowFieldCanvas.create` for a main
+ * thread fallback.
+ * @example
+ * const sim = new FlowFieldWorker(document.querySelector("canvas"), { state: { pattern: "PERLIN" } });
+ * await sim.ready;
+ * await sim.start();
+ */
+class FlowFieldWorker {
+    /** @type {Worker} */
+    #worker;
+    /** @type {HTMLCanvasElement} */
+    #canvas;
+    #next_id = 0;
+    /** @type {Map<number, {resolve: (result: any) => void, reject: (err: Error) => void}>} */
+    #pending = new Map();
+    /** @type {SimulationState|undefined} */
+    #state;
+    /** @type {WorkerRegistries} */
+    #registries = { patterns: [], palettes: [] };
+    #frame_tick = 1;
+    #paused = true;
+    /** Live WebM recording of the page's canvas, if any. @type {MediaRecorder|undefined} */
+    #recorder;
+    /** @type {Set<(frame_tick: number) => void>} */
+    #frame_listeners = new Set();
+    /** @type {Set<(frame_tick: number) => void>} */
+    #stop_listeners = new Set();
+    /** @type {Set<(fps: number, frame_ms: number) => void>} */
+    #fps_listeners = new Set();
+    /** Called after every reply that carries the state, e.g. to sync the controls panel and URL. @type {Set<() => void>} */
+    #reply_listeners = new Set();
+    #has_controls = false;
+    /** @type {(() => void)[]} */
+    #disposers = [];
+    #is_destroyed = false;
+    /** Settles once the worker has set up the run. Rejects with the error of invalid options. @type {Promise<void>} */
+    ready;
+
+    /** @param {HTMLCanvasElement} canvas_el @returns {boolean} Whether a worker can draw on `canvas_el`. */
+    static is_supported(canvas_el) {
+        return typeof Worker === "function" && typeof canvas_el?.transferControlToOffscreen === "function";
+    }
+
+    /**
+     * @param {HTMLCanvasElement} canvas_el - Handed over to the worker: it can no longer be drawn on or resized here.
+     * @param {SetupOptions & {state?: Partial<SimulationState>, config?: Partial<Config>, worker_url?: URL|string}} [options] -
+     *   See `FlowFieldCanvas`. `worker_url` locates flow_field_worker.js, next to this module by default.
+     */
+    constructor(canvas_el, { state = {}, config = {}, fit_window = false, url_state = false, controls = false, worker_url = undefined } = {}) {
+        if (!FlowFieldWorker.is_supported(canvas_el))
+            throw new TypeError("Expected a canvas that can be transferred to a Web Worker. Use FlowFieldCanvas.create to fall back.");
+        this.#canvas = canvas_el;
+        canvas_el.style.background = CANVAS_BACKGROUND;
+        canvas_el.style.touchAction = "none"; // Keep touch drags on the canvas from scrolling or zooming the page.
+
+        // Like `FlowFieldCanvas`, a link wins over the given state.
+        const link_state = url_state ? FlowFieldWorker.#decode_link(state.pattern ?? E_FIELD_PATTERNS.SINUSOIDAL) : {};
+        const offscreen = canvas_el.transferControlToOffscreen();
+        this.#worker = new Worker(worker_url ?? new URL("./flow_field_worker.js", import.meta.url), { type: "module" });
+        this.#listen(this.#worker, "message", (ev) => this.#receive(ev.data));
+        this.#listen(this.#worker, "error", (ev) => this.#reject_all(new Error(`Flow field worker failed: ${ev.message}`)));
+        this.ready = this.#request({ type: "init", canvas: offscreen, state: { ...state, ...link_state }, config }, [offscreen]);
+
+        /** @param {"down"|"move"|"up"} phase */
+        const forward_pointer = (phase) => (ev) => {
+            if (phase === "down") {
+                ev.preventDefault();
+                canvas_el.setPointerCapture(ev.pointerId);
+            }
+            const { fx, fy } = PointerFn.to_fraction(ev, canvas_el);
+            this.#worker.postMessage({ type: "pointer", phase, pointer_id: ev.pointerId, fx, fy });
+        };
+        this.#listen(canvas_el, "pointerdown", forward_pointer("down"));
+        this.#listen(canvas_el, "pointermove", forward_pointer("move"));
+        this.#listen(canvas_el, "pointerup", forward_pointer("up"));
+        this.#listen(canvas_el, "pointercancel", forward_pointer("up"));
+        this.#stop_listeners.add(() => this.#recorder?.state === "recording" && this.#recorder.stop());
+
+        if (fit_window) {
+            const fit = () => this.resize(window.innerWidth, window.innerHeight).catch((err) => console.warn(err));
+            this.ready.then(fit, () => {});
+            this.#listen(window, "resize", Utils.debounce(fit, 200));
+        }
+        if (url_state) {
+            this.#reply_listeners.add(() => PageUrlFn.write_url(this.#state));
+            this.#listen(window, "hashchange", (_) => {
+                this.setState(FlowFieldWorker.#decode_link(this.#state?.pattern))
+                    .then(() => this.reset())
+                    .catch((err) => {
+                        console.warn(err);
+                        Logging.notify_user(err.message);
+                    });
+            });
+        }
+        controls && this.ready.then(() => !this.#is_destroyed && this.#bind_page(), () => {});
+    }
+
+    /** @returns {Promise<void>} */
+    start() {
+        return this.#request({ type: "start" });
+    }
+
+    /** @returns {Promise<void>} */
+    pause() {
+        return this.#request({ type: "pause" });
+    }
+
+    /** @returns {Promise<void>} */
+    stop() {
+        return this.#request({ type: "stop" });
+    }
+
+    /** @param {number} [count=1] @returns {Promise<void>} */
+    step(count = 1) {
+        return this.#request({ type: "step", count });
+    }
+
+    /** @returns {Promise<void>} */
+    reset() {
+        return this.#request({ type: "reset" });
+    }
+
+    /** @returns {Promise<void>} */
+    shuffle() {
+        return this.#request({ type: "shuffle" });
+    }
+
+    /** @param {number} width @param {number} height @returns {Promise<void>} */
+    resize(width, height) {
+        return this.#request({ type: "resize", width, height });
+    }
+
+    /** @param {string} name @param {Record<string, number>} [params] @returns {Promise<void>} */
+    setPattern(name, params = {}) {
+        return this.#request({ type: "set_pattern", name, params });
+    }
+
+    /** @param {Partial<SimulationState>} state @returns {Promise<void>} */
+    setState(state) {
+        return this.#request({ type: "set_state", state });
+    }
+
+    /** @param {EPointerTools} tool @returns {Promise<void>} */
+    setPointerTool(tool) {
+        return this.#request({ type: "set_pointer_tool", tool });
+    }
+
+    /** @param {ImportedGrid} grid @returns {Promise<void>} */
+    importField(grid) {
+        return this.#request({ type: "import", grid });
+    }
+
+    /** @param {Partial<Config>} partial @returns {Promise<void>} */
+    configure(partial) {
+        return this.#request({ type: "configure", partial });
+    }
+
+    /** @param {string} [resolution="1x"] @returns {Promise<RenderedFile>} */
+    renderPng(resolution = "1x") {
+        return this.#request({ type: "render", format: "png", resolution });
+    }
+
+    /** @param {SvgExportOptions} [options] @returns {Promise<RenderedFile>} */
+    renderSvg(options) {
+        return this.#request({ type: "render", format: "svg", options });
+    }
+
+    /** @param {"field"|"trajectories"} kind @param {"json"|"csv"} [format="json"] @returns {Promise<RenderedFile>} */
+    renderData(kind, format = "json") {
+        return this.#request({ type: "render", format, kind });
+    }
 
-/** Initializes the simulation when the DOM content is loaded. */
-document.addEventListener("DOMContentLoaded", (_) => {
-    main();
-});
\ No newline at end of file
+    /** @param {number} [step=10] @returns {Promise<RenderedFile>} */
+    renderFrames(step = 10) {
+        return this.#request({ type: "render", format: "frames", step });
+    }
+
+    /** @returns {SimulationState|undefined} State as of the last reply, `undefined` until `ready`. */
+    get state() {
+        return this.#state;
+    }
+
+    /** @returns {number} */
+    get frameTick() {
+        return this.#frame_tick;
+    }
+
+    /** @returns {boolean} Whether the animation is paused, as of the last reply or stop. */
+    get paused() {
+        return this.#paused;
+    }
+
+    /** @param {(frame_tick: number) => void} fn @returns {() => void} Unsubscribes. */
+    onFrame(fn) {
+        return add_listener(this.#frame_listeners, fn);
+    }
+
+    /** @param {(frame_tick: number) => void} fn @returns {() => void} Unsubscribes. */
+    onStop(fn) {
+        return add_listener(this.#stop_listeners, fn);
+    }
+
+    /** Calls `fn` with the frame rate the worker measures, see `FlowFieldCanvas.onFps`. @param {(fps: number, frame_ms: number) => void} fn @returns {() => void} Unsubscribes. */
+    onFps(fn) {
+        return add_listener(this.#fps_listeners, fn);
+    }
+
+    /** Terminates the worker and removes every listener. Pending requests are rejected. */
+    destroy() {
+        if (this.#is_destroyed) return;
+        this.#is_destroyed = true;
+        this.#worker.terminate();
+        this.#recorder?.state === "recording" && this.#recorder.stop();
+        this.#disposers.forEach((dispose) => dispose());
+        this.#frame_listeners.clear();
+        this.#stop_listeners.clear();
+        this.#fps_listeners.clear();
+        this.#reply_listeners.clear();
+        this.#reject_all(new Error("Expected a live FlowFieldWorker. Got a destroyed one."));
+    }
+
+    /**
+     * Decodes the page URL, reporting invalid values like `EventHandlerFn.handle_url_state`.
+     * @param {string} [pattern] - See `UrlStateFn.decode`. @returns {Partial<SimulationState>}
+     */
+    static #decode_link(pattern) {
+        const { state, errors } = UrlStateFn.decode(window.location.search, window.location.hash, pattern);
+        if (errors.length > 0) {
+            errors.forEach((err) => console.warn(err));
+            Logging.notify_user(`Ignored invalid link settings: ${errors.map((err) => err.message).join(" ")}`);
+        }
+        return state;
+    }
+
+    /** Binds the page's controls panel, keyboard shortcuts and `#gui_fps` to the worker, see `GuiFn.bind_panel`. */
+    #bind_page() {
+        /** @param {Promise<any>} promise */
+        const report = (promise) => promise.catch((err) => {
+            console.warn(err);
+            Logging.notify_user(err.message);
+            this.#sync_controls();
+        });
+        /** @type {PageActions} */
+        const actions = {
+            state: () => this.#state,
+            sync: () => this.#sync_controls(),
+            apply_state: (state) => report(this.setState(state)),
+            pause_toggle: () => report(this.#paused ? this.start() : this.pause()),
+            stop: () => report(this.stop()),
+            step: (count) => report(this.step(count)),
+            reload: () => report(this.reset()),
+            shuffle: () => report(this.shuffle()),
+            set_pointer_tool: (tool) => report(this.setPointerTool(tool)),
+            record_toggle: () => this.#record_toggle(),
+            copy_link: () => EventHandlerFn.handle_copy_link(this.#state),
+            import_grid: (grid) => this.importField(grid),
+            render_png: (resolution) => this.renderPng(resolution),
+            render_svg: (options) => this.renderSvg(options),
+            render_data: (kind, format) => this.renderData(kind, format),
+            render_frames: (step) => this.renderFrames(step),
+        };
+        this.#listen(this.#canvas, "dragover", (ev) => ev.preventDefault());
+        this.#listen(this.#canvas, "drop", (ev) => {
+            ev.preventDefault();
+            const file = ev.dataTransfer?.files?.[0];
+            file && EventHandlerFn.handle_import_file(file, actions.import_grid);
+        });
+        GuiFn.bind_panel(actions, (target, type, fn) => this.#listen(target, type, fn));
+        // The worker presents a frame per animation callback, so the rate it measures is the displayed one.
+        this.#fps_listeners.add((fps, frame_ms) => GuiFn.write_fps(fps, frame_ms));
+        this.#has_controls = true;
+        this.#reply_listeners.add(() => this.#sync_controls());
+        this.#sync_controls();
+    }
+
+    /** Writes the last reply into the controls panel. */
+    #sync_controls() {
+        if (this.#state === undefined) return;
+        GuiFn.fill_select("field_pattern_select", this.#registries.patterns, this.#state.pattern);
+        GuiFn.fill_select("particle_palette_select", this.#registries.palettes, this.#state.palette);
+        const pattern_label = this.#registries.patterns.find(({ name }) => name === this.#state.pattern)?.label ?? this.#state.pattern;
+        GuiFn.write_controls(this.#state, pattern_label);
+        GuiFn.write_pause_label(this.#paused);
+        GuiFn.write_record_label(this.#recorder?.state === "recording");
+    }
+
+    /** Records the page's canvas like `RecorderFn.start_live`, restarting the run, or ends the current clip. */
+    #record_toggle() {
+        if (this.#recorder?.state === "recording") {
+            this.#recorder.stop();
+            return;
+        }
+        try {
+            const { pattern, seed } = this.#state;
+            this.#recorder = RecorderFn.record(this.#canvas, () => `${DataExportFn.file_stem_of(pattern, seed, this.#frame_tick)}.webm`, () => {
+                this.#recorder = undefined;
+                !this.#is_destroyed && GuiFn.write_record_label(false);
+            });
+        } catch (err) {
+            console.error(err);
+            Logging.notify_user(`Recording failed: ${err.message}`);
+            return;
+        }
+        const recorder = this.#recorder;
+        this.reset().then(() => {
+            recorder.start();
+            GuiFn.write_record_label(true);
+        }, (err) => {
+            this.#recorder = undefined;
+            console.error(err);
+            Logging.notify_user(`Recording failed: ${err.message}`);
+        });
+    }
+
+    /** @param {WorkerRequest} request @param {Transferable[]} [transfer] @returns {Promise<any>} */
+    #request(request, transfer = []) {
+        if (this.#is_destroyed) return Promise.reject(new Error("Expected a live FlowFieldWorker. Got a destroyed one."));
+        const id = this.#next_id++;
+        return new Promise((resolve, reject) => {
+            this.#pending.set(id, { resolve, reject });
+            this.#worker.postMessage({ ...request, id }, transfer);
+        });
+    }
+
+    /** @param {WorkerEvent} event */
+    #receive(event) {
+        switch (event.type) {
+            case "reply": {
+                const pending = this.#pending.get(event.id);
+                this.#pending.delete(event.id);
+                if (event.state !== undefined) this.#state = event.state;
+                if (event.frame_tick !== undefined) this.#frame_tick = event.frame_tick;
+                if (event.paused !== undefined) this.#paused = event.paused;
+                if (event.registries !== undefined) this.#registries = event.registries;
+                event.state !== undefined && this.#reply_listeners.forEach((listener) => listener());
+                if (event.error !== undefined) pending?.reject(event.error);
+                else pending?.resolve(event.result);
+                break;
+            }
+            case "frame":
+                this.#frame_tick = event.frame_tick;
+                this.#frame_listeners.forEach((listener) => listener(event.frame_tick));
+                break;
+            case "fps":
+                this.#fps_listeners.forEach((listener) => listener(event.fps, event.frame_ms));
+                break;
+            case "stop":
+                this.#paused = true;
+                this.#stop_listeners.forEach((listener) => listener(event.frame_tick));
+                this.#has_controls && this.#sync_controls();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /** @param {Error} err */
+    #reject_all(err) {
+        this.#pending.forEach(({ reject }) => reject(err));
+        this.#pending.clear();
+    }
+
+    /** @param {EventTarget} target @param {string} type @param {(ev: any) => void} fn */
+    #listen(target, type, fn) {
+        target.addEventListener(type, fn);
+        this.#disposers.push(() => target.removeEventListener(type, fn));
+    }
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// EXPORTS
+
+export {
+    FlowFieldCanvas, FlowFieldWorker, WorkerFn,
+    // The simulation core, see flow_field_core.js.
+    FlowFieldSimulation,
+    FlowField, FlowFieldFn, ImportFn, Particle, ParticleFn, IntegratorFn, BoundaryFn, ObstacleFn, Random, Noise, Utils,
+    // Registries and options.
+    FieldPatterns, CompositeFn, Palettes, ConfigFn, CONFIG_SCHEMA,
+    E_FIELD_PATTERNS, E_FIELD_INTERPOLATIONS, E_FIELD_VIEWS, E_INTEGRATORS, E_BOUNDARY_MODES, E_SPAWN_STRATEGIES, E_COLOR_MAPPINGS,
+};
@@ -0,0 +1,3249 @@
+// static/flow_field_core.js
+
+/**
+ * @fileoverview Simulation core of the flow field, as an ES module: field patterns, the field, particles,
+ * integrators, boundaries, seeded randomness and `FlowFieldSimulation`. It references no DOM, so it runs the same on
+ * a page, in a worker and under Node. flow_field.js draws it on a canvas and re-exports it.
+ */
+
+/** Indicates whether the script is running in debug mode. Never in Node, which has no `location`. @type {boolean} */
+const __DEBUG = globalThis.location?.hostname === "localhost" || globalThis.location?.hostname === "127.0.0.1";
+
+// --------------------------------------------------------------------------------------------------------------------
+// CONSTANTS
+
+/** Golden ratio constant. @type {number} */
+const PHI = 1.61803398875;
+
+const PHI_INV = 1 / PHI;
+
+const PI_INV = 1 / Math.PI;
+
+/** Multiplier for frames per second (ms). @type {number} */
+const FPS_MULTIPLIER = 0.001; //  is this ms?
+
+/** Step scale of particle velocity per simulation tick. Ticks are fixed length, so this no longer depends on the display's refresh rate. @type {number} */
+const FPS_RESISTANCE = (60 * FPS_MULTIPLIER) / 3.65;
+
+/** Field time advanced per frame tick, in seconds, for time-varying fields. @type {number} */
+const FIELD_SECONDS_PER_TICK = 1 / 60;
+
+/** Default field time between recomputed keyframes, in seconds. Frames in between are interpolated. 0 recomputes every frame. */
+const FIELD_KEYFRAME_INTERVAL_DEFAULT = 0.25;
+
+/** Default frame ticks between redraws of the cached arrow layer of a time-varying field. */
+const FIELD_ARROW_REDRAW_TICKS_DEFAULT = 30;
+
+/** Default number of particles simulated per run. @type {number} */
+const PARTICLE_COUNT_DEFAULT = 2 ** 9;
+
+/** Upper bound for particle count, to keep a frame within budget. @type {number} */
+const PARTICLE_COUNT_MAX = 2 ** 15;
+
+/** Lifetime range of a particle in frame ticks, before it is respawned. */
+const PARTICLE_LIFETIME_MIN = 120, PARTICLE_LIFETIME_MAX = 480;
+
+/** Speed and size multiplier ranges assigned to each particle on spawn. */
+const PARTICLE_SPEED_MIN = 0.75, PARTICLE_SPEED_MAX = 1.25;
+
+const PARTICLE_SIZE_MIN = 1.5, PARTICLE_SIZE_MAX = 2.5;
+
+/** Upper bound of the global particle speed multiplier. */
+const PARTICLE_SPEED_MULTIPLIER_MAX = 4;
+
+/** Opacity of particle cores drawn with a gradient color mapping. */
+const PARTICLE_GRADIENT_ALPHA = 0.5;
+
+/** `globalCompositeOperation` values offered for drawing particles. "lighter" is additive blending. */
+const PARTICLE_BLEND_MODES = Object.freeze(["source-over", "lighter", "screen", "multiply", "overlay", "difference", "exclusion", "color-dodge", "xor"]);
+
+/** Local error tolerated per RK45 substep, in canvas pixels. */
+const RK45_TOLERANCE = 1e-3;
+
+/** Smallest RK45 substep, as a fraction of a tick. Steps this small are accepted whatever their error. */
+const RK45_MIN_STEP = 1 / 64;
+
+/** Dormand–Prince 5(4) tableau: stage coefficients, 5th order weights, and 5th minus 4th order weights (error). */
+const RK45_TABLEAU = Object.freeze({
+    a: [
+        [],
+        [1 / 5],
+        [3 / 40, 9 / 40],
+        [44 / 45, -56 / 15, 32 / 9],
+        [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+        [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+        [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84],
+    ],
+    b: [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0],
+    e: [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40],
+});
+
+/** Distance from an obstacle, in field units, within which the flow is bent around it. */
+const OBSTACLE_DEFLECT_MARGIN = 1;
+
+/** Random perimeter points tried when looking for an inflow position, before settling for any edge position. */
+const INFLOW_SPAWN_SAMPLES = 16;
+
+/** Stream of the run's seed that pattern shuffles draw from, so shuffling leaves the particle sequence untouched. */
+const RNG_STREAM_SHUFFLE = 1;
+
+/**
+ * Options that used to be literal flags in the source. `with_manhattan_distance` is gone: the closest field point is
+ * found by rounding to the grid, which is the same point under either metric.
+ * @type {Readonly<Record<keyof Config, ConfigEntrySchema>>}
+ */
+const CONFIG_SCHEMA = Object.freeze({
+    square_canvas: { type: "boolean", default: true, doc: "Fit a square canvas in the window, else fill the window." },
+    particle_trail: { type: "boolean", default: true, doc: "Keep drawing over previous frames, else redraw from the field layer every frame." },
+    lru_cache: { type: "boolean", default: false, doc: "Cache flow vectors by rounded position. Faster for bicubic lookups, blockier motion." },
+    visited_points_hue_by_tick: { type: "boolean", default: true, doc: "Tint visited field points by frame tick, else a fixed green." },
+    particles_hue_by_tick: { type: "boolean", default: false, doc: "Draw particles in one hue that cycles with the frame tick, overriding the palette." },
+    close_point_graphics: { type: "boolean", default: false, doc: "Mark particles on pixelated paths, split into new and already visited." },
+    close_point_field_color: { type: "boolean", default: false, doc: "With close_point_graphics, draw every marked particle in one color." },
+    close_point_radius: { type: "number", default: 8, min: 1, max: 64, doc: "Radius of close_point_graphics markers, in pixels." },
+});
+
+/** Strength of pointer attractor, repeller and vortex sources, relative to the field's unit vectors. */
+const POINTER_SOURCE_STRENGTH = 2.0;
+
+/** Gaussian falloff radius of pointer sources and the brush, in field units. */
+const POINTER_SOURCE_RADIUS = 1.0;
+
+/** Frame ticks a shuffled field takes to morph into the next pattern. */
+const FIELD_MORPH_TICKS = 90;
+
+/** Default length of a composite crossfade, in seconds of field time. */
+const FIELD_CROSSFADE_SECONDS = 4;
+
+/** Default width of the soft edge of composite field masks, as a fraction of the field side. */
+const FIELD_MASK_FEATHER = 0.05;
+
+/** Candidate samples tried around each active point in Bridson's Poisson-disk sampling. @type {number} */
+const POISSON_DISK_SAMPLES = 30;
+
+// --------------------------------------------------------------------------------------------------------------------
+// ENUMS
+
+/** Enumeration of built-in field patterns. More can be added at runtime via `FieldPatterns.register`. @enum {string} */
+const E_FIELD_PATTERNS = Object.freeze({
+    SINUSOIDAL: "SINUSOIDAL",
+    INVERSE_SINUSOIDAL: "INVERSE_SINUSOIDAL",
+    ANTI_CLOCKWISE: "ANTI_CLOCKWISE",
+    CLOCKWISE: "CLOCKWISE",
+    PERLIN: "PERLIN",
+    SIMPLEX: "SIMPLEX",
+    FBM: "FBM",
+    CURL_NOISE: "CURL_NOISE",
+    SOURCE: "SOURCE",
+    SINK: "SINK",
+    VORTEX: "VORTEX",
+    UNIFORM: "UNIFORM",
+});
+
+/** Enumeration of interpolation modes for flow field lookups. @enum {string} */
+const E_FIELD_INTERPOLATIONS = Object.freeze({
+    NEAREST: "NEAREST",
+    BILINEAR: "BILINEAR",
+    BICUBIC: "BICUBIC",
+});
+
+/** Enumeration of pointer tools. Sources act while the pointer is down; the brush rewrites the field for good. @enum {string} */
+const E_POINTER_TOOLS = Object.freeze({
+    ATTRACTOR: "ATTRACTOR",
+    REPELLER: "REPELLER",
+    VORTEX: "VORTEX",
+    BRUSH: "BRUSH",
+    OBSTACLE: "OBSTACLE",
+});
+
+/** Enumeration of what particle colors are mapped from. SOLID uses the palette's core color. @enum {string} */
+const E_COLOR_MAPPINGS = Object.freeze({
+    SOLID: "SOLID",
+    SPEED: "SPEED",
+    DIRECTION: "DIRECTION",
+    AGE: "AGE",
+    FRAME_TICK: "FRAME_TICK",
+});
+
+/** Enumeration of how the field layer under the particles is drawn. @enum {string} */
+const E_FIELD_VIEWS = Object.freeze({
+    ARROWS: "ARROWS",
+    STREAMLINES: "STREAMLINES",
+    LIC: "LIC",
+    HEATMAP: "HEATMAP",
+    DIVERGENCE: "DIVERGENCE",
+    CURL: "CURL",
+});
+
+/** Enumeration of what happens to particles leaving the canvas. @enum {string} */
+const E_BOUNDARY_MODES = Object.freeze({
+    WRAP: "WRAP",
+    REFLECT: "REFLECT",
+    RESPAWN: "RESPAWN",
+    CLAMP: "CLAMP",
+    INFLOW: "INFLOW",
+});
+
+/** Enumeration of particle spawn strategies. @enum {string} */
+const E_SPAWN_STRATEGIES = Object.freeze({
+    UNIFORM_RANDOM: "UNIFORM_RANDOM",
+    GRID: "GRID",
+    POISSON_DISK: "POISSON_DISK",
+    CANVAS_EDGE: "CANVAS_EDGE",
+});
+
+/**
+ * Enumeration of numerical integrators for particle advection.
+ * LERP is the original step, which also pulls particles by `1 - t_interpolate` of their position.
+ * @enum {string}
+ */
+const E_INTEGRATORS = Object.freeze({
+    LERP: "LERP",
+    EULER: "EULER",
+    MIDPOINT: "MIDPOINT",
+    RK4: "RK4",
+    RK45: "RK45",
+});
+
+// --------------------------------------------------------------------------------------------------------------------
+// TYPES
+
+/** Name of a built-in (`E_FIELD_PATTERNS`) or registered field pattern. @typedef {string} EFieldPatterns */
+
+/** @typedef {{default: number, min?: number, max?: number, description?: string}} PatternParamSchema */
+
+/**
+ * Maps a point in field units, at a field time in seconds, to its flow vector. `extent` is the side of the square field,
+ * in field units, for patterns defined over the whole field rather than in absolute units.
+ * @typedef {(x: number, y: number, params: Record<string, number>, time: number, extent: number) => {u: number, v: number}} PatternFn
+ */
+
+/** @typedef {{name: string, label: string, fn: PatternFn, schema: Record<string, PatternParamSchema>}} PatternEntry */
+
+/** Imported vector grid, row-major from the top-left, like `FlowField.field`. @typedef {{cols: number, rows: number, u: Float64Array, v: Float64Array}} ImportedGrid */
+
+/** Recorded path of one particle between respawns or edge wraps, as parallel arrays. @typedef {{index: number, ticks: number[], xs: number[], ys: number[]}} TrajectorySegment */
+
+/**
+ * Everything needed to reproduce an exported field or trajectory set: the simulation state plus the field grid and
+ * canvas it was sampled on. Field points are in field units, `scale` pixels apart; trajectories are in canvas pixels.
+ * @typedef {SimulationState & {scale: number, cols: number, rows: number, time: number, width: number, height: number, frame_tick: number}} DataExportMetadata
+ */
+
+/** Flow components of every field point sampled at one field time. @typedef {{time: number, u: Float64Array, v: Float64Array}} FieldKeyframe */
+
+/** Painted direction (unit u and v) and blend weight in [0, 1] of every field point. @typedef {{u: Float64Array, v: Float64Array, weight: Float64Array}} FieldBrush */
+
+/**
+ * Morph of the live field into another pattern. `from` is the live field when the morph started, and `to` a field of
+ * the same shape that keeps its own time.
+ * @typedef {{from: FieldKeyframe, to: FlowField, start_tick: number}} FieldMorph
+ */
+
+/** Weight in [0, 1] of a point given in fractions of the field side, e.g. `(0.5, 0.5)` for the center. @typedef {(fx: number, fy: number) => number} FieldMask */
+
+/**
+ * One pattern of a composite field. `weight` scales it, 1 by default, and `mask` limits it to a region.
+ * @typedef {{pattern: EFieldPatterns, params?: Record<string, number>, weight?: number, mask?: FieldMask}} PatternTerm
+ */
+
+/** @typedef {keyof typeof E_FIELD_INTERPOLATIONS} EFieldInterpolations */
+
+/** @typedef {keyof typeof E_SPAWN_STRATEGIES} ESpawnStrategies */
+
+/** @typedef {keyof typeof E_POINTER_TOOLS} EPointerTools */
+
+/** @typedef {keyof typeof E_INTEGRATORS} EIntegrators */
+
+/** Velocity at a canvas position, in pixels per simulation tick. @typedef {(x: number, y: number) => FlowVector} VelocityFn */
+
+/**
+ * Temporary force source under a pointer, in field units. `start_x` and `start_y` are where the drag began.
+ * @typedef {{tool: EPointerTools, x: number, y: number, start_x: number, start_y: number}} PointerSource
+ */
+
+/** @typedef {keyof typeof E_BOUNDARY_MODES} EBoundaryModes */
+
+/** @typedef {keyof typeof E_FIELD_VIEWS} EFieldViews */
+
+/** @typedef {keyof typeof E_COLOR_MAPPINGS} EColorMappings */
+
+/**
+ * Particle palette. `highlight` and `shadow` are drawn offset by a pixel to each side and `core` on top, unless a
+ * color mapping picks core colors from `gradient`, whose stops are `[r, g, b]` in [0, 255].
+ * @typedef {{name: string, label: string, highlight: string, shadow: string, core: string, gradient: number[][]}} Palette
+ */
+
+/**
+ * Solid region particles cannot enter, in field units. Polygon `points` are flat `[x0, y0, x1, y1, ...]` pairs.
+ * @typedef {{kind: "circle", x: number, y: number, r: number} | {kind: "polygon", points: number[]}} Obstacle
+ */
+
+/** @typedef {(args: any[]) => void} DebouncedFunction */
+
+/** @typedef {{type: "boolean"|"number", default: boolean|number, min?: number, max?: number, doc: string}} ConfigEntrySchema */
+
+/**
+ * Runtime options, see `CONFIG_SCHEMA`.
+ * @typedef {{
+ *   square_canvas: boolean, particle_trail: boolean, lru_cache: boolean, visited_points_hue_by_tick: boolean,
+ *   particles_hue_by_tick: boolean, close_point_graphics: boolean, close_point_field_color: boolean, close_point_radius: number,
+ * }} Config
+ */
+
+/** What a run is sized to: a canvas, or just a width and height when headless. @typedef {{width: number, height: number}} Surface */
+
+// --------------------------------------------------------------------------------------------------------------------
+// SIMULATION CONTEXTS
+
+/**
+ * State of one run, see `create_context`; a `FlowFieldCanvas` adds its canvases and loop to it, see `CanvasContext`
+ * in flow_field.js. The simulation code reads and writes the current one through `g_context`, so several instances
+ * can run on a page.
+ * @typedef {ReturnType<typeof create_context>} SimulationContext
+ */
+
+/** Context of every live instance, by instance, until `destroy`. @type {Map<object, SimulationContext>} */
+const g_contexts = new Map();
+
+/**
+ * Context of the instance being run, set by `with_context` for the duration of a call. It is `undefined` outside of
+ * one, so a callback that escaped `with_context` fails loudly rather than running against another instance.
+ * @type {SimulationContext}
+ */
+let g_context;
+
+/**
+ * Runs `fn` against `owner`'s context, then puts back whichever was current. Every entry point into the simulation
+ * (public methods, DOM listeners, animation frames, timers and the continuations of awaits) goes through here.
+ * @template T @param {object} owner @param {() => T} fn @returns {T}
+ */
+function with_context(owner, fn) {
+    const context = g_contexts.get(owner);
+    if (context === undefined) throw new Error("Expected a live simulation. Was it destroyed?");
+    const prev_context = g_context;
+    g_context = context;
+    try {
+        return fn();
+    } finally {
+        g_context = prev_context;
+    }
+}
+
+/**
+ * @param {string} caller - Named in the error. @returns {SimulationContext} The current context.
+ * @throws {Error} Outside `with_context`, e.g. when called at module level rather than from an instance.
+ */
+function current_context(caller) {
+    if (g_context === undefined) throw new Error(`Expected ${caller} to be called from a simulation, e.g. a FlowFieldCanvas listener. Got none running.`);
+    return g_context;
+}
+
+/** Adds `fn` to a set of event hooks, e.g. `frame_listeners` of a context. @template T @param {Set<T>} listeners @param {T} fn @returns {() => void} Removes it. */
+function add_listener(listeners, fn) {
+    if (typeof fn !== "function") throw new TypeError(`Expected a listener function. Got ${typeof fn}.`);
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// UTILITIES
+
+/** Utility class providing assertion and interpolation methods.  */
+class Utils {
+    /**
+     * Asserts a boolean condition and throws an error with the specified message if the assertion fails.
+     * @param {boolean} condition - Truthy or Falsy boolean condition.
+     * @param {string} [message=""] - Error message to be displayed if assertion fails.
+     * @example
+     * Utils.assert(1 === 2, 'Expect 1 to be equal to 1.');
+     */
+    static assert(condition, message = "") {
+        if (!condition) throw Error(`AssertionError: ${message}`);
+    }
+
+    /**
+     * Clamps a value within a specified range.
+     *
+     * @param {number} value - The value to be clamped.
+     * @param {number} min - The minimum allowed value.
+     * @param {number} max - The maximum allowed value.
+     * @example
+     * Utils.clamp(5, 0, 10); // Returns 5 * // Clamping within the range
+     * Utils.clamp(-5, 0, 10); // Returns 0 * // Clamping below the minimum
+     * Utils.clamp(15, 0, 10); // Returns 10 * // Clamping above the maximum
+     * Utils.clamp(7, 5, 5); // Returns 5 * // Clamping with equal minimum and maximum
+     * Utils.clamp(-8, -10, -5); // Returns -8 * // Clamping with negative values
+     * @returns {number} - The clamped value.
+     */
+    static clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+
+    /**
+     * @param {DebouncedFunction} fn - The function to be debounced.
+     * @param {number} delay - The delay in milliseconds.
+     * @returns {() => void} - The debounced function.
+     */
+    static debounce(fn, delay) {
+        let timeout_id;
+        return function (...args) {
+            clearTimeout(timeout_id);
+            timeout_id = setTimeout(() => {
+                /* Calls the function, substituting the specified object for the this value of the function, 
+                           and the specified array for the arguments of the function. */
+                fn.apply(this, args);
+            }, delay);
+        };
+    }
+
+    /**
+     * @param {number} a - Start value.
+     * @param {number} b - End value.
+     * @param {number} value - Extrapolated value.
+     * @returns {number} Interpolated factor.
+     */
+    static inv_lerp(a, b, value) {
+        if (b === a)
+            throw new Error(
+                `Cannot divide by 0 as start and end are same. Got ${(a, b, value)}`
+            );
+        return (value - a) / (b - a);
+    }
+
+    /**
+     * Linear interpolation of a to b where the interpolation factor is t.
+     * @param {number} a - Start value.
+     * @param {number} b - End value.
+     * @param {number} t - Interpolation factor.
+     * @example
+     * const lerp_val = Utils.lerp(0, 10, 0.5);
+     * Utils.assert(lerp_val === 5, `Expected 5. Got ${lerp_val},`);
+     * @returns {number} Linearly interpolated value.
+     */
+    static lerp(a, b, t) {
+        // __DEBUG && Utils.assert(t >= 0.0 && t <= 1.0, `Expected interpolation factor t to be between 0.0 and 1.0. Got ${t}.`)  // (0.3)ms
+        switch (t) {
+            case 0.0:
+                return a;
+            case 1.0:
+                return b;
+            default:
+                return (1.0 - t) * a + t * b;
+        }
+    }
+
+    /** Cubic smoothstep of `t` clamped to [0, 1], for eased transitions. @param {number} t @returns {number} */
+    static smoothstep(t) {
+        const x = Utils.clamp(t, 0, 1);
+        return x * x * (3 - 2 * x);
+    }
+
+    /**
+     * Converts HSL to RGB, e.g. for writing `ImageData`.
+     * @param {number} h - Hue in degrees. @param {number} s - Saturation in [0, 1]. @param {number} l - Lightness in [0, 1].
+     * @returns {[number, number, number]} Red, green and blue in [0, 255].
+     */
+    static hsl_to_rgb(h, s, l) {
+        const a = s * Math.min(l, 1 - l);
+        /** @param {number} n */
+        const f = (n) => {
+            const k = (n + h / 30) % 12;
+            return Math.round(255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+        };
+        return [f(0), f(8), f(4)];
+    }
+
+    /**
+     * Cubic Catmull-Rom interpolation between p1 and p2, using p0 and p3 as the outer control points.
+     * @param {number} p0 @param {number} p1 @param {number} p2 @param {number} p3 @param {number} t - Interpolation factor.
+     * @returns {number}
+     */
+    static cubic_interpolate(p0, p1, p2, p3, t) {
+        return p1 + 0.5 * t * (p2 - p0 + t * (2 * p0 - 5 * p1 + 4 * p2 - p3 + t * (3 * (p1 - p2) + p3 - p0)));
+    }
+
+    /** Rotates vector (u, v) by `angle` radians. @param {number} u @param {number} v @param {number} angle @returns {{u: number, v: number}} */
+    static rotate(u, v, angle) {
+        if (angle === 0) return { u, v };
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        return { u: u * cos - v * sin, v: u * sin + v * cos };
+    }
+
+    /**
+     * Ramer–Douglas–Peucker polyline simplification. Drops points closer than `epsilon` to the simplified line.
+     * @param {[number, number][]} points @param {number} epsilon - Tolerance, in the units of the points.
+     * @returns {[number, number][]}
+     */
+    static simplify_polyline(points, epsilon) {
+        if (points.length < 3 || epsilon <= 0) return points.slice();
+        const keep = new Uint8Array(points.length);
+        keep[0] = keep[points.length - 1] = 1;
+        // Iterative, so long trajectories cannot overflow the call stack.
+        const stack = [[0, points.length - 1]];
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            const [ax, ay] = points[first], [bx, by] = points[last];
+            const dx = bx - ax, dy = by - ay;
+            const len = Math.hypot(dx, dy);
+            let max_dist = 0, max_index = -1;
+            for (let i = first + 1; i < last; i += 1) {
+                const [px, py] = points[i];
+                const dist = len === 0 ? Math.hypot(px - ax, py - ay) : Math.abs(dy * px - dx * py + bx * ay - by * ax) / len;
+                if (dist > max_dist) {
+                    max_dist = dist;
+                    max_index = i;
+                }
+            }
+            if (max_dist > epsilon) {
+                keep[max_index] = 1;
+                stack.push([first, max_index], [max_index, last]);
+            }
+        }
+        return points.filter((_, i) => keep[i] === 1);
+    }
+
+    /** @param {number} x1 @param {number} y1 @param {number} x2 @param {number} y2 @returns {number} */
+    static manhattan_distance(x1, y1, x2, y2) {
+        return Math.abs(x2 - x1) + Math.abs(y2 - y1);
+    }
+
+    /**
+     * Generates a range of numbers and returns as a list.
+     * @param {number} start - The starting value of the range.
+     * @param {number} end - The ending value of the range.
+     * @param {number} [step=1] - The step between each number in the range (default: 1).
+     * @example
+     * const positiveRange = Utils.range(1, 5); // Output: [1, 2, 3, 4, 5]
+     * const negativeRange = Utils.range(5, 1, -1); // Output: [5, 4, 3, 2, 1]
+     * @returns {number[]} - Sequence of a range of numbers inclusive of values of each step between start and end.
+     */
+    static range_tolist(start, end, step = 1) {
+        /** @type {number[]} */
+        const lst = []; // Handle negative steps to ensure inclusive nature for range's start and end values.
+        if (step > 0) for (let i = start; i <= end; i += step) lst.push(i);
+        else for (let i = start; i >= end; i += step) lst.push(i);
+        return lst;
+    }
+
+    /**
+     * Generates a range of numbers.
+     * @param {number} start
+     * @param {number} end
+     * @param {number} [step=1]
+     * @returns {Generator<any, void, unknown>}
+     */
+    static *range(start, end, step = 1) {
+        if (step > 0) for (let i = start; i <= end; i += step) yield i;
+        else for (let i = start; i >= end; i += step) yield i;
+    }
+
+    /**
+     * Naive sleep basic blocks the thread with a while loop counting via `Date.now()` that runs till `ms` milliseconds has elapsed.
+     * @param {number|undefined} ms - Milliseconds to sleep the thread for. [default: 1000]
+     */
+    static sleep_basic(ms = 1000) {
+        let start = Date.now();
+        // __DEBUG && console.time(start);
+        while (Date.now() - start < ms) { }
+        // __DEBUG && console.timeEnd(start);
+    }
+
+    /**
+     * @param {Number} ms
+     */
+    static sleep_perf(ms = 1000) {
+        /** High-resolution time stamp in milliseconds, but it is based on a monotonic clock. This means that it provides a time value that continuously increases at a constant rate, unaffected by changes to the system clock or adjustments for daylight saving time */
+        const end = ms + performance.now();
+        while (performance.now() < end) { }
+    }
+}
+
+/**
+ * Seedable mulberry32 pseudo random number generator. Every random call in the simulation goes through one of these,
+ * so the same seed reproduces the same run.
+ * @example
+ * const rng = new Random(42);
+ * Utils.assert(rng.next() === new Random(42).next(), "Expected equal seeds to yield equal sequences.");
+ */
+class Random {
+    /** @param {number} seed - Unsigned 32-bit integer seed. */
+    constructor(seed) {
+        this.reseed(seed);
+    }
+
+    /** Restarts the sequence from `seed`. @param {number} seed */
+    reseed(seed) {
+        __DEBUG && Utils.assert(Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff, `Expected seed to be an unsigned 32-bit integer. Got ${seed}.`);
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /** @returns {number} Random float in the range [0, 1). */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /** @param {number} min @param {number} max @returns {number} Random float in the range [min, max). */
+    between(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /** @param {number} max @returns {number} Random integer in the range [0, max). */
+    int(max) {
+        return ~~(this.next() * max);
+    }
+
+    /**
+     * Seed of an independent stream of `seed`, for random calls that must not shift the main sequence.
+     * @param {number} seed - Unsigned 32-bit seed of the run.
+     * @param {number} stream - Stream number, e.g. `RNG_STREAM_SHUFFLE`. 0 is the main sequence itself.
+     * @returns {number} Unsigned 32-bit seed.
+     */
+    static stream_seed(seed, stream) {
+        if (stream === 0) return seed >>> 0;
+        return Math.floor(new Random((seed ^ Math.imul(stream, 0x9e3779b9)) >>> 0).next() * 4294967296) >>> 0;
+    }
+
+    /** @returns {number} A fresh unsigned 32-bit seed. The only place that may use `Math.random`. */
+    static random_seed() {
+        return (Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Parses a seed as typed by a person, e.g. from the URL. Integers are used as is; any other text is hashed (FNV-1a).
+     * @param {string|null|undefined} text
+     * @returns {number|undefined} Unsigned 32-bit seed, or undefined for empty input.
+     */
+    static parse_seed(text) {
+        if (text === null || text === undefined || text.trim() === "") return undefined;
+        const trimmed = text.trim();
+        if (/^\d+$/.test(trimmed) && Number(trimmed) <= 0xffffffff) return Number(trimmed);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < trimmed.length; i += 1) hash = Math.imul(hash ^ trimmed.charCodeAt(i), 0x01000193);
+        return hash >>> 0;
+    }
+}
+
+class Perf {
+    /**
+     * Thanks to https://github.com/GoldLink21/Pixel-Sim/blob/6dd8ec7db4b398283cb02bf435122928b6175bd9/main.js#L6
+     */
+    constructor() {
+        this.cur_time;
+        this.counter = [];
+    }
+
+    test() {
+        this.cur_time = performance.now();
+    }
+
+    test_end(n) {
+        this.counter.push(performance.now() - this.cur_time);
+
+        if (this.counter.length === n) {
+            const now = this.counter.reduce((acc, cur) => acc + cur, 0);
+            console.info({ perf_t: now / this.counter.length });
+            this.counter = [];
+        }
+    }
+
+    /**
+     * @param {{fn: () => void, n: number, iterations: number}} [options]
+     * @example Perf.bench_fn({ fn: () => Utils.sleep_perf(50), n: 10, iterations: 100 });
+     */
+    static bench_fn({ fn, n, iterations }) {
+        (function () {
+            const perf = new Perf();
+            const n_logger = n > iterations ? iterations - 1 : n;
+
+            for (let i = 0; i < iterations; i += 1) {
+                perf.test();
+                fn();
+                perf.test_end(n_logger);
+            }
+        })();
+    }
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// CONFIG
+
+/**
+ * Validated runtime options. An instance reads them from `g_context.config`; change them through `ConfigFn.override` so
+ * subscribers can react. Every method takes the config it works on, so configs can be built and checked outside an
+ * instance too.
+ * @example
+ * const config = ConfigFn.load_json('{"particle_trail": false}', ConfigFn.defaults());
+ * ConfigFn.override({ close_point_radius: 3 }, config);
+ */
+class ConfigFn {
+    /** Subscribers by the config they watch, so each instance only hears of its own. @type {WeakMap<Config, Set<(changed: Partial<Config>) => void>>} */
+    static #listeners = new WeakMap();
+
+    /** @returns {Config} A fresh config of the schema defaults. */
+    static defaults() {
+        return /** @type {Config} */ (Object.fromEntries(Object.entries(CONFIG_SCHEMA).map(([key, entry]) => [key, entry.default])));
+    }
+
+    /**
+     * Validates a partial config without applying it.
+     * @param {Record<string, unknown>} partial @returns {Partial<Config>}
+     */
+    static validate(partial) {
+        if (partial === null || typeof partial !== "object" || Array.isArray(partial)) throw new TypeError(`Expected config to be an object. Got ${JSON.stringify(partial)}.`);
+        for (const [key, value] of Object.entries(partial)) {
+            const entry = CONFIG_SCHEMA[key];
+            if (entry === undefined) throw new TypeError(`Expected config key to be one of ${Object.keys(CONFIG_SCHEMA)}. Got ${key}.`);
+            if (typeof value !== entry.type) throw new TypeError(`Expected config "${key}" to be a ${entry.type}. Got ${JSON.stringify(value)}.`);
+            if (entry.type === "number" && !(Number.isFinite(value) && value >= (entry.min ?? -Infinity) && value <= (entry.max ?? Infinity)))
+                throw new RangeError(`Expected config "${key}" to be in [${entry.min}, ${entry.max}]. Got ${value}.`);
+        }
+        return /** @type {Partial<Config>} */ (partial);
+    }
+
+    /**
+     * Validates, then writes `partial` into `mut_config` and notifies subscribers. Nothing is written if any key fails.
+     * @param {Record<string, unknown>} partial @param {Config} mut_config - e.g. `g_context.config` or `ConfigFn.defaults()`.
+     * @returns {Config}
+     */
+    static override(partial, mut_config) {
+        ConfigFn.#check_config(mut_config);
+        const changed = ConfigFn.validate(partial);
+        Object.assign(mut_config, changed);
+        ConfigFn.#listeners.get(mut_config)?.forEach((listener) => listener(changed));
+        return mut_config;
+    }
+
+    /** @param {string} text - JSON object of config keys. @param {Config} mut_config - See `ConfigFn.override`. @returns {Config} */
+    static load_json(text, mut_config) {
+        return ConfigFn.override(JSON.parse(text), mut_config);
+    }
+
+    /**
+     * Calls `listener` with the changed keys after every override of `config`.
+     * @param {(changed: Partial<Config>) => void} listener @param {Config} config - See `ConfigFn.override`.
+     * @returns {() => void} Unsubscribes.
+     */
+    static subscribe(listener, config) {
+        ConfigFn.#check_config(config);
+        if (!ConfigFn.#listeners.has(config)) ConfigFn.#listeners.set(config, new Set());
+        return add_listener(ConfigFn.#listeners.get(config), listener);
+    }
+
+    /** @param {unknown} config */
+    static #check_config(config) {
+        if (config === null || typeof config !== "object" || Array.isArray(config))
+            throw new TypeError(`Expected a config object, e.g. ConfigFn.defaults(). Got ${config}.`);
+    }
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// NOISE
+
+/** Seeded gradient noise functions. Each returns a value in approximately [-1, 1]. */
+class Noise {
+    /** @type {Map<number, Uint8Array>} Permutation tables, doubled to 512 entries to skip index wrapping. */
+    static #permutations = new Map();
+
+    /** Gradient directions shared by 2D Perlin and simplex noise. */
+    static #GRAD2 = [[1, 1], [-1, 1], [1, -1], [-1, -1], [1, 0], [-1, 0], [0, 1], [0, -1]];
+
+    /** Gradient directions to the 12 cube edge midpoints, shared by 3D Perlin and simplex noise. */
+    static #GRAD3 = [[1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0], [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1], [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]];
+
+    static #SIMPLEX_F2 = 0.5 * (Math.sqrt(3) - 1);
+    static #SIMPLEX_G2 = (3 - Math.sqrt(3)) / 6;
+    static #SIMPLEX_F3 = 1 / 3;
+    static #SIMPLEX_G3 = 1 / 6;
+
+    /** @param {number} seed @returns {Uint8Array} */
+    static #permutation(seed) {
+        let perm = Noise.#permutations.get(seed);
+        if (perm !== undefined) return perm;
+
+        // Fisher-Yates shuffle driven by its own generator, so a seed always yields the same table.
+        const rng = new Random(seed >>> 0);
+        const base = Uint8Array.from({ length: 256 }, (_, i) => i);
+        for (let i = 255; i > 0; i -= 1) {
+            const j = rng.int(i + 1);
+            [base[i], base[j]] = [base[j], base[i]];
+        }
+        perm = new Uint8Array(512);
+        for (let i = 0; i < 512; i += 1) perm[i] = base[i & 255];
+        Noise.#permutations.set(seed, perm);
+        return perm;
+    }
+
+    /** Quintic smoothstep used to ease Perlin interpolation. @param {number} t */
+    static #fade(t) {
+        return t * t * t * (t * (t * 6 - 15) + 10);
+    }
+
+    /**
+     * Improved Perlin noise in 2D.
+     * @param {number} x @param {number} y @param {number} [seed=0]
+     * @returns {number}
+     */
+    static perlin2(x, y, seed = 0) {
+        const perm = Noise.#permutation(seed);
+        const xi = Math.floor(x), yi = Math.floor(y);
+        const xf = x - xi, yf = y - yi;
+        const X = xi & 255, Y = yi & 255;
+        /** @param {number} hash @param {number} dx @param {number} dy */
+        const dot = (hash, dx, dy) => {
+            const g = Noise.#GRAD2[hash & 7];
+            return g[0] * dx + g[1] * dy;
+        };
+        const n00 = dot(perm[X + perm[Y]], xf, yf);
+        const n10 = dot(perm[X + 1 + perm[Y]], xf - 1, yf);
+        const n01 = dot(perm[X + perm[Y + 1]], xf, yf - 1);
+        const n11 = dot(perm[X + 1 + perm[Y + 1]], xf - 1, yf - 1);
+        const u = Noise.#fade(xf), v = Noise.#fade(yf);
+        return Utils.lerp(Utils.lerp(n00, n10, u), Utils.lerp(n01, n11, u), v);
+    }
+
+    /**
+     * Simplex noise in 2D. Cheaper than Perlin with fewer directional artifacts.
+     * @param {number} x @param {number} y @param {number} [seed=0]
+     * @returns {number}
+     */
+    static simplex2(x, y, seed = 0) {
+        const perm = Noise.#permutation(seed);
+        const F2 = Noise.#SIMPLEX_F2, G2 = Noise.#SIMPLEX_G2;
+
+        // Skew the input space to find the simplex cell.
+        const s = (x + y) * F2;
+        const i = Math.floor(x + s), j = Math.floor(y + s);
+        const t = (i + j) * G2;
+        const x0 = x - (i - t), y0 = y - (j - t);
+        const [i1, j1] = x0 > y0 ? [1, 0] : [0, 1];
+        const x1 = x0 - i1 + G2, y1 = y0 - j1 + G2;
+        const x2 = x0 - 1 + 2 * G2, y2 = y0 - 1 + 2 * G2;
+        const ii = i & 255, jj = j & 255;
+
+        /** @param {number} hash @param {number} dx @param {number} dy */
+        const corner = (hash, dx, dy) => {
+            let r = 0.5 - dx * dx - dy * dy;
+            if (r < 0) return 0;
+            const g = Noise.#GRAD2[hash & 7];
+            r *= r;
+            return r * r * (g[0] * dx + g[1] * dy);
+        };
+        const n0 = corner(perm[ii + perm[jj]], x0, y0);
+        const n1 = corner(perm[ii + i1 + perm[jj + j1]], x1, y1);
+        const n2 = corner(perm[ii + 1 + perm[jj + 1]], x2, y2);
+        return 70 * (n0 + n1 + n2); // Scale to approximately [-1, 1].
+    }
+
+    /**
+     * Improved Perlin noise in 3D. Sliding z over time scrolls a 2D field through the noise volume.
+     * @param {number} x @param {number} y @param {number} z @param {number} [seed=0]
+     * @returns {number}
+     */
+    static perlin3(x, y, z, seed = 0) {
+        const perm = Noise.#permutation(seed);
+        const xi = Math.floor(x), yi = Math.floor(y), zi = Math.floor(z);
+        const xf = x - xi, yf = y - yi, zf = z - zi;
+        const X = xi & 255, Y = yi & 255, Z = zi & 255;
+        /** @param {number} hash @param {number} dx @param {number} dy @param {number} dz */
+        const dot = (hash, dx, dy, dz) => {
+            const g = Noise.#GRAD3[hash % 12];
+            return g[0] * dx + g[1] * dy + g[2] * dz;
+        };
+        /** @param {number} i @param {number} j @param {number} k */
+        const hash = (i, j, k) => perm[X + i + perm[Y + j + perm[Z + k]]];
+        const u = Noise.#fade(xf), v = Noise.#fade(yf), w = Noise.#fade(zf);
+        const x00 = Utils.lerp(dot(hash(0, 0, 0), xf, yf, zf), dot(hash(1, 0, 0), xf - 1, yf, zf), u);
+        const x10 = Utils.lerp(dot(hash(0, 1, 0), xf, yf - 1, zf), dot(hash(1, 1, 0), xf - 1, yf - 1, zf), u);
+        const x01 = Utils.lerp(dot(hash(0, 0, 1), xf, yf, zf - 1), dot(hash(1, 0, 1), xf - 1, yf, zf - 1), u);
+        const x11 = Utils.lerp(dot(hash(0, 1, 1), xf, yf - 1, zf - 1), dot(hash(1, 1, 1), xf - 1, yf - 1, zf - 1), u);
+        return Utils.lerp(Utils.lerp(x00, x10, v), Utils.lerp(x01, x11, v), w);
+    }
+
+    /**
+     * Simplex noise in 3D.
+     * @param {number} x @param {number} y @param {number} z @param {number} [seed=0]
+     * @returns {number}
+     */
+    static simplex3(x, y, z, seed = 0) {
+        const perm = Noise.#permutation(seed);
+        const F3 = Noise.#SIMPLEX_F3, G3 = Noise.#SIMPLEX_G3;
+
+        // Skew the input space to find the simplex cell, then which of its six tetrahedra holds the point.
+        const s = (x + y + z) * F3;
+        const i = Math.floor(x + s), j = Math.floor(y + s), k = Math.floor(z + s);
+        const t = (i + j + k) * G3;
+        const x0 = x - (i - t), y0 = y - (j - t), z0 = z - (k - t);
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0) [i1, j1, k1, i2, j2, k2] = [1, 0, 0, 1, 1, 0];
+            else if (x0 >= z0) [i1, j1, k1, i2, j2, k2] = [1, 0, 0, 1, 0, 1];
+            else [i1, j1, k1, i2, j2, k2] = [0, 0, 1, 1, 0, 1];
+        } else {
+            if (y0 < z0) [i1, j1, k1, i2, j2, k2] = [0, 0, 1, 0, 1, 1];
+            else if (x0 < z0) [i1, j1, k1, i2, j2, k2] = [0, 1, 0, 0, 1, 1];
+            else [i1, j1, k1, i2, j2, k2] = [0, 1, 0, 1, 1, 0];
+        }
+        const x1 = x0 - i1 + G3, y1 = y0 - j1 + G3, z1 = z0 - k1 + G3;
+        const x2 = x0 - i2 + 2 * G3, y2 = y0 - j2 + 2 * G3, z2 = z0 - k2 + 2 * G3;
+        const x3 = x0 - 1 + 3 * G3, y3 = y0 - 1 + 3 * G3, z3 = z0 - 1 + 3 * G3;
+        const ii = i & 255, jj = j & 255, kk = k & 255;
+
+        /** @param {number} hash @param {number} dx @param {number} dy @param {number} dz */
+        const corner = (hash, dx, dy, dz) => {
+            let r = 0.6 - dx * dx - dy * dy - dz * dz;
+            if (r < 0) return 0;
+            const g = Noise.#GRAD3[hash % 12];
+            r *= r;
+            return r * r * (g[0] * dx + g[1] * dy + g[2] * dz);
+        };
+        const n0 = corner(perm[ii + perm[jj + perm[kk]]], x0, y0, z0);
+        const n1 = corner(perm[ii + i1 + perm[jj + j1 + perm[kk + k1]]], x1, y1, z1);
+        const n2 = corner(perm[ii + i2 + perm[jj + j2 + perm[kk + k2]]], x2, y2, z2);
+        const n3 = corner(perm[ii + 1 + perm[jj + 1 + perm[kk + 1]]], x3, y3, z3);
+        return 32 * (n0 + n1 + n2 + n3); // Scale to approximately [-1, 1].
+    }
+
+    /**
+     * Fractal Brownian motion: sums `octaves` layers of 3D `noise_fn`, each scaled in frequency by `lacunarity` and in
+     * amplitude by `gain`. Normalized so the result stays in the range of a single octave.
+     * @param {(x: number, y: number, z: number, seed: number) => number} noise_fn
+     * @param {number} x @param {number} y @param {number} z
+     * @param {{seed?: number, octaves?: number, lacunarity?: number, gain?: number}} [options]
+     * @returns {number}
+     */
+    static fbm(noise_fn, x, y, z, { seed = 0, octaves = 4, lacunarity = 2.0, gain = 0.5 } = {}) {
+        let sum = 0, amplitude = 1, frequency = 1, norm = 0;
+        for (let octave = 0; octave < octaves; octave += 1) {
+            // Offset each octave's seed so layers are uncorrelated.
+            sum += amplitude * noise_fn(x * frequency, y * frequency, z * frequency, seed + octave);
+            norm += amplitude;
+            amplitude *= gain;
+            frequency *= lacunarity;
+        }
+        return norm === 0 ? 0 : sum / norm;
+    }
+
+    /**
+     * Divergence-free curl of a scalar potential ψ: (∂ψ/∂y, -∂ψ/∂x), via central differences.
+     * @param {(x: number, y: number) => number} potential_fn @param {number} x @param {number} y @param {number} [epsilon=1e-3]
+     * @returns {{u: number, v: number}}
+     */
+    static curl2(potential_fn, x, y, epsilon = 1e-3) {
+        const inv_2e = 1 / (2 * epsilon);
+        const dpsi_dx = (potential_fn(x + epsilon, y) - potential_fn(x - epsilon, y)) * inv_2e;
+        const dpsi_dy = (potential_fn(x, y + epsilon) - potential_fn(x, y - epsilon)) * inv_2e;
+        return { u: dpsi_dy, v: -dpsi_dx };
+    }
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// FIELD PATTERN REGISTRY
+
+/**
+ * Registry of named field patterns with per-pattern parameter schemas and defaults. Patterns registered at module
+ * level are shared by every instance; those registered while an instance runs, e.g. an imported field, are its own
+ * and shadow shared ones of the same name.
+ * @example
+ * FieldPatterns.register("SADDLE", (x, y, { k }, time) => ({ u: k * x * Math.cos(time), v: -k * y }), { schema: { k: { default: 0.1, min: 0 } } });
+ */
+class FieldPatterns {
+    /** Patterns shared by every instance. @type {Map<string, PatternEntry>} */
+    static #registry = new Map();
+
+    /**
+     * Calls `listener` whenever a pattern the current instance sees is registered or unregistered, e.g. to refresh
+     * a dropdown.
+     * @param {() => void} listener @returns {() => void} Unsubscribes.
+     */
+    static subscribe(listener) {
+        return add_listener(current_context("FieldPatterns.subscribe").pattern_listeners, listener);
+    }
+
+    /** @returns {Map<string, PatternEntry>} The current instance's patterns, or the shared ones outside an instance. */
+    static #scope() {
+        return g_context?.pattern_registry ?? FieldPatterns.#registry;
+    }
+
+    /** Notifies the current instance, or every live one of a shared change. */
+    static #notify() {
+        (g_context !== undefined ? [g_context] : [...g_contexts.values()]).forEach((context) => context.pattern_listeners.forEach((listener) => listener()));
+    }
+
+    /**
+     * Registers (or replaces) a field pattern.
+     * @param {string} name - Unique pattern name, conventionally SCREAMING_SNAKE_CASE like `E_FIELD_PATTERNS`.
+     * @param {PatternFn} fn - Receives the field time in seconds as its last argument, which is 0 for static fields.
+     * @param {{schema?: Record<string, PatternParamSchema>, label?: string}} [options]
+     * @returns {typeof FieldPatterns} For chaining.
+     */
+    static register(name, fn, { schema = {}, label = name.toLowerCase() } = {}) {
+        if (typeof name !== "string" || name.length === 0) throw new TypeError(`Expected field pattern name to be a non-empty string. Got ${name}.`);
+        if (typeof fn !== "function") throw new TypeError(`Expected field pattern "${name}" to be a function of (x, y, params). Got ${typeof fn}.`);
+        for (const [key, param] of Object.entries(schema)) {
+            if (!Number.isFinite(param.default))
+                throw new TypeError(`Expected parameter "${key}" of field pattern "${name}" to have a finite default. Got ${param.default}.`);
+        }
+        FieldPatterns.#scope().set(name, Object.freeze({ name, label, fn, schema: Object.freeze({ ...schema }) }));
+        FieldPatterns.#notify();
+        return FieldPatterns;
+    }
+
+    /** Removes a pattern from the scope `register` writes to. @param {string} name @returns {boolean} */
+    static unregister(name) {
+        const is_deleted = FieldPatterns.#scope().delete(name);
+        is_deleted && FieldPatterns.#notify();
+        return is_deleted;
+    }
+
+    /** @param {string} name @returns {boolean} */
+    static has(name) {
+        return FieldPatterns.#scope().has(name) || FieldPatterns.#registry.has(name);
+    }
+
+    /** @param {string} name @returns {PatternEntry} */
+    static get(name) {
+        const entry = FieldPatterns.#scope().get(name) ?? FieldPatterns.#registry.get(name);
+        if (entry === undefined) throw new TypeError(`Expected one of ${FieldPatterns.names()} for field pattern. Got ${name}.`);
+        return entry;
+    }
+
+    /** @returns {string[]} Registered pattern names, shared ones first, in registration order. */
+    static names() {
+        return [...new Set([...FieldPatterns.#registry.keys(), ...FieldPatterns.#scope().keys()])];
+    }
+
+    /** @param {string} name @returns {string} Human readable label shown in `#cur_field_pattern_name`. */
+    static label(name) {
+        return FieldPatterns.get(name).label;
+    }
+
+    /** @param {string} name @returns {Record<string, number>} Default parameters of the pattern. */
+    static defaults(name) {
+        return Object.fromEntries(Object.entries(FieldPatterns.get(name).schema).map(([key, param]) => [key, param.default]));
+    }
+
+    /**
+     * Merges overrides into the pattern's defaults and validates them against its schema.
+     * @param {string} name @param {Record<string, number>} [overrides={}]
+     * @returns {Record<string, number>}
+     */
+    static resolve_params(name, overrides = {}) {
+        const { schema } = FieldPatterns.get(name);
+        const params = FieldPatterns.defaults(name);
+        for (const [key, value] of Object.entries(overrides)) {
+            const param = schema[key];
+            if (param === undefined) throw new TypeError(`Unknown parameter "${key}" for field pattern "${name}". Expected one of ${Object.keys(schema)}.`);
+            if (!Number.isFinite(value)) throw new TypeError(`Expected parameter "${key}" of field pattern "${name}" to be a finite number. Got ${value}.`);
+            if ((param.min !== undefined && value < param.min) || (param.max !== undefined && value > param.max))
+                throw new RangeError(`Expected parameter "${key}" of field pattern "${name}" to be in [${param.min ?? -Infinity}, ${param.max ?? Infinity}]. Got ${value}.`);
+            params[key] = value;
+        }
+        return params;
+    }
+}
+
+/** Scale of the built-in circular patterns. */
+const CIRCULAR_PATTERN_SCALE = PHI_INV * PI_INV;
+
+/** `drift` is the phase shift in radians per second of field time. @type {Record<string, PatternParamSchema>} */
+const SINUSOIDAL_PARAM_SCHEMA = Object.freeze({
+    frequency: { default: 1, min: 0 },
+    amplitude: { default: 1, min: 0 },
+    drift: { default: 0.5, description: "Phase shift in radians per second." },
+});
+
+/** `spin` rotates every vector in radians per second of field time. @type {Record<string, PatternParamSchema>} */
+const CIRCULAR_PARAM_SCHEMA = Object.freeze({
+    scale: { default: CIRCULAR_PATTERN_SCALE, min: 0 },
+    spin: { default: 0.25, description: "Vortex rotation in radians per second." },
+});
+
+/** Parameters shared by the noise patterns. `turbulence` is how many full turns the noise range maps to. @type {Record<string, PatternParamSchema>} */
+const NOISE_PARAM_SCHEMA = Object.freeze({
+    seed: { default: 0, min: 0, max: 2 ** 32 - 1, description: "Noise seed." },
+    frequency: { default: 0.35, min: Number.EPSILON, description: "Noise features per field unit." },
+    amplitude: { default: 1, min: 0 },
+    turbulence: { default: 1, min: 0 },
+    evolution: { default: 0.1, min: 0, description: "Noise volume depth scrolled per second." },
+});
+
+/** Curl noise maps the potential directly, so it has no `turbulence`. @type {Record<string, PatternParamSchema>} */
+const CURL_NOISE_PARAM_SCHEMA = Object.freeze({
+    seed: NOISE_PARAM_SCHEMA.seed,
+    frequency: NOISE_PARAM_SCHEMA.frequency,
+    amplitude: NOISE_PARAM_SCHEMA.amplitude,
+    evolution: NOISE_PARAM_SCHEMA.evolution,
+});
+
+/** Inverse of the median gradient magnitude of simplex fBm, measured empirically. */
+const CURL_NOISE_GRADIENT_INV = 1 / 3;
+
+/** Fractal Brownian motion octave settings. @type {Record<string, PatternParamSchema>} */
+const FBM_PARAM_SCHEMA = Object.freeze({
+    octaves: { default: 4, min: 1, max: 8 },
+    lacunarity: { default: 2.0, min: 1 },
+    gain: { default: 0.5, min: 0, max: 1 },
+});
+
+FieldPatterns
+    .register(E_FIELD_PATTERNS.SINUSOIDAL, (x, y, { frequency, amplitude, drift }, time) => {
+        const phase = drift * time;
+        return { u: amplitude * Math.sin(y * frequency + phase), v: amplitude * Math.cos(x * frequency + phase) };
+    }, { schema: SINUSOIDAL_PARAM_SCHEMA })
+    .register(E_FIELD_PATTERNS.INVERSE_SINUSOIDAL, (x, y, { frequency, amplitude, drift }, time) => {
+        const phase = drift * time;
+        return { u: amplitude * Math.cos(x * frequency + phase), v: amplitude * Math.sin(y * frequency + phase) };
+    }, { schema: SINUSOIDAL_PARAM_SCHEMA })
+    .register(E_FIELD_PATTERNS.ANTI_CLOCKWISE, (x, y, { scale, spin }, time) => {
+        return Utils.rotate(Math.sqrt(y * scale), Math.sqrt(x * scale), spin * time);
+    }, { schema: CIRCULAR_PARAM_SCHEMA })
+    .register(E_FIELD_PATTERNS.CLOCKWISE, (x, y, { scale, spin }, time) => {
+        return Utils.rotate(-Math.sqrt(y * scale), Math.sqrt(x * scale), spin * time);
+    }, { schema: CIRCULAR_PARAM_SCHEMA })
+    .register(E_FIELD_PATTERNS.PERLIN, (x, y, { seed, frequency, amplitude, turbulence, evolution }, time) => {
+        const angle = Noise.perlin3(x * frequency, y * frequency, evolution * time, seed) * Math.PI * 2 * turbulence;
+        return { u: amplitude * Math.cos(angle), v: amplitude * Math.sin(angle) };
+    }, { schema: NOISE_PARAM_SCHEMA })
+    .register(E_FIELD_PATTERNS.SIMPLEX, (x, y, { seed, frequency, amplitude, turbulence, evolution }, time) => {
+        const angle = Noise.simplex3(x * frequency, y * frequency, evolution * time, seed) * Math.PI * 2 * turbulence;
+        return { u: amplitude * Math.cos(angle), v: amplitude * Math.sin(angle) };
+    }, { schema: NOISE_PARAM_SCHEMA })
+    .register(E_FIELD_PATTERNS.FBM, (x, y, { seed, frequency, amplitude, turbulence, evolution, octaves, lacunarity, gain }, time) => {
+        const angle = Noise.fbm(Noise.simplex3, x * frequency, y * frequency, evolution * time, { seed, octaves, lacunarity, gain }) * Math.PI * 2 * turbulence;
+        return { u: amplitude * Math.cos(angle), v: amplitude * Math.sin(angle) };
+    }, { schema: { ...NOISE_PARAM_SCHEMA, ...FBM_PARAM_SCHEMA } })
+    .register(E_FIELD_PATTERNS.CURL_NOISE, (x, y, { seed, frequency, amplitude, evolution, octaves, lacunarity, gain }, time) => {
+        const z = evolution * time;
+        const potential = (px, py) => Noise.fbm(Noise.simplex3, px * frequency, py * frequency, z, { seed, octaves, lacunarity, gain });
+        const { u, v } = Noise.curl2(potential, x, y);
+        // Undo the chain rule factor and typical gradient size so magnitudes stay near 1. A constant scale keeps it divergence-free.
+        const scale = (amplitude / frequency) * CURL_NOISE_GRADIENT_INV;
+        return { u: scale * u, v: scale * v };
+    }, { schema: { ...CURL_NOISE_PARAM_SCHEMA, ...FBM_PARAM_SCHEMA } });
+
+// --------------------------------------------------------------------------------------------------------------------
+// FIELD COMPOSITION
+
+/**
+ * Builds composite patterns out of registered ones: weighted sums, crossfades over field time, and masks that limit a
+ * pattern to a region. Composites are patterns themselves, so they can be registered and composed again.
+ * @example
+ * CompositeFn.register("SWIRL", [{ pattern: "SINUSOIDAL", weight: 0.7 }, { pattern: "CLOCKWISE", weight: 0.3 }]);
+ * CompositeFn.register("SPLIT", [
+ *     { pattern: "PERLIN", mask: CompositeFn.circle_mask(0.5, 0.5, 0.3) },
+ *     { pattern: "VORTEX", mask: CompositeFn.invert_mask(CompositeFn.circle_mask(0.5, 0.5, 0.3)) },
+ * ]);
+ */
+class CompositeFn {
+    /**
+     * Registers (or replaces) the weighted sum of `terms` as a pattern. The weights become its parameters `weight_1`,
+     * `weight_2`, ..., so they can be tuned like any other pattern parameter.
+     * @param {string} name @param {PatternTerm[]} terms @param {{label?: string}} [options]
+     * @returns {typeof CompositeFn} For chaining.
+     */
+    static register(name, terms, { label } = {}) {
+        const fn = CompositeFn.sum(terms);
+        const schema = Object.fromEntries(terms.map((term, k) =>
+            [`weight_${k + 1}`, { default: term.weight ?? 1, description: `Weight of ${FieldPatterns.label(term.pattern)}.` }]));
+        label ??= terms.map((term) => `${term.weight ?? 1}·${FieldPatterns.label(term.pattern)}`).join(" + ");
+        FieldPatterns.register(name, fn, { schema, label });
+        return CompositeFn;
+    }
+
+    /**
+     * Registers (or replaces) a crossfade from one term to another as a pattern, with parameters `start` and `duration`
+     * in seconds of field time. Static fields are sampled at time 0 only, so the crossfade plays on animated fields.
+     * @param {string} name @param {PatternTerm} from @param {PatternTerm} to
+     * @param {{start?: number, duration?: number, label?: string}} [options]
+     * @returns {typeof CompositeFn} For chaining.
+     */
+    static register_crossfade(name, from, to, { start = 0, duration = FIELD_CROSSFADE_SECONDS, label } = {}) {
+        const fn = CompositeFn.crossfade(from, to);
+        const schema = {
+            start: { default: start, min: 0, description: "Field time the crossfade starts at, in seconds." },
+            duration: { default: duration, min: Number.EPSILON, description: "Crossfade length in seconds." },
+        };
+        label ??= `${FieldPatterns.label(from.pattern)} → ${FieldPatterns.label(to.pattern)}`;
+        FieldPatterns.register(name, fn, { schema, label });
+        return CompositeFn;
+    }
+
+    /**
+     * Sums the weighted terms. A `weight_k` parameter, counted from 1, overrides the weight of the k-th term.
+     * @param {PatternTerm[]} terms @returns {PatternFn}
+     */
+    static sum(terms) {
+        const parts = CompositeFn.#resolve_terms(terms);
+        return (x, y, params, time, extent) => {
+            let u = 0, v = 0;
+            parts.forEach((part, k) => {
+                const flow = CompositeFn.#sample(part, params[`weight_${k + 1}`] ?? part.weight, x, y, time, extent);
+                u += flow.u;
+                v += flow.v;
+            });
+            return { u, v };
+        };
+    }
+
+    /**
+     * Eases from one term to the other between the `start` and `start + duration` parameters, in seconds of field time.
+     * @param {PatternTerm} from @param {PatternTerm} to @returns {PatternFn}
+     */
+    static crossfade(from, to) {
+        const [a, b] = CompositeFn.#resolve_terms([from, to]);
+        return (x, y, { start = 0, duration = FIELD_CROSSFADE_SECONDS }, time, extent) => {
+            const t = Utils.smoothstep((time - start) / duration);
+            const p = CompositeFn.#sample(a, (1 - t) * a.weight, x, y, time, extent);
+            const q = CompositeFn.#sample(b, t * b.weight, x, y, time, extent);
+            return { u: p.u + q.u, v: p.v + q.v };
+        };
+    }
+
+    /**
+     * @param {number} cx @param {number} cy - Center, in fractions of the field side. @param {number} radius - In fractions of the field side.
+     * @param {number} [feather] - Width of the soft edge, in fractions of the field side.
+     * @returns {FieldMask} 1 inside the circle, 0 outside.
+     */
+    static circle_mask(cx, cy, radius, feather = FIELD_MASK_FEATHER) {
+        if (![cx, cy, radius].every(Number.isFinite) || radius < 0) throw new RangeError(`Expected a finite circle mask center and a non-negative radius. Got (${cx}, ${cy}) and ${radius}.`);
+        CompositeFn.#check_feather(feather);
+        return (fx, fy) => CompositeFn.#edge(radius - Math.hypot(fx - cx, fy - cy), feather);
+    }
+
+    /**
+     * @param {number} angle - Direction the covered half faces, in radians from +x. As y points down, `Math.PI / 2` covers the bottom half.
+     * @param {number} [offset=0] - Distance of the edge from the field center, along `angle`, in fractions of the field side.
+     * @param {number} [feather] - Width of the soft edge, in fractions of the field side.
+     * @returns {FieldMask} 1 beyond the edge, 0 before it.
+     */
+    static half_plane_mask(angle, offset = 0, feather = FIELD_MASK_FEATHER) {
+        if (![angle, offset].every(Number.isFinite)) throw new RangeError(`Expected a finite half plane mask angle and offset. Got ${angle} and ${offset}.`);
+        CompositeFn.#check_feather(feather);
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        return (fx, fy) => CompositeFn.#edge((fx - 0.5) * cos + (fy - 0.5) * sin - offset, feather);
+    }
+
+    /** @param {FieldMask} mask @returns {FieldMask} The complement of `mask`, covering what it leaves out. */
+    static invert_mask(mask) {
+        return (fx, fy) => 1 - mask(fx, fy);
+    }
+
+    /**
+     * Radial flow of a point source at `cx` and `cy`, in fractions of the field side. The speed peaks at `strength` at
+     * the core `radius` and falls off with distance like an ideal source, without its singularity at the center.
+     * @param {number} x @param {number} y @param {Record<string, number>} params @param {number} extent
+     * @returns {{u: number, v: number}}
+     */
+    static radial_flow(x, y, { cx, cy, strength, radius }, extent) {
+        const dx = x / extent - cx, dy = y / extent - cy;
+        const k = (2 * strength * radius) / (dx * dx + dy * dy + radius * radius);
+        return { u: k * dx, v: k * dy };
+    }
+
+    /** @param {PatternTerm[]} terms */
+    static #resolve_terms(terms) {
+        if (!Array.isArray(terms) || terms.length === 0) throw new TypeError(`Expected a non-empty array of pattern terms. Got ${JSON.stringify(terms)}.`);
+        return terms.map(({ pattern, params = {}, weight = 1, mask }, k) => {
+            if (!Number.isFinite(weight)) throw new TypeError(`Expected the weight of pattern term ${k + 1} to be a finite number. Got ${weight}.`);
+            if (mask !== undefined && typeof mask !== "function") throw new TypeError(`Expected the mask of pattern term ${k + 1} to be a function of (fx, fy). Got ${typeof mask}.`);
+            return { fn: FieldPatterns.get(pattern).fn, params: FieldPatterns.resolve_params(pattern, params), weight, mask };
+        });
+    }
+
+    /**
+     * @param {{fn: PatternFn, params: Record<string, number>, mask: FieldMask|undefined}} part @param {number} weight
+     * @param {number} x @param {number} y @param {number} time @param {number} extent
+     * @returns {{u: number, v: number}} The part's flow, scaled by `weight` and its mask.
+     */
+    static #sample(part, weight, x, y, time, extent) {
+        const w = part.mask === undefined ? weight : weight * part.mask(x / extent, y / extent);
+        // Skipping zero weights keeps masked-out and faded-out noise patterns cheap.
+        if (w === 0) return { u: 0, v: 0 };
+        const { u, v } = part.fn(x, y, part.params, time, extent);
+        return { u: w * u, v: w * v };
+    }
+
+    /** @param {number} distance - Signed, positive inside. @param {number} feather @returns {number} */
+    static #edge(distance, feather) {
+        return feather > 0 ? Utils.smoothstep(distance / feather + 0.5) : Number(distance >= 0);
+    }
+
+    /** @param {number} feather */
+    static #check_feather(feather) {
+        if (!(feather >= 0)) throw new RangeError(`Expected mask feather to be a non-negative number. Got ${feather}.`);
+    }
+}
+
+/** Point sources, sinks and vortices, placed in fractions of the field side. @type {Record<string, PatternParamSchema>} */
+const POINT_FLOW_PARAM_SCHEMA = Object.freeze({
+    cx: { default: 0.5, description: "Center x, as a fraction of the field side." },
+    cy: { default: 0.5, description: "Center y, as a fraction of the field side." },
+    strength: { default: 1, description: "Peak speed, reached at the core radius. Negative reverses the flow." },
+    radius: { default: 0.1, min: Number.EPSILON, description: "Core radius, as a fraction of the field side." },
+});
+
+/** @type {Record<string, PatternParamSchema>} */
+const UNIFORM_PARAM_SCHEMA = Object.freeze({
+    speed: { default: 1, min: 0 },
+    angle: { default: 0, description: "Flow direction in radians from +x. As y points down, positive angles turn clockwise." },
+});
+
+FieldPatterns
+    .register(E_FIELD_PATTERNS.SOURCE, (x, y, params, _time, extent) => CompositeFn.radial_flow(x, y, params, extent), { schema: POINT_FLOW_PARAM_SCHEMA })
+    .register(E_FIELD_PATTERNS.SINK, (x, y, params, _time, extent) => {
+        const { u, v } = CompositeFn.radial_flow(x, y, params, extent);
+        return { u: -u, v: -v };
+    }, { schema: POINT_FLOW_PARAM_SCHEMA })
+    .register(E_FIELD_PATTERNS.VORTEX, (x, y, params, _time, extent) => {
+        // The radial flow turned by a quarter, which is clockwise on screen.
+        const { u, v } = CompositeFn.radial_flow(x, y, params, extent);
+        return { u: -v, v: u };
+    }, { schema: POINT_FLOW_PARAM_SCHEMA })
+    .register(E_FIELD_PATTERNS.UNIFORM, (_x, _y, { speed, angle }) => {
+        return { u: speed * Math.cos(angle), v: speed * Math.sin(angle) };
+    }, { schema: UNIFORM_PARAM_SCHEMA });
+
+// --------------------------------------------------------------------------------------------------------------------
+// PARTICLE PALETTES
+
+/**
+ * Registry of named particle palettes. A palette needs only its gradient; the layer colors default to its ends.
+ * Like `FieldPatterns`, palettes registered while an instance runs, e.g. `CUSTOM` from the gradient control, are its own.
+ * @example
+ * Palettes.register("SUNSET", { gradient: ["#2d1b69", "#f05d5e", "#ffd166"] });
+ */
+class Palettes {
+    /** Palettes shared by every instance. @type {Map<string, Palette>} */
+    static #registry = new Map();
+
+    /**
+     * Calls `listener` whenever a palette the current instance sees is registered, e.g. to refresh a dropdown.
+     * @param {() => void} listener @returns {() => void} Unsubscribes.
+     */
+    static subscribe(listener) {
+        return add_listener(current_context("Palettes.subscribe").palette_listeners, listener);
+    }
+
+    /** @returns {Map<string, Palette>} The current instance's palettes, or the shared ones outside an instance. */
+    static #scope() {
+        return g_context?.palette_registry ?? Palettes.#registry;
+    }
+
+    /** Notifies the current instance, or every live one of a shared change. */
+    static #notify() {
+        (g_context !== undefined ? [g_context] : [...g_contexts.values()]).forEach((context) => context.palette_listeners.forEach((listener) => listener()));
+    }
+
+    /**
+     * Registers (or replaces) a palette.
+     * @param {string} name
+     * @param {{gradient: string[], highlight?: string, shadow?: string, core?: string, label?: string}} options -
+     *   `gradient` is two or more `#rgb` or `#rrggbb` stops. The layer colors are any CSS colors.
+     * @returns {typeof Palettes} For chaining.
+     */
+    static register(name, { gradient, highlight, shadow, core, label = name.toLowerCase() }) {
+        if (typeof name !== "string" || name.length === 0) throw new TypeError(`Expected palette name to be a non-empty string. Got ${name}.`);
+        if (!Array.isArray(gradient) || gradient.length < 2) throw new RangeError(`Expected palette "${name}" to have at least two gradient stops. Got ${gradient}.`);
+        const stops = gradient.map((hex) => Palettes.parse_hex(hex));
+        /** @param {number[]} rgb @param {number} alpha */
+        const rgba = (rgb, alpha) => `rgba(${rgb[0]}, ${rgb[1]}, ${rgb[2]}, ${alpha})`;
+        Palettes.#scope().set(name, Object.freeze({
+            name,
+            label,
+            highlight: highlight ?? rgba(stops[stops.length - 1], 0.25),
+            shadow: shadow ?? rgba(stops[0], 0.25),
+            core: core ?? rgba(stops[stops.length >> 1], PARTICLE_GRADIENT_ALPHA),
+            gradient: Object.freeze(stops.map((stop) => Object.freeze(stop))),
+        }));
+        Palettes.#notify();
+        return Palettes;
+    }
+
+    /** @param {string} name @returns {boolean} */
+    static has(name) {
+        return Palettes.#scope().has(name) || Palettes.#registry.has(name);
+    }
+
+    /** @param {string} name @returns {Palette} */
+    static get(name) {
+        const palette = Palettes.#scope().get(name) ?? Palettes.#registry.get(name);
+        if (palette === undefined) throw new TypeError(`Expected one of ${Palettes.names()} for palette. Got ${name}.`);
+        return palette;
+    }
+
+    /** @returns {string[]} Registered palette names, shared ones first, in registration order. */
+    static names() {
+        return [...new Set([...Palettes.#registry.keys(), ...Palettes.#scope().keys()])];
+    }
+
+    /** @param {string} text - `#rgb` or `#rrggbb`. @returns {number[]} `[r, g, b]` in [0, 255]. */
+    static parse_hex(text) {
+        const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(text).trim());
+        if (match === null) throw new TypeError(`Expected a #rgb or #rrggbb color. Got ${text}.`);
+        const hex = match[1].length === 3 ? [...match[1]].map((c) => c + c).join("") : match[1];
+        return [0, 2, 4].map((k) => parseInt(hex.slice(k, k + 2), 16));
+    }
+
+    /** @param {number[]} rgb @returns {string} `#rrggbb`. */
+    static to_hex(rgb) {
+        return `#${rgb.map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+    }
+
+    /** @param {string} text - Comma-separated stops, e.g. `#000,#f80,#fff`. @returns {string[]} Validated stops. */
+    static parse_gradient(text) {
+        const stops = text.split(",").map((stop) => stop.trim());
+        if (stops.length < 2) throw new RangeError(`Expected at least two comma-separated gradient colors. Got ${text}.`);
+        stops.forEach((stop) => Palettes.parse_hex(stop));
+        return stops;
+    }
+
+    /** @param {Palette} palette @param {number} t - Position along the gradient, in [0, 1]. @param {number} alpha @returns {string} */
+    static color_at(palette, t, alpha) {
+        const stops = palette.gradient;
+        const f = Utils.clamp(t, 0, 1) * (stops.length - 1);
+        const k = Math.min(Math.floor(f), stops.length - 2);
+        const [r, g, b] = [0, 1, 2].map((c) => Math.round(Utils.lerp(stops[k][c], stops[k + 1][c], f - k)));
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+}
+
+Palettes
+    .register("DEFAULT", { gradient: ["#1f2b6b", "#3bb273", "#e1ce4b", "#d6453d"], highlight: "hsla(106, 60%, 50%, 0.25)", shadow: "hsla(250, 40%, 30%, 0.25)", core: "hsla(1, 60%, 50%, 0.50)" })
+    .register("OCEAN", { gradient: ["#0b1f4d", "#1b6ca8", "#2ec4b6", "#cbf3f0"], highlight: "hsla(170, 70%, 60%, 0.25)", shadow: "hsla(230, 50%, 25%, 0.25)", core: "hsla(195, 80%, 55%, 0.50)" })
+    .register("EMBER", { gradient: ["#2b0504", "#a4161a", "#f48c06", "#ffe169"], highlight: "hsla(45, 90%, 60%, 0.25)", shadow: "hsla(0, 50%, 20%, 0.25)", core: "hsla(20, 90%, 55%, 0.50)" })
+    .register("MONO", { gradient: ["#1a1a1a", "#e6e6e6"], highlight: "hsla(0, 0%, 90%, 0.20)", shadow: "hsla(0, 0%, 10%, 0.25)", core: "hsla(0, 0%, 75%, 0.50)" })
+    .register("VIRIDIS", { gradient: ["#440154", "#3b528b", "#21918c", "#5ec962", "#fde725"] })
+    // Both ends are red, so it wraps around for DIRECTION.
+    .register("RAINBOW", { gradient: ["#ff0000", "#ffff00", "#00ff00", "#00ffff", "#0000ff", "#ff00ff", "#ff0000"] });
+
+// --------------------------------------------------------------------------------------------------------------------
+// DATA STRUCTURES
+
+/** Represents a particle with position, speed, size, and lifetime. */
+class Particle {
+    /** @param {number} x - X-coordinate. @param {number} y - Y-coordinate. @param {number} speed - Particle speed. @param {number} size - Particle size. @param {number} [lifetime=Infinity] - Frame ticks to live before respawn. */
+    constructor(x, y, speed, size, lifetime = Infinity) {
+        this.x = x;
+        this.y = y;
+        this.speed = speed;
+        this.size = size;
+        this.lifetime = lifetime;
+        /** Frame ticks lived since last (re)spawn. */
+        this.age = 0;
+        /** Field point closest to the particle after its last update. @type {FieldVector|undefined} */
+        this.closest_point = undefined;
+        /** Displacement over the last update, in canvas pixels. */
+        this.vx = 0;
+        this.vy = 0;
+    }
+}
+
+/** Represents a flow vector with u and v components. */
+class FlowVector {
+    /** @param {number} u - U-component. @param {number} v - V-component. */
+    constructor(u, v) {
+        this.u = u;
+        this.v = v;
+    }
+}
+
+/** Represents a field vector with position (x, y) and flow components (u, v). */
+class FieldVector {
+    /** @param {number} x - X-coordinate, @param {number} y - Y-coordinate, @param {number} u - U-component, @param {number} v - V-component, */
+    constructor(x, y, u, v) {
+        this.x = x;
+        this.y = y;
+        this.u = u;
+        this.v = v;
+    }
+}
+
+/** Represents a flow field with specified columns, rows, steps, pattern, pattern parameters, and field time. */
+class FlowField {
+    /** @param {number} cols @param {number} rows @param {number} steps - Number of steps. @param {EFieldPatterns} pattern - Field pattern. @param {Record<string, number>} [params] - Overrides of the pattern's default parameters. @param {number} [time=0] - Field time in seconds. */
+    constructor(cols, rows, steps, pattern, params = {}, time = 0) {
+        this.cols = cols;
+        this.rows = rows;
+        this.steps = steps;
+        this.pattern = pattern;
+        this.params = FieldPatterns.resolve_params(pattern, params);
+        this.time = time;
+        /** Keyframes bracketing `time`, used by `FlowFieldFn.advance_time`. @type {FieldKeyframe|undefined} */
+        this.keyframe_from = undefined;
+        /** @type {FieldKeyframe|undefined} */
+        this.keyframe_to = undefined;
+        /** Brush strokes, kept apart so they are laid over the field again after it moves on in time. @type {FieldBrush|undefined} */
+        this.brush = undefined;
+        /** @prop {FieldVector[]} [field] */
+        this.field = FlowFieldFn.gen_field(this);
+    }
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// DATA STRUCTURE TRAITS
+
+/** Functions related to particles. */
+class ParticleFn {
+    /**
+     * Spawns `count` particles placed by the given strategy.
+     * @param {number} count @param {ESpawnStrategies} strategy @param {number} width @param {number} height @param {Random} rng
+     * @returns {Particle[]}
+     */
+    static spawn_particles(count, strategy, width, height, rng) {
+        __DEBUG && Utils.assert(Number.isInteger(count) && count >= 0 && count <= PARTICLE_COUNT_MAX, `Expected particle count to be an integer in [0, ${PARTICLE_COUNT_MAX}]. Got ${count}.`);
+
+        /** @type {{x: number, y: number}[]} */
+        let positions;
+        switch (strategy) {
+            case E_SPAWN_STRATEGIES.UNIFORM_RANDOM:
+                positions = Array.from({ length: count }, () => ParticleFn._spawn_position_random(width, height, rng));
+                break;
+            case E_SPAWN_STRATEGIES.GRID:
+                positions = ParticleFn._spawn_positions_grid(count, width, height);
+                break;
+            case E_SPAWN_STRATEGIES.POISSON_DISK:
+                positions = ParticleFn._spawn_positions_poisson_disk(count, width, height, rng);
+                break;
+            case E_SPAWN_STRATEGIES.CANVAS_EDGE:
+                positions = Array.from({ length: count }, () => ParticleFn._spawn_position_edge(width, height, rng));
+                break;
+            default:
+                throw new TypeError(`Expected an enumeration of ${Object.keys(E_SPAWN_STRATEGIES)} for spawn strategy. Got ${strategy}.`);
+        }
+        return positions.map(({ x, y }) => {
+            const particle = new Particle(x, y, 1, 1);
+            ParticleFn._randomize_traits(particle, rng);
+            return particle;
+        });
+    }
+
+    /**
+     * Respawns a particle whose lifetime has elapsed. Grid and Poisson-disk layouts are whole-set strategies, so a
+     * single particle falls back to a uniform random position for them.
+     * @param {Particle} mut_particle @param {ESpawnStrategies} strategy @param {number} width @param {number} height @param {Random} rng
+     */
+    static respawn_particle(mut_particle, strategy, width, height, rng) {
+        const { x, y } = strategy === E_SPAWN_STRATEGIES.CANVAS_EDGE
+            ? ParticleFn._spawn_position_edge(width, height, rng)
+            : ParticleFn._spawn_position_random(width, height, rng);
+        mut_particle.x = x;
+        mut_particle.y = y;
+        mut_particle.closest_point = undefined;
+        ParticleFn._randomize_traits(mut_particle, rng);
+    }
+
+    /**
+     * Advances every particle one frame, respawns those that outlived their lifetime, and applies the boundary mode
+     * and obstacles to the rest.
+     * @param {Particle[]} mut_particles @param {FlowField} data @param {Random} [rng=g_context.rng]
+     */
+    static update_particles(mut_particles, data, rng = g_context.rng) {
+        for (const particle of mut_particles) {
+            particle.age += 1;
+            if (particle.age > particle.lifetime) {
+                ParticleFn.respawn_particle(particle, g_context.spawn_strategy, g_context.canvas_width, g_context.canvas_height, rng);
+                continue;
+            }
+            ParticleFn.update_particle_via_field(particle, data, g_context.particle_integrator, g_context.particle_t_interpolate);
+            g_context.obstacles.length > 0 && ObstacleFn.collide(particle, g_context.obstacles);
+            BoundaryFn.apply(particle, g_context.boundary_mode, data, g_context.canvas_width, g_context.canvas_height, rng);
+        }
+    }
+
+    /** @param {Particle} mut_particle @param {Random} rng */
+    static _randomize_traits(mut_particle, rng) {
+        mut_particle.speed = rng.between(PARTICLE_SPEED_MIN, PARTICLE_SPEED_MAX);
+        mut_particle.size = rng.between(PARTICLE_SIZE_MIN, PARTICLE_SIZE_MAX);
+        mut_particle.lifetime = ~~rng.between(PARTICLE_LIFETIME_MIN, PARTICLE_LIFETIME_MAX);
+        mut_particle.age = 0;
+        mut_particle.vx = 0;
+        mut_particle.vy = 0;
+    }
+
+    /** @param {number} width @param {number} height @param {Random} rng @returns {{x: number, y: number}} */
+    static _spawn_position_random(width, height, rng) {
+        return { x: rng.next() * width, y: rng.next() * height };
+    }
+
+    /** Picks a uniformly distributed point on the canvas perimeter. @param {number} width @param {number} height @param {Random} rng @returns {{x: number, y: number}} */
+    static _spawn_position_edge(width, height, rng) {
+        let d = rng.next() * 2 * (width + height);
+        if (d < width) return { x: d, y: 0 };
+        d -= width;
+        if (d < height) return { x: width, y: d };
+        d -= height;
+        if (d < width) return { x: width - d, y: height };
+        d -= width;
+        return { x: 0, y: height - d };
+    }
+
+    /** Places particles at cell centers of the smallest grid that fits `count` with the canvas aspect ratio. @returns {{x: number, y: number}[]} */
+    static _spawn_positions_grid(count, width, height) {
+        if (count === 0) return [];
+        const ncols = Math.ceil(Math.sqrt(count * width / height));
+        const nrows = Math.ceil(count / ncols);
+        const dx = width / ncols, dy = height / nrows;
+        const positions = [];
+        for (let i = 0; i < count; i += 1) {
+            positions.push({ x: (i % ncols + 0.5) * dx, y: (~~(i / ncols) + 0.5) * dy });
+        }
+        return positions;
+    }
+
+    /**
+     * Bridson's Poisson-disk sampling. The minimum distance is derived from `count` so the canvas is covered evenly,
+     * then the result is truncated (or topped up randomly) to exactly `count` points.
+     * @param {number} count @param {number} width @param {number} height @param {Random} rng
+     * @returns {{x: number, y: number}[]}
+     */
+    static _spawn_positions_poisson_disk(count, width, height, rng) {
+        if (count === 0) return [];
+        const radius = Math.sqrt((width * height) / (count * 2 * Math.sqrt(3))) * 1.4; // Hexagonal packing density, relaxed.
+        const cell_size = radius / Math.SQRT2;
+        const ncols = Math.ceil(width / cell_size), nrows = Math.ceil(height / cell_size);
+        /** @type {number[]} Index into `points` per background grid cell, or -1. */
+        const grid = new Array(ncols * nrows).fill(-1);
+        /** @type {{x: number, y: number}[]} */
+        const points = [], active = [];
+        const insert = (point) => {
+            grid[~~(point.y / cell_size) * ncols + ~~(point.x / cell_size)] = points.length;
+            points.push(point);
+            active.push(point);
+        };
+        const is_far_enough = (x, y) => {
+            const ci = ~~(x / cell_size), cj = ~~(y / cell_size);
+            for (let j = Math.max(cj - 2, 0); j <= Math.min(cj + 2, nrows - 1); j += 1) {
+                for (let i = Math.max(ci - 2, 0); i <= Math.min(ci + 2, ncols - 1); i += 1) {
+                    const index = grid[j * ncols + i];
+                    if (index !== -1 && Math.hypot(points[index].x - x, points[index].y - y) < radius) return false;
+                }
+            }
+            return true;
+        };
+
+        insert(ParticleFn._spawn_position_random(width, height, rng));
+        while (active.length > 0 && points.length < count) {
+            const k = rng.int(active.length);
+            const origin = active[k];
+            let found = false;
+            for (let n = 0; n < POISSON_DISK_SAMPLES; n += 1) {
+                const angle = rng.next() * 2 * Math.PI;
+                const dist = radius * (1 + rng.next());
+                const x = origin.x + dist * Math.cos(angle), y = origin.y + dist * Math.sin(angle);
+                if (x >= 0 && x < width && y >= 0 && y < height && is_far_enough(x, y)) {
+                    insert({ x, y });
+                    found = true;
+                    break;
+                }
+            }
+            if (!found) active.splice(k, 1);
+        }
+        while (points.length < count) points.push(ParticleFn._spawn_position_random(width, height, rng));
+        return points;
+    }
+
+    /**
+     * Updates the particle's position based on the flow field data.
+     * @param {Particle} [mut_particle] - Mutable pointer to a `Particle`.
+     * @param {FlowField} data - Flow field data.
+     * @param {EIntegrators} [integrator=E_INTEGRATORS.LERP] - How one tick of motion is integrated.
+     * @param {number} [t_interpolate=1.0] - Only used by LERP.
+     * TIP: use perfect square ratios for interpolation. Adjust to vary velocity/thrust/drift/inertia.
+     */
+    static update_particle_via_field(mut_particle, data, integrator = E_INTEGRATORS.LERP, t_interpolate = 1.0) {
+        const resistance = g_context.scale * FPS_RESISTANCE * mut_particle.speed * g_context.particle_speed;
+        const prev_x = mut_particle.x, prev_y = mut_particle.y;
+        /** @type {VelocityFn} */
+        const velocity = (x, y) => {
+            const flow_vector = ParticleFn._get_flow_vector_at_position(x / g_context.scale, y / g_context.scale, data, g_context.field_interpolation);
+            return new FlowVector(flow_vector.u * resistance, flow_vector.v * resistance);
+        };
+
+        if (integrator === E_INTEGRATORS.LERP) {
+            const p_x = mut_particle.x / g_context.scale;
+            const p_y = mut_particle.y / g_context.scale;
+            const force = velocity(mut_particle.x, mut_particle.y);
+            // Smooth particle trail curves.
+            mut_particle.x += Utils.lerp(p_x, force.u, t_interpolate); // (0.7)ms
+            mut_particle.y += Utils.lerp(p_y, force.v, t_interpolate);
+            mut_particle.closest_point = g_context.closest_point;
+        } else {
+            const step = IntegratorFn.step(integrator, mut_particle.x, mut_particle.y, velocity);
+            // The first sample is at the particle, so the first closest point is its own.
+            mut_particle.closest_point = FlowFieldFn.nearest_field_vector(data, mut_particle.x / g_context.scale, mut_particle.y / g_context.scale);
+            mut_particle.x += step.u;
+            mut_particle.y += step.v;
+        }
+        mut_particle.vx = mut_particle.x - prev_x;
+        mut_particle.vy = mut_particle.y - prev_y;
+    }
+
+    /**
+     * Gets the flow vector at a given position.
+     * @param {number} x - X-coordinate.
+     * @param {number} y - Y-coordinate.
+     * @param {FlowField} data - Flow field data.
+     * @param {EFieldInterpolations} [interpolation]
+     * @returns {FlowVector} - Flow vector.
+     */
+    static _get_flow_vector_at_position(x, y, data, interpolation = E_FIELD_INTERPOLATIONS.NEAREST) {
+        // Find the closest data point to the given position by its grid index.
+        g_context.closest_point = FlowFieldFn.nearest_field_vector(data, x, y);
+
+        let key_xy, flow_vec;
+        if (g_context.config.lru_cache) {
+            let scale = ~~g_context.scale; // || Math.floor(g_scale);  // 72 -> 80 -> 40 -> 50.
+            {
+                scale += 10 - (scale % 10); // Round off to be a multiple of 10.
+                scale *= 0.5; // Halve the value.
+                scale += 10 - (scale % 10); // Round off to be a multiple of 10.
+            }
+            key_xy = `${~~(x * scale)},${~~(y * scale)}`; /* (double bitwise NOT) `~~` truncates towards 0, like `Math.trunc()` */
+            const lru_flow_vector = g_context.closest_points_map.get(key_xy);
+            // A copy, as the sources below add to it.
+            if (lru_flow_vector !== undefined) flow_vec = new FlowVector(lru_flow_vector.u, lru_flow_vector.v);
+        }
+        if (flow_vec === undefined) {
+            flow_vec = interpolation === E_FIELD_INTERPOLATIONS.NEAREST
+                ? new FlowVector(g_context.closest_point.u, g_context.closest_point.v)
+                : FlowFieldFn.lookup(data, x, y, interpolation);
+            g_context.config.lru_cache && g_context.closest_points_map.set(key_xy, new FlowVector(flow_vec.u, flow_vec.v));
+        }
+        // Pointer sources move under the cursor, so they are blended in after the cache.
+        if (g_context.pointer_sources.size > 0) FlowFieldFn.apply_sources(flow_vec, x, y, g_context.pointer_sources.values());
+        if (g_context.obstacles_deflect && g_context.obstacles.length > 0) ObstacleFn.deflect(flow_vec, x, y, g_context.obstacles);
+
+        return flow_vec; // Return the flow vector at the closest point
+    }
+}
+
+/** Integrates one simulation tick of motion through a steady velocity field. Every method returns the displacement. */
+class IntegratorFn {
+    /**
+     * @param {EIntegrators} integrator - Any but LERP, which is not an integrator of the field alone.
+     * @param {number} x @param {number} y @param {VelocityFn} velocity
+     * @returns {FlowVector} Displacement over one tick.
+     */
+    static step(integrator, x, y, velocity) {
+        switch (integrator) {
+            case E_INTEGRATORS.EULER:
+                return velocity(x, y);
+            case E_INTEGRATORS.MIDPOINT:
+                return IntegratorFn.midpoint(x, y, velocity);
+            case E_INTEGRATORS.RK4:
+                return IntegratorFn.rk4(x, y, velocity);
+            case E_INTEGRATORS.RK45:
+                return IntegratorFn.rk45(x, y, velocity);
+            default:
+                throw new TypeError(`Expected one of ${Object.keys(E_INTEGRATORS).filter((k) => k !== E_INTEGRATORS.LERP)}. Got ${integrator}.`);
+        }
+    }
+
+    /** Second order: Euler's half step, then the velocity found there for the whole step. @param {number} x @param {number} y @param {VelocityFn} velocity @returns {FlowVector} */
+    static midpoint(x, y, velocity) {
+        const k1 = velocity(x, y);
+        return velocity(x + 0.5 * k1.u, y + 0.5 * k1.v);
+    }
+
+    /** Classic fourth order Runge–Kutta. @param {number} x @param {number} y @param {VelocityFn} velocity @returns {FlowVector} */
+    static rk4(x, y, velocity) {
+        const k1 = velocity(x, y);
+        const k2 = velocity(x + 0.5 * k1.u, y + 0.5 * k1.v);
+        const k3 = velocity(x + 0.5 * k2.u, y + 0.5 * k2.v);
+        const k4 = velocity(x + k3.u, y + k3.v);
+        return new FlowVector((k1.u + 2 * k2.u + 2 * k3.u + k4.u) / 6, (k1.v + 2 * k2.v + 2 * k3.v + k4.v) / 6);
+    }
+
+    /**
+     * Adaptive Dormand–Prince 5(4). Splits the tick into substeps, shrinking them where the 4th and 5th order
+     * estimates disagree by more than `tolerance` and growing them again where the field is smooth.
+     * @param {number} x @param {number} y @param {VelocityFn} velocity
+     * @param {number} [tolerance=RK45_TOLERANCE] - Local error per substep, in canvas pixels.
+     * @returns {FlowVector}
+     */
+    static rk45(x, y, velocity, tolerance = RK45_TOLERANCE) {
+        const { a, b, e } = RK45_TABLEAU;
+        let dx = 0, dy = 0; // Displacement so far.
+        let t = 0, h = 1;
+        /** @type {FlowVector[]} */
+        const k = new Array(b.length);
+        while (t < 1) {
+            h = Math.min(h, 1 - t);
+            for (let s = 0; s < b.length; s++) {
+                let sx = x + dx, sy = y + dy;
+                for (let r = 0; r < s; r++) {
+                    sx += h * a[s][r] * k[r].u;
+                    sy += h * a[s][r] * k[r].v;
+                }
+                k[s] = velocity(sx, sy);
+            }
+            let step_u = 0, step_v = 0, err_u = 0, err_v = 0;
+            for (let s = 0; s < b.length; s++) {
+                step_u += b[s] * k[s].u;
+                step_v += b[s] * k[s].v;
+                err_u += e[s] * k[s].u;
+                err_v += e[s] * k[s].v;
+            }
+            const err = h * Math.hypot(err_u, err_v);
+            if (err <= tolerance || h <= RK45_MIN_STEP) {
+                dx += h * step_u;
+                dy += h * step_v;
+                t += h;
+            }
+            // Standard step size controller with a safety factor, limited to shrink 5x or grow 5x at a time.
+            const factor = err === 0 ? 5 : Utils.clamp(0.9 * (tolerance / err) ** 0.2, 0.2, 5);
+            h = Math.max(h * factor, RK45_MIN_STEP);
+        }
+        return new FlowVector(dx, dy);
+    }
+}
+
+class FlowFieldFn {
+    /** @param {FlowField} flowfield @returns {number} Distance between neighbouring field points, in field units. */
+    static cell_size(flowfield) {
+        return flowfield.rows / flowfield.steps;
+    }
+
+    /**
+     * Gets the field point closest to x and y in constant time. Positions outside the grid clamp to its edge points.
+     * @param {FlowField} flowfield @param {number} x - X-coordinate in field units. @param {number} y - Y-coordinate in field units.
+     * @returns {FieldVector}
+     */
+    static nearest_field_vector(flowfield, x, y) {
+        const nsteps = flowfield.steps, step = FlowFieldFn.cell_size(flowfield);
+        const j = Utils.clamp(Math.round(x / step), 0, nsteps - 1);
+        const i = Utils.clamp(Math.round(y / step), 0, nsteps - 1);
+        return flowfield.field[i * nsteps + j];
+    }
+
+    /**
+     * Looks up the interpolated flow vector at x and y in constant time.
+     * The field is a row-major `steps * steps` grid, where point `(i, j)` sits at `(j * step, i * step)`.
+     * @param {FlowField} flowfield
+     * @param {number} x - X-coordinate in field units.
+     * @param {number} y - Y-coordinate in field units.
+     * @param {EFieldInterpolations} [interpolation]
+     * @returns {FlowVector} u and v values of flow vector at x and y coordinates.
+     */
+    static lookup(flowfield, x, y, interpolation = E_FIELD_INTERPOLATIONS.NEAREST) {
+        const nsteps = flowfield.steps, field = flowfield.field, step = FlowFieldFn.cell_size(flowfield);
+        /** @param {number} i @param {number} j @returns {FieldVector} Field point at row i and column j, clamped to the grid. */
+        const at = (i, j) => field[Utils.clamp(i, 0, nsteps - 1) * nsteps + Utils.clamp(j, 0, nsteps - 1)];
+
+        switch (interpolation) {
+            case E_FIELD_INTERPOLATIONS.NEAREST: {
+                const point = FlowFieldFn.nearest_field_vector(flowfield, x, y);
+                return new FlowVector(point.u, point.v);
+            }
+            case E_FIELD_INTERPOLATIONS.BILINEAR: {
+                const fx = Utils.clamp(x / step, 0, nsteps - 1), fy = Utils.clamp(y / step, 0, nsteps - 1);
+                const j = Math.floor(fx), i = Math.floor(fy);
+                const tx = fx - j, ty = fy - i;
+                const p00 = at(i, j), p01 = at(i, j + 1), p10 = at(i + 1, j), p11 = at(i + 1, j + 1);
+                return new FlowVector(
+                    Utils.lerp(Utils.lerp(p00.u, p01.u, tx), Utils.lerp(p10.u, p11.u, tx), ty),
+                    Utils.lerp(Utils.lerp(p00.v, p01.v, tx), Utils.lerp(p10.v, p11.v, tx), ty)
+                );
+            }
+            case E_FIELD_INTERPOLATIONS.BICUBIC: {
+                const fx = Utils.clamp(x / step, 0, nsteps - 1), fy = Utils.clamp(y / step, 0, nsteps - 1);
+                const j = Math.floor(fx), i = Math.floor(fy);
+                const tx = fx - j, ty = fy - i;
+                /** @param {"u"|"v"} key @param {number} row */
+                const row_at = (key, row) => Utils.cubic_interpolate(at(row, j - 1)[key], at(row, j)[key], at(row, j + 1)[key], at(row, j + 2)[key], tx);
+                /** @param {"u"|"v"} key */
+                const interpolate = (key) => Utils.cubic_interpolate(row_at(key, i - 1), row_at(key, i), row_at(key, i + 1), row_at(key, i + 2), ty);
+                return new FlowVector(interpolate("u"), interpolate("v"));
+            }
+            default:
+                throw new TypeError(`Expected an enumeration of ${Object.keys(E_FIELD_INTERPOLATIONS)} for field interpolation. Got ${interpolation}.`);
+        }
+    }
+
+    // static generate_field(flowfield) { //     return Array.from({ length: flowfield.cols }, () => Array.from({ length: flowfield.rows }, () => ( new CFlowVector( ((Math.random() * 2) - 1), ((Math.random() * 2) - 1),)))); // }
+
+    /** @returns {FieldVector[]} Array of `CFieldVector` object that makes up a flow field */
+    static gen_field(field) {
+        const nrows = field.rows, ncols = field.cols, nsteps = field.steps, pattern = field.pattern, params = field.params, time = field.time;
+        if (__DEBUG) {
+            Utils.assert(Number.isInteger(nsteps), `Expected nsteps to be an integer. Got ${nsteps}.`);
+            Utils.assert(Number.isInteger(Math.log2(nsteps)), `Expected nsteps to be a power of 2. nsteps is ${nsteps}.`);
+            Utils.assert(nrows === ncols, `Expect count of rows and columns to be same. Got nrows: ${nrows}, ncols: ${ncols}.`);
+        }
+
+        const step = nrows / nsteps;
+        const xvals = Utils.range_tolist(0, nrows, step);
+        const yvals = Utils.range_tolist(0, ncols, step);
+
+        /** @type {number[][]} */
+        const xgrid = [], ygrid = [];
+        for (let i = 0; i < nsteps; i += 1) {
+            const xrow = [], yrow = [];
+            for (let j = 0; j < nsteps; j += 1) {
+                xrow.push(xvals[j]);
+                yrow.push(yvals[i]);
+            }
+            xgrid.push(xrow);
+            ygrid.push(yrow);
+        }
+
+        /** @type {number[][] | undefined} */
+        let { ugrid, vgrid } = FlowFieldFn._map_flow_vectors(pattern, xgrid, ygrid, params, time, nrows);
+        __DEBUG && Utils.assert(ugrid !== undefined && vgrid !== undefined, `Expected ugrid and vgrid to be initialized. Got "ugrid: ${ugrid}, vgrid: ${vgrid}"`);
+
+        /** @type {FieldVector[]} */
+        const data = xgrid.flatMap((xrow, i) =>
+            xrow.map((x, j) => ({ x, y: ygrid[i][j], u: ugrid[i][j], v: vgrid[i][j], })) // (3.1:7.9)ms
+        );
+        if (__DEBUG) {
+            Utils.assert(data.length === xgrid.length * xgrid[0].length, `Expected flow field data to have length similar to any of it's axis's rows or column.`);
+            Utils.assert(Number.isInteger(Math.log2(data.length)), `Expected flow field data length to be a power of 2. Data length is ${data.length}.`);
+        }
+        return data;
+    }
+
+    /**
+     * Evaluates a registered pattern at every grid point.
+     * @param {EFieldPatterns} pattern @param {number[][]} xgrid @param {number[][]} ygrid @param {Record<string, number>} [params] @param {number} [time=0]
+     * @param {number} [extent] - Side of the field, in field units. Defaults to the span of the grid.
+     * @returns {{ugrid: number[][], vgrid: number[][]}}
+     */
+    static _map_flow_vectors(pattern, xgrid, ygrid, params = FieldPatterns.defaults(pattern), time = 0, extent = xgrid.length) {
+        const { fn } = FieldPatterns.get(pattern);
+
+        /** @type {number[][]} */
+        const ugrid = [], vgrid = [];
+        xgrid.forEach((xrow, i) => {
+            const urow = [], vrow = [];
+            xrow.forEach((x, j) => {
+                const { u, v } = fn(x, ygrid[i][j], params, time, extent);
+                urow.push(u);
+                vrow.push(v);
+            });
+            ugrid.push(urow);
+            vgrid.push(vrow);
+        });
+        return { ugrid, vgrid };
+    }
+
+    /** @param {FlowField} flowfield @param {number} time @returns {FieldKeyframe} The field's pattern evaluated at every point at `time`. */
+    static sample_keyframe(flowfield, time) {
+        const { fn } = FieldPatterns.get(flowfield.pattern);
+        const n = flowfield.field.length;
+        const keyframe = { time, u: new Float64Array(n), v: new Float64Array(n) };
+        for (let k = 0; k < n; k += 1) {
+            const point = flowfield.field[k];
+            const { u, v } = fn(point.x, point.y, flowfield.params, time, flowfield.rows);
+            keyframe.u[k] = u;
+            keyframe.v[k] = v;
+        }
+        return keyframe;
+    }
+
+    /**
+     * Moves a field to `time`, updating u and v of its points in place so references to them stay valid.
+     * With a positive `keyframe_interval` the pattern is only evaluated once per interval, and frames in between are
+     * linearly interpolated between the two bracketing keyframes.
+     * @param {FlowField} mut_flowfield @param {number} time - Field time in seconds. @param {number} [keyframe_interval=0] - Seconds between keyframes.
+     */
+    static advance_time(mut_flowfield, time, keyframe_interval = 0) {
+        const field = mut_flowfield.field;
+        mut_flowfield.time = time;
+        if (keyframe_interval <= 0) {
+            const { u, v } = FlowFieldFn.sample_keyframe(mut_flowfield, time);
+            field.forEach((point, k) => { point.u = u[k]; point.v = v[k]; });
+            FlowFieldFn.apply_brush(mut_flowfield);
+            return;
+        }
+
+        let from = mut_flowfield.keyframe_from, to = mut_flowfield.keyframe_to;
+        const is_bracketed = from !== undefined && to !== undefined && time >= from.time && time < to.time && to.time - from.time === keyframe_interval;
+        if (!is_bracketed) {
+            // Reuse the previous target keyframe when time moved on by less than one interval, which is the usual case.
+            const is_next_interval = to !== undefined && time >= to.time && time < to.time + keyframe_interval;
+            from = is_next_interval ? to : FlowFieldFn.sample_keyframe(mut_flowfield, time);
+            to = FlowFieldFn.sample_keyframe(mut_flowfield, from.time + keyframe_interval);
+            mut_flowfield.keyframe_from = from;
+            mut_flowfield.keyframe_to = to;
+        }
+        const t = (time - from.time) / keyframe_interval;
+        field.forEach((point, k) => {
+            point.u = Utils.lerp(from.u[k], to.u[k], t);
+            point.v = Utils.lerp(from.v[k], to.v[k], t);
+        });
+        FlowFieldFn.apply_brush(mut_flowfield);
+    }
+
+    /** Blends the painted directions of `PointerFn.paint_field` into the field, keeping each vector's magnitude. @param {FlowField} mut_flowfield */
+    static apply_brush(mut_flowfield) {
+        const brush = mut_flowfield.brush;
+        if (brush === undefined) return;
+        mut_flowfield.field.forEach((point, k) => {
+            const weight = brush.weight[k];
+            if (weight === 0) return;
+            const magnitude = Math.hypot(point.u, point.v) || 1;
+            point.u = Utils.lerp(point.u, brush.u[k] * magnitude, weight);
+            point.v = Utils.lerp(point.v, brush.v[k] * magnitude, weight);
+        });
+    }
+
+    /**
+     * Starts morphing a field into another pattern, see `FlowFieldFn.step_morph`.
+     * @param {FlowField} flowfield @param {EFieldPatterns} pattern @param {Record<string, number>} params @param {number} tick - Frame tick the morph starts at.
+     * @returns {FieldMorph}
+     */
+    static start_morph(flowfield, pattern, params, tick) {
+        const field = flowfield.field;
+        const from = { time: flowfield.time, u: Float64Array.from(field, (point) => point.u), v: Float64Array.from(field, (point) => point.v) };
+        const to = new FlowField(flowfield.cols, flowfield.rows, flowfield.steps, pattern, params, flowfield.time);
+        return { from, to, start_tick: tick };
+    }
+
+    /**
+     * Eases a field from the morph's start towards its target. At the end the field takes over the target's pattern,
+     * parameters and time, in place, so references to its points stay valid.
+     * @param {FlowField} mut_flowfield @param {FieldMorph} morph @param {number} t - Progress, where 1 is the end.
+     * @returns {boolean} Whether the morph has ended.
+     */
+    static step_morph(mut_flowfield, morph, t) {
+        const { from, to } = morph;
+        const eased = Utils.smoothstep(t);
+        mut_flowfield.field.forEach((point, k) => {
+            point.u = Utils.lerp(from.u[k], to.field[k].u, eased);
+            point.v = Utils.lerp(from.v[k], to.field[k].v, eased);
+        });
+        if (t < 1) return false;
+        mut_flowfield.pattern = to.pattern;
+        mut_flowfield.params = to.params;
+        mut_flowfield.time = to.time;
+        mut_flowfield.keyframe_from = to.keyframe_from;
+        mut_flowfield.keyframe_to = to.keyframe_to;
+        mut_flowfield.brush = undefined; // Strokes were painted on the previous pattern.
+        return true;
+    }
+
+    /**
+     * Adds the forces of pointer sources at x and y to `mut_flow_vec`. Each source falls off with a Gaussian of
+     * `POINTER_SOURCE_RADIUS`, so it only bends the flow nearby.
+     * @param {FlowVector} mut_flow_vec @param {number} x @param {number} y @param {Iterable<PointerSource>} sources
+     */
+    static apply_sources(mut_flow_vec, x, y, sources) {
+        for (const source of sources) {
+            const dx = source.x - x, dy = source.y - y;
+            const r = Math.hypot(dx, dy);
+            if (r === 0) continue;
+            const falloff = POINTER_SOURCE_STRENGTH * Math.exp(-((r / POINTER_SOURCE_RADIUS) ** 2)) / r;
+            switch (source.tool) {
+                case E_POINTER_TOOLS.ATTRACTOR:
+                    mut_flow_vec.u += dx * falloff;
+                    mut_flow_vec.v += dy * falloff;
+                    break;
+                case E_POINTER_TOOLS.REPELLER:
+                    mut_flow_vec.u -= dx * falloff;
+                    mut_flow_vec.v -= dy * falloff;
+                    break;
+                case E_POINTER_TOOLS.VORTEX:
+                    mut_flow_vec.u += -dy * falloff;
+                    mut_flow_vec.v += dx * falloff;
+                    break;
+                default:
+                    break;
+            }
+        }
+    }
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// BOUNDARIES AND OBSTACLES
+
+class BoundaryFn {
+    /**
+     * Keeps a particle on the canvas according to `mode`. Particles already inside are left alone.
+     * @param {Particle} mut_particle @param {EBoundaryModes} mode @param {FlowField} data
+     * @param {number} width @param {number} height @param {Random} rng
+     */
+    static apply(mut_particle, mode, data, width, height, rng) {
+        const { x, y } = mut_particle;
+        if (x >= 0 && x <= width && y >= 0 && y <= height) return;
+
+        switch (mode) {
+            case E_BOUNDARY_MODES.WRAP:
+                // Wrap the particle around the canvas edges
+                if (x < 0) mut_particle.x += width;
+                else if (x > width) mut_particle.x -= width;
+                if (y < 0) mut_particle.y += height;
+                else if (y > height) mut_particle.y -= height;
+                break;
+            case E_BOUNDARY_MODES.REFLECT:
+                // Mirror the overshoot back in. Clamped in case a single step overshot by more than the canvas.
+                mut_particle.x = Utils.clamp(x < 0 ? -x : x > width ? 2 * width - x : x, 0, width);
+                mut_particle.y = Utils.clamp(y < 0 ? -y : y > height ? 2 * height - y : y, 0, height);
+                break;
+            case E_BOUNDARY_MODES.RESPAWN:
+                ParticleFn.respawn_particle(mut_particle, g_context.spawn_strategy, width, height, rng);
+                break;
+            case E_BOUNDARY_MODES.CLAMP:
+                mut_particle.x = Utils.clamp(x, 0, width);
+                mut_particle.y = Utils.clamp(y, 0, height);
+                break;
+            case E_BOUNDARY_MODES.INFLOW: {
+                const position = BoundaryFn.spawn_position_inflow(data, width, height, rng);
+                mut_particle.x = position.x;
+                mut_particle.y = position.y;
+                mut_particle.closest_point = undefined;
+                ParticleFn._randomize_traits(mut_particle, rng);
+                break;
+            }
+            default:
+                throw new TypeError(`Expected an enumeration of ${Object.keys(E_BOUNDARY_MODES)} for boundary mode. Got ${mode}.`);
+        }
+    }
+
+    /**
+     * Picks a random point on the canvas perimeter where the field flows inwards, so particles stream in from
+     * upwind edges only. Falls back to any perimeter point if none of `INFLOW_SPAWN_SAMPLES` tries flows in.
+     * @param {FlowField} data @param {number} width @param {number} height @param {Random} rng
+     * @returns {{x: number, y: number}} Position in canvas pixels.
+     */
+    static spawn_position_inflow(data, width, height, rng) {
+        let position = { x: 0, y: 0 };
+        for (let n = 0; n < INFLOW_SPAWN_SAMPLES; n += 1) {
+            position = ParticleFn._spawn_position_edge(width, height, rng);
+            // Inward normal of the edge the point is on.
+            const nx = position.x === 0 ? 1 : position.x === width ? -1 : 0;
+            const ny = position.y === 0 ? 1 : position.y === height ? -1 : 0;
+            const flow = FlowFieldFn.lookup(data, position.x / g_context.scale, position.y / g_context.scale, g_context.field_interpolation);
+            if (flow.u * nx + flow.v * ny > 0) break;
+        }
+        return position;
+    }
+}
+
+/** Circle and polygon obstacles. Positions are in field units, like the field itself. */
+class ObstacleFn {
+    /**
+     * Signed distance from x and y to the obstacle's outline: negative inside. The normal points away from the
+     * obstacle, towards x and y when outside.
+     * @param {Obstacle} obstacle @param {number} x @param {number} y
+     * @returns {{distance: number, nx: number, ny: number}}
+     */
+    static signed_distance(obstacle, x, y) {
+        if (obstacle.kind === "circle") {
+            const dx = x - obstacle.x, dy = y - obstacle.y;
+            const r = Math.hypot(dx, dy);
+            return r === 0 ? { distance: -obstacle.r, nx: 1, ny: 0 } : { distance: r - obstacle.r, nx: dx / r, ny: dy / r };
+        }
+
+        const pts = obstacle.points, n = pts.length;
+        let best = Infinity, best_x = x, best_y = y, is_inside = false;
+        for (let k = 0, l = n - 2; k < n; l = k, k += 2) {
+            const ax = pts[l], ay = pts[l + 1], bx = pts[k], by = pts[k + 1];
+            // Even-odd crossing test for inside.
+            if ((ay > y) !== (by > y) && x < ((bx - ax) * (y - ay)) / (by - ay) + ax) is_inside = !is_inside;
+            const ex = bx - ax, ey = by - ay;
+            const t = Utils.clamp(((x - ax) * ex + (y - ay) * ey) / (ex * ex + ey * ey || 1), 0, 1);
+            const cx = ax + t * ex, cy = ay + t * ey;
+            const d = Math.hypot(x - cx, y - cy);
+            if (d < best) {
+                best = d;
+                best_x = cx;
+                best_y = cy;
+            }
+        }
+        const sign = is_inside ? -1 : 1;
+        return best === 0 ? { distance: 0, nx: 1, ny: 0 } : { distance: sign * best, nx: (sign * (x - best_x)) / best, ny: (sign * (y - best_y)) / best };
+    }
+
+    /**
+     * Bends `mut_flow_vec` around obstacles within `OBSTACLE_DEFLECT_MARGIN`: the part heading into an obstacle is
+     * removed, fully at its outline and fading out with distance, and the speed is kept, so particles slide around it.
+     * @param {FlowVector} mut_flow_vec @param {number} x @param {number} y @param {Obstacle[]} obstacles
+     */
+    static deflect(mut_flow_vec, x, y, obstacles) {
+        const speed = Math.hypot(mut_flow_vec.u, mut_flow_vec.v);
+        if (speed === 0) return;
+        for (const obstacle of obstacles) {
+            const { distance, nx, ny } = ObstacleFn.signed_distance(obstacle, x, y);
+            if (distance >= OBSTACLE_DEFLECT_MARGIN) continue;
+            const inward = mut_flow_vec.u * nx + mut_flow_vec.v * ny;
+            if (inward >= 0) continue;
+            const weight = 1 - Utils.clamp(distance / OBSTACLE_DEFLECT_MARGIN, 0, 1);
+            mut_flow_vec.u -= weight * inward * nx;
+            mut_flow_vec.v -= weight * inward * ny;
+        }
+        const new_speed = Math.hypot(mut_flow_vec.u, mut_flow_vec.v);
+        if (new_speed > 0) {
+            mut_flow_vec.u *= speed / new_speed;
+            mut_flow_vec.v *= speed / new_speed;
+        }
+    }
+
+    /** Pushes a particle that ended up inside an obstacle back out onto its outline. @param {Particle} mut_particle @param {Obstacle[]} obstacles */
+    static collide(mut_particle, obstacles) {
+        for (const obstacle of obstacles) {
+            const { distance, nx, ny } = ObstacleFn.signed_distance(obstacle, mut_particle.x / g_context.scale, mut_particle.y / g_context.scale);
+            if (distance >= 0) continue;
+            mut_particle.x -= distance * nx * g_context.scale;
+            mut_particle.y -= distance * ny * g_context.scale;
+        }
+    }
+
+    /**
+     * Parses obstacles from text like `c:2,3,1;p:0,0,4,0,2,3`: circles as `c:x,y,r`, polygons as `p:` and at least
+     * three x,y pairs, separated by `;`.
+     * @param {string} text @returns {Obstacle[]}
+     */
+    static parse(text) {
+        if (text.trim() === "") return [];
+        return text.split(";").map((item) => {
+            const [kind, list = ""] = item.split(":");
+            const nums = list.split(",").map(Number);
+            if (nums.some((n) => !Number.isFinite(n))) throw new TypeError(`Expected obstacle numbers. Got ${item}.`);
+            if (kind === "c") {
+                if (nums.length !== 3 || nums[2] <= 0) throw new RangeError(`Expected a circle obstacle as c:x,y,r with r > 0. Got ${item}.`);
+                return { kind: "circle", x: nums[0], y: nums[1], r: nums[2] };
+            }
+            if (kind === "p") {
+                if (nums.length < 6 || nums.length % 2 !== 0) throw new RangeError(`Expected a polygon obstacle as p: and at least three x,y pairs. Got ${item}.`);
+                return { kind: "polygon", points: nums };
+            }
+            throw new TypeError(`Expected an obstacle kind of c or p. Got ${kind}.`);
+        });
+    }
+
+    /** Inverse of `ObstacleFn.parse`. @param {Obstacle[]} obstacles @returns {string} */
+    static format(obstacles) {
+        /** @param {number} n */
+        const fmt = (n) => String(Math.round(n * 1000) / 1000);
+        return obstacles
+            .map((o) => (o.kind === "circle" ? `c:${[o.x, o.y, o.r].map(fmt)}` : `p:${o.points.map(fmt)}`))
+            .join(";");
+    }
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// URL STATE
+
+/**
+ * Complete, serializable simulation config.
+ * @typedef {{
+ *   pattern: EFieldPatterns, params: Record<string, number>, shape: number, steps: number, arrows: boolean,
+ *   interpolation: EFieldInterpolations, animated: boolean, keyframe_interval: number, arrow_redraw_ticks: number,
+ *   limit: number, seed: number, count: number, spawn: ESpawnStrategies, speed: number, t_interpolate: number,
+ *   fade: number, palette: string, gradient: string[], color_by: EColorMappings, blend: string, integrator: EIntegrators,
+ *   boundary: EBoundaryModes, obstacles: Obstacle[], deflect: boolean,
+ *   view: EFieldViews,
+ * }} SimulationState
+ */
+
+/** Encodes the simulation state to the URL query/hash and decodes it back, with validation. */
+class UrlStateFn {
+    /** Prefix of pattern parameter keys, e.g. `p.frequency=0.5`. */
+    static PARAM_PREFIX = "p.";
+
+    /** @returns {SimulationState} Snapshot of the simulation state. */
+    static capture() {
+        return {
+            pattern: g_context.cur_field_pattern,
+            params: { ...(g_context.field_morph?.to ?? g_context.field_instance).params },
+            shape: g_context.field_shape,
+            steps: g_context.field_steps,
+            arrows: g_context.field_has_arrows,
+            interpolation: g_context.field_interpolation,
+            animated: g_context.field_is_animated,
+            keyframe_interval: g_context.field_keyframe_interval,
+            arrow_redraw_ticks: g_context.field_arrow_redraw_ticks,
+            limit: g_context.frame_tick_limit,
+            seed: g_context.seed,
+            count: g_context.particle_count,
+            spawn: g_context.spawn_strategy,
+            speed: g_context.particle_speed,
+            t_interpolate: g_context.particle_t_interpolate,
+            fade: g_context.trail_fade,
+            palette: g_context.particle_palette,
+            // Only the user-defined palette is not built in, so only it travels with the state.
+            gradient: Palettes.has("CUSTOM") ? Palettes.get("CUSTOM").gradient.map(Palettes.to_hex) : [],
+            color_by: g_context.particle_color_by,
+            blend: g_context.particle_blend,
+            integrator: g_context.particle_integrator,
+            boundary: g_context.boundary_mode,
+            obstacles: g_context.obstacles.map((o) => structuredClone(o)),
+            deflect: g_context.obstacles_deflect,
+            view: g_context.field_view,
+        };
+    }
+
+    /** Writes a (partial) state to the current simulation. Call `reset_run` afterwards. @param {Partial<SimulationState>} state */
+    static apply(state) {
+        if (state.pattern !== undefined) g_context.cur_field_pattern = state.pattern;
+        if (state.params !== undefined) g_context.field_params = state.params;
+        if (state.shape !== undefined) g_context.field_shape = state.shape;
+        if (state.steps !== undefined) g_context.field_steps = state.steps;
+        if (state.arrows !== undefined) g_context.field_has_arrows = state.arrows;
+        if (state.interpolation !== undefined) g_context.field_interpolation = state.interpolation;
+        if (state.animated !== undefined) g_context.field_is_animated = state.animated;
+        if (state.keyframe_interval !== undefined) g_context.field_keyframe_interval = state.keyframe_interval;
+        if (state.arrow_redraw_ticks !== undefined) g_context.field_arrow_redraw_ticks = state.arrow_redraw_ticks;
+        if (state.limit !== undefined) {
+            g_context.frame_tick_limit = state.limit;
+            g_context.frame_tick_limit_360deg = 360 / g_context.frame_tick_limit;
+        }
+        if (state.seed !== undefined) g_context.seed = state.seed;
+        if (state.count !== undefined) g_context.particle_count = state.count;
+        if (state.spawn !== undefined) g_context.spawn_strategy = state.spawn;
+        if (state.speed !== undefined) g_context.particle_speed = state.speed;
+        if (state.t_interpolate !== undefined) g_context.particle_t_interpolate = state.t_interpolate;
+        if (state.fade !== undefined) g_context.trail_fade = state.fade;
+        if (state.gradient !== undefined && state.gradient.length > 0) Palettes.register("CUSTOM", { gradient: state.gradient });
+        if (state.palette !== undefined) g_context.particle_palette = state.palette;
+        if (state.color_by !== undefined) g_context.particle_color_by = state.color_by;
+        if (state.blend !== undefined) g_context.particle_blend = state.blend;
+        if (state.integrator !== undefined) g_context.particle_integrator = state.integrator;
+        if (state.boundary !== undefined) g_context.boundary_mode = state.boundary;
+        if (state.obstacles !== undefined) g_context.obstacles = state.obstacles;
+        if (state.deflect !== undefined) g_context.obstacles_deflect = state.deflect;
+        if (state.view !== undefined) g_context.field_view = state.view;
+    }
+
+    /** @param {SimulationState} state @returns {string} Query string without the leading `#`. */
+    static encode(state) {
+        const query = new URLSearchParams();
+        query.set("pattern", state.pattern);
+        for (const [key, value] of Object.entries(state.params)) query.set(UrlStateFn.PARAM_PREFIX + key, String(value));
+        query.set("shape", String(state.shape));
+        query.set("steps", String(state.steps));
+        query.set("arrows", state.arrows ? "1" : "0");
+        query.set("interpolation", state.interpolation);
+        query.set("animated", state.animated ? "1" : "0");
+        query.set("keyframe_interval", String(state.keyframe_interval));
+        query.set("arrow_redraw_ticks", String(state.arrow_redraw_ticks));
+        query.set("limit", Number.isFinite(state.limit) ? String(state.limit) : "inf");
+        query.set("seed", String(state.seed));
+        query.set("count", String(state.count));
+        query.set("spawn", state.spawn);
+        query.set("speed", String(state.speed));
+        query.set("t_interpolate", String(state.t_interpolate));
+        query.set("fade", String(state.fade));
+        query.set("palette", state.palette);
+        if (state.gradient.length > 0) query.set("gradient", state.gradient.join(","));
+        query.set("color_by", state.color_by);
+        query.set("blend", state.blend);
+        query.set("integrator", state.integrator);
+        query.set("boundary", state.boundary);
+        if (state.obstacles.length > 0) query.set("obstacles", ObstacleFn.format(state.obstacles));
+        query.set("deflect", state.deflect ? "1" : "0");
+        query.set("view", state.view);
+        return query.toString();
+    }
+
+    /**
+     * Decodes state from a URL query and hash. Keys in the hash win over the query. Invalid values are skipped and
+     * reported in `errors`, so one bad value does not discard the rest of a shared link.
+     * @param {string} search - e.g. `window.location.search`. @param {string} [hash=""] - e.g. `window.location.hash`.
+     * @param {string} [pattern] - Pattern whose params a link without `pattern=` sets, the current one by default.
+     * @returns {{state: Partial<SimulationState>, errors: Error[]}}
+     */
+    static decode(search, hash = "", pattern = undefined) {
+        const query = new URLSearchParams(search);
+        new URLSearchParams(hash.replace(/^#/, "")).forEach((value, key) => query.set(key, value));
+
+        /** @type {Partial<SimulationState>} */
+        const state = {};
+        /** @type {Error[]} */
+        const errors = [];
+        /** @param {keyof SimulationState} key @param {(text: string) => any} parse */
+        const decode_key = (key, parse) => {
+            const text = query.get(key);
+            if (text === null) return;
+            try {
+                state[key] = parse(text);
+            } catch (err) {
+                errors.push(err);
+            }
+        };
+
+        decode_key("pattern", (text) => UrlStateFn.#parse_enum("pattern", text, FieldPatterns.names()));
+        decode_key("shape", (text) => UrlStateFn.#parse_number("shape", text, { min: 10, max: 2 ** 8 }));
+        decode_key("steps", (text) => {
+            const steps = UrlStateFn.#parse_number("steps", text, { min: 2, max: 2 ** 8, integer: true });
+            if (!Number.isInteger(Math.log2(steps))) throw new RangeError(`Expected "steps" to be a power of 2. Got ${text}.`);
+            return steps;
+        });
+        decode_key("arrows", (text) => UrlStateFn.#parse_boolean("arrows", text));
+        decode_key("interpolation", (text) => UrlStateFn.#parse_enum("interpolation", text, Object.keys(E_FIELD_INTERPOLATIONS)));
+        decode_key("animated", (text) => UrlStateFn.#parse_boolean("animated", text));
+        decode_key("keyframe_interval", (text) => UrlStateFn.#parse_number("keyframe_interval", text, { min: 0, max: 60 }));
+        decode_key("arrow_redraw_ticks", (text) => UrlStateFn.#parse_number("arrow_redraw_ticks", text, { min: 1, integer: true }));
+        decode_key("limit", (text) => text === "inf" ? Infinity : UrlStateFn.#parse_number("limit", text, { min: 1, integer: true }));
+        decode_key("seed", (text) => {
+            const seed = Random.parse_seed(text);
+            if (seed === undefined) throw new TypeError(`Expected "seed" to be a number or text. Got an empty value.`);
+            return seed;
+        });
+        decode_key("count", (text) => UrlStateFn.#parse_number("count", text, { min: 0, max: PARTICLE_COUNT_MAX, integer: true }));
+        decode_key("spawn", (text) => UrlStateFn.#parse_enum("spawn", text, Object.keys(E_SPAWN_STRATEGIES)));
+        decode_key("speed", (text) => UrlStateFn.#parse_number("speed", text, { min: 0, max: PARTICLE_SPEED_MULTIPLIER_MAX }));
+        decode_key("t_interpolate", (text) => UrlStateFn.#parse_number("t_interpolate", text, { min: 0, max: 1 }));
+        decode_key("fade", (text) => UrlStateFn.#parse_number("fade", text, { min: 0, max: 1 }));
+        decode_key("gradient", Palettes.parse_gradient);
+        const palette_names = state.gradient !== undefined ? [...Palettes.names(), "CUSTOM"] : Palettes.names();
+        decode_key("palette", (text) => UrlStateFn.#parse_enum("palette", text, palette_names));
+        decode_key("color_by", (text) => UrlStateFn.#parse_enum("color_by", text, Object.keys(E_COLOR_MAPPINGS)));
+        decode_key("blend", (text) => UrlStateFn.#parse_enum("blend", text, PARTICLE_BLEND_MODES));
+        decode_key("integrator", (text) => UrlStateFn.#parse_enum("integrator", text, Object.keys(E_INTEGRATORS)));
+        decode_key("boundary", (text) => UrlStateFn.#parse_enum("boundary", text, Object.keys(E_BOUNDARY_MODES)));
+        decode_key("obstacles", ObstacleFn.parse);
+        decode_key("deflect", (text) => UrlStateFn.#parse_boolean("deflect", text));
+        decode_key("view", (text) => UrlStateFn.#parse_enum("view", text, Object.keys(E_FIELD_VIEWS)));
+
+        // Pattern parameters are validated against the schema of the pattern they will be used with.
+        const params_pattern = state.pattern ?? pattern ?? g_context.cur_field_pattern;
+        /** @type {Record<string, number>} */
+        const params = {};
+        query.forEach((text, key) => {
+            if (!key.startsWith(UrlStateFn.PARAM_PREFIX)) return;
+            const name = key.slice(UrlStateFn.PARAM_PREFIX.length);
+            try {
+                const value = UrlStateFn.#parse_number(key, text);
+                FieldPatterns.resolve_params(params_pattern, { [name]: value });
+                params[name] = value;
+            } catch (err) {
+                errors.push(err);
+            }
+        });
+        if (Object.keys(params).length > 0 || state.pattern !== undefined) state.params = params;
+
+        return { state, errors };
+    }
+
+    /**
+     * Validates a partial state the way a link is, against the current state, e.g. a pattern's params against that
+     * pattern. A new pattern without params starts from its defaults.
+     * @param {Partial<SimulationState>} partial @returns {Partial<SimulationState>} The same keys, decoded.
+     */
+    static validate(partial) {
+        const defaults = partial.pattern !== undefined ? { params: {} } : {};
+        const { state, errors } = UrlStateFn.decode(`?${UrlStateFn.encode({ ...UrlStateFn.capture(), ...defaults, ...partial })}`, "");
+        if (errors.length > 0) throw errors[0];
+        const keys = /** @type {(keyof SimulationState)[]} */(Object.keys({ ...defaults, ...partial }));
+        return Object.fromEntries(keys.map((key) => [key, state[key]]));
+    }
+
+    /** @param {string} key @param {string} text @param {{min?: number, max?: number, integer?: boolean}} [options] @returns {number} */
+    static #parse_number(key, text, { min = -Infinity, max = Infinity, integer = false } = {}) {
+        const value = Number(text);
+        if (text.trim() === "" || !Number.isFinite(value)) throw new TypeError(`Expected "${key}" to be a finite number. Got ${text}.`);
+        if (integer && !Number.isInteger(value)) throw new TypeError(`Expected "${key}" to be an integer. Got ${text}.`);
+        if (value < min || value > max) throw new RangeError(`Expected "${key}" to be in [${min}, ${max}]. Got ${text}.`);
+        return value;
+    }
+
+    /** @param {string} key @param {string} text @returns {boolean} */
+    static #parse_boolean(key, text) {
+        if (text === "1" || text === "true") return true;
+        if (text === "0" || text === "false") return false;
+        throw new TypeError(`Expected "${key}" to be 1, 0, true or false. Got ${text}.`);
+    }
+
+    /** @param {string} key @param {string} text @param {string[]} values @returns {string} */
+    static #parse_enum(key, text, values) {
+        if (!values.includes(text)) throw new TypeError(`Expected "${key}" to be one of ${values}. Got ${text}.`);
+        return text;
+    }
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// IMPORT
+
+/** Name of the field pattern an imported grid is registered as. */
+const IMPORTED_PATTERN = "IMPORTED";
+
+/** Relative tolerance of the spacing of imported grid coordinates, against rounding in text files. */
+const IMPORT_SPACING_TOLERANCE = 1e-6;
+
+/** `amplitude` is the length of the strongest imported vector. @type {Record<string, PatternParamSchema>} */
+const IMPORTED_PARAM_SCHEMA = Object.freeze({
+    amplitude: { default: 1.0, min: 0 },
+});
+
+/**
+ * Vector fields from data files, e.g. measured wind or ocean currents. An imported grid becomes the field pattern
+ * `IMPORTED`, stretched over the square field and sampled bilinearly, so it is resampled to any shape and steps.
+ * Rows run from the top, like the canvas, and vectors are rescaled as measured speeds come in any unit.
+ */
+class ImportFn {
+    /**
+     * Reads a grid from a file, picking the format by extension: `.csv`, `.tsv` or `.txt` for `ImportFn.parse_csv`,
+     * `.json` for `ImportFn.parse_json`, and `.bin` or `.f32` for `ImportFn.parse_binary`.
+     * @param {File} file @returns {Promise<ImportedGrid>}
+     */
+    static async read_file(file) {
+        const extension = file.name.includes(".") ? file.name.split(".").pop().toLowerCase() : "";
+        switch (extension) {
+            case "csv":
+            case "tsv":
+            case "txt":
+                return ImportFn.to_grid(ImportFn.parse_csv(await file.text()));
+            case "json":
+                return ImportFn.to_grid(ImportFn.parse_json(await file.text()));
+            case "bin":
+            case "f32":
+                return ImportFn.parse_binary(await file.arrayBuffer());
+            default:
+                throw new TypeError(`Expected a .csv, .tsv, .txt, .json, .bin or .f32 field file. Got "${file.name}".`);
+        }
+    }
+
+    /**
+     * Parses rows of x, y, u and v, separated by commas, semicolons, tabs or spaces. A header row may name the
+     * columns in any order, and lines starting with `#` are comments.
+     * @param {string} text @returns {FieldVector[]}
+     */
+    static parse_csv(text) {
+        const lines = text.split(/\r?\n/).map((line, k) => ({ line: line.trim(), number: k + 1 })).filter(({ line }) => line !== "" && !line.startsWith("#"));
+        if (lines.length === 0) throw new RangeError("Expected CSV rows of x, y, u and v. Got an empty file.");
+        /** @param {string} line */
+        const split = (line) => line.split(/\s*[,;\t]\s*|\s+/).map((cell) => cell.replace(/^"(.*)"$/, "$1"));
+
+        const keys = /** @type {const} */ (["x", "y", "u", "v"]);
+        let indices = [0, 1, 2, 3];
+        const first = split(lines[0].line);
+        // Missing values are data, so "NaN" cells are reported as such rather than read as a header.
+        const has_header = first.some((cell) => Number.isNaN(Number(cell)) && !/^[+-]?(nan|inf(inity)?)$/i.test(cell));
+        if (has_header) {
+            const header = first.map((cell) => cell.toLowerCase());
+            indices = keys.map((key) => header.indexOf(key));
+            if (indices.includes(-1)) throw new TypeError(`Expected a CSV header with columns x, y, u and v. Got ${first.join(", ")}.`);
+        }
+        return lines.slice(has_header ? 1 : 0).map(({ line, number }) => {
+            const cells = split(line);
+            const [x, y, u, v] = indices.map((index, k) => {
+                const value = Number(cells[index]);
+                if (cells[index] === undefined || cells[index] === "" || !Number.isFinite(value))
+                    throw new TypeError(`Expected a finite number for "${keys[k]}" on line ${number}. Got "${cells[index] ?? ""}".`);
+                return value;
+            });
+            return new FieldVector(x, y, u, v);
+        });
+    }
+
+    /**
+     * Parses a JSON array of `{x, y, u, v}`, like `FlowField.field`, or a field export with that array under `field`.
+     * @param {string} text @returns {FieldVector[]}
+     */
+    static parse_json(text) {
+        const parsed = JSON.parse(text);
+        const data = Array.isArray(parsed?.field) ? parsed.field : parsed;
+        if (!Array.isArray(data)) throw new TypeError(`Expected a JSON array of {x, y, u, v}. Got ${data === null ? "null" : typeof data}.`);
+        return data.map((point, k) => {
+            const { x, y, u, v } = point ?? {};
+            if (![x, y, u, v].every(Number.isFinite))
+                throw new TypeError(`Expected finite numbers x, y, u and v in point ${k}. Got ${JSON.stringify(point)}.`);
+            return new FieldVector(x, y, u, v);
+        });
+    }
+
+    /**
+     * Parses a simple binary grid: little-endian `uint32` cols and rows, then `cols * rows` `float32` u values, then as
+     * many v values, both row-major from the top-left.
+     * @param {ArrayBuffer} buffer @returns {ImportedGrid}
+     */
+    static parse_binary(buffer) {
+        if (buffer.byteLength < 8) throw new RangeError(`Expected an 8 byte header of cols and rows. Got ${buffer.byteLength} bytes.`);
+        const view = new DataView(buffer);
+        const cols = view.getUint32(0, true), rows = view.getUint32(4, true);
+        if (cols < 2 || rows < 2) throw new RangeError(`Expected a grid of at least 2 by 2. Got ${cols} by ${rows}.`);
+        const n = cols * rows, byte_length = 8 + 8 * n;
+        if (buffer.byteLength !== byte_length) throw new RangeError(`Expected ${byte_length} bytes for a ${cols} by ${rows} grid. Got ${buffer.byteLength}.`);
+        const grid = { cols, rows, u: new Float64Array(n), v: new Float64Array(n) };
+        for (let k = 0; k < n; k += 1) {
+            grid.u[k] = view.getFloat32(8 + 4 * k, true);
+            grid.v[k] = view.getFloat32(8 + 4 * (n + k), true);
+        }
+        ImportFn.validate(grid);
+        return grid;
+    }
+
+    /**
+     * Arranges scattered points into a grid. They must cover a full, evenly spaced grid exactly once; smaller y are
+     * upper rows.
+     * @param {FieldVector[]} points @returns {ImportedGrid}
+     */
+    static to_grid(points) {
+        /** @param {"x"|"y"} key @returns {number[]} Sorted distinct coordinates. */
+        const axis = (key) => {
+            const values = [...new Set(points.map((point) => point[key]))].sort((a, b) => a - b);
+            if (values.length < 2) throw new RangeError(`Expected at least 2 distinct ${key} values. Got ${values.length}.`);
+            const step = (values[values.length - 1] - values[0]) / (values.length - 1);
+            for (let k = 1; k < values.length; k += 1) {
+                if (Math.abs(values[k] - values[k - 1] - step) > IMPORT_SPACING_TOLERANCE * Math.abs(step))
+                    throw new RangeError(`Expected evenly spaced ${key} values. Got a step of ${values[k] - values[k - 1]} after ${values[k - 1]}, instead of ${step}.`);
+            }
+            return values;
+        };
+        const xs = axis("x"), ys = axis("y");
+        const cols = xs.length, rows = ys.length, n = cols * rows;
+        if (points.length !== n) throw new RangeError(`Expected ${n} points for ${cols} x values by ${rows} y values. Got ${points.length}.`);
+
+        const col_of = new Map(xs.map((x, j) => [x, j])), row_of = new Map(ys.map((y, i) => [y, i]));
+        const grid = { cols, rows, u: new Float64Array(n), v: new Float64Array(n) };
+        const is_set = new Uint8Array(n);
+        for (const { x, y, u, v } of points) {
+            const k = row_of.get(y) * cols + col_of.get(x);
+            if (is_set[k]) throw new RangeError(`Expected one point per grid position. Got two at (${x}, ${y}).`);
+            is_set[k] = 1;
+            grid.u[k] = u;
+            grid.v[k] = v;
+        }
+        ImportFn.validate(grid);
+        return grid;
+    }
+
+    /** Throws on grids of the wrong size or with non-finite vectors. @param {ImportedGrid} grid */
+    static validate(grid) {
+        const { cols, rows, u, v } = grid;
+        if (!(Number.isInteger(cols) && cols >= 2 && Number.isInteger(rows) && rows >= 2)) throw new RangeError(`Expected a grid of at least 2 by 2. Got ${cols} by ${rows}.`);
+        if (u.length !== cols * rows || v.length !== cols * rows) throw new RangeError(`Expected ${cols * rows} u and v values for a ${cols} by ${rows} grid. Got ${u.length} and ${v.length}.`);
+        for (let k = 0; k < u.length; k += 1) {
+            if (!Number.isFinite(u[k]) || !Number.isFinite(v[k]))
+                throw new RangeError(`Expected finite u and v. Got (${u[k]}, ${v[k]}) at column ${k % cols}, row ${Math.floor(k / cols)}.`);
+        }
+    }
+
+    /**
+     * Registers `grid` as a field pattern, replacing any previous import of the same name. It is the current instance's
+     * own, or shared when registered outside one, see `FieldPatterns`.
+     * @param {ImportedGrid} grid @param {string} [name=IMPORTED_PATTERN]
+     */
+    static register(grid, name = IMPORTED_PATTERN) {
+        ImportFn.validate(grid);
+        let max_magnitude = 0;
+        for (let k = 0; k < grid.u.length; k += 1) max_magnitude = Math.max(max_magnitude, Math.hypot(grid.u[k], grid.v[k]));
+        const norm = max_magnitude > 0 ? 1 / max_magnitude : 0;
+        FieldPatterns.register(name, (x, y, { amplitude }, _time, extent) => {
+            const { u, v } = ImportFn.sample(grid, x / extent, y / extent);
+            return { u: u * norm * amplitude, v: v * norm * amplitude };
+        }, { schema: IMPORTED_PARAM_SCHEMA, label: `imported ${grid.cols}x${grid.rows}` });
+    }
+
+    /**
+     * Bilinearly interpolates the grid, stretched over the unit square.
+     * @param {ImportedGrid} grid @param {number} fx @param {number} fy - Position in [0, 1], clamped.
+     * @returns {{u: number, v: number}}
+     */
+    static sample(grid, fx, fy) {
+        const { cols, rows, u, v } = grid;
+        const gx = Utils.clamp(fx, 0, 1) * (cols - 1), gy = Utils.clamp(fy, 0, 1) * (rows - 1);
+        const j = Math.min(Math.floor(gx), cols - 2), i = Math.min(Math.floor(gy), rows - 2);
+        const tx = gx - j, ty = gy - i;
+        const k00 = i * cols + j, k01 = k00 + 1, k10 = k00 + cols, k11 = k10 + 1;
+        return {
+            u: Utils.lerp(Utils.lerp(u[k00], u[k01], tx), Utils.lerp(u[k10], u[k11], tx), ty),
+            v: Utils.lerp(Utils.lerp(v[k00], v[k01], tx), Utils.lerp(v[k10], v[k11], tx), ty),
+        };
+    }
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// RUN HISTORY
+
+/**
+ * Floats recorded per particle and tick: x, y, vx, vy, size, age as a fraction of its lifetime, and the index of its
+ * closest field point, or -1 for none.
+ */
+const RUN_HISTORY_STRIDE = 7;
+
+/** Memory budget of the frames and field layers of one run, in bytes. A default run fits; beyond it the oldest ticks are overwritten. */
+const RUN_HISTORY_MAX_BYTES = 2 ** 27;
+
+/** Memory budget of the trail vertices of one run, in bytes. Beyond it the oldest trail segments are dropped. */
+const RUN_HISTORY_MAX_TRAIL_BYTES = 2 ** 25;
+
+/** Stored bytes per trail vertex, roughly: its tick, x and y as numbers. */
+const RUN_HISTORY_TRAIL_VERTEX_BYTES = 24;
+
+/** Largest distance, in canvas pixels, of a dropped trail point from its simplified trail. */
+const RUN_HISTORY_TRAIL_TOLERANCE = 0.1;
+
+/** Particles as drawn at `tick`, `RUN_HISTORY_STRIDE` floats each. @typedef {{tick: number, data: Float32Array}} HistoryFrame */
+/**
+ * Field layer as drawn live before the particles of `before_tick`: its vectors, and the view and obstacles it was
+ * drawn with.
+ * @typedef {{before_tick: number, us: Float32Array, vs: Float32Array, view: EFieldViews, obstacles: Obstacle[]}} HistoryField
+ */
+
+/**
+ * What the run drew since its last reset. Once over budget, `frames` is a ring of its `capacity` newest ticks, whose
+ * oldest slot is `head`. `trails` holds the simplified segments closed so far from `trails_head` on, `open_trails` the
+ * raw one of every particle index.
+ * @typedef {{frames: HistoryFrame[], head: number, capacity: number, dropped_frames: number, fields: HistoryField[],
+ *   bytes: number, trails: TrajectorySegment[], trails_head: number, open_trails: (TrajectorySegment|undefined)[],
+ *   dropped_trails: number, trail_bytes: number}} RunHistory
+ */
+
+/**
+ * Records the run as it is drawn, so exports play back exactly what was on screen: pointer sources, brush strokes,
+ * obstacle edits, shuffle morphs and changes of speed or integrator mid-run included. Cleared on every reset.
+ * Frames are kept for the newest ticks that fit `RUN_HISTORY_MAX_BYTES`; trails, as simplified vertices, for the
+ * whole run unless it outgrows `RUN_HISTORY_MAX_TRAIL_BYTES`. Exports tell the user what was cut, see `notice`.
+ */
+class RunHistoryFn {
+    /** @returns {RunHistory} */
+    static create() {
+        return {
+            frames: [], head: 0, capacity: Infinity, dropped_frames: 0, fields: [], bytes: 0,
+            trails: [], trails_head: 0, open_trails: [], dropped_trails: 0, trail_bytes: 0,
+        };
+    }
+
+    static clear() {
+        g_context.history = RunHistoryFn.create();
+    }
+
+    /** Records the particles of the current frame tick. Call it once they are drawn, or simulated when headless. */
+    static record_frame() {
+        const history = g_context.history;
+        RunHistoryFn.#record_trails(history);
+
+        const length = g_context.particles.length * RUN_HISTORY_STRIDE;
+        let frame = history.frames.length === history.capacity ? history.frames[history.head] : undefined;
+        if (frame !== undefined && frame.data.length === length) {
+            // The ring is full, so the oldest slot is overwritten in place.
+            history.head = (history.head + 1) % history.capacity;
+            history.dropped_frames += 1;
+        } else {
+            // Until the budget is reached, or once the particle count changed, frames are appended and trimmed instead.
+            history.frames = RunHistoryFn.frames(history);
+            history.head = 0;
+            frame = { tick: 0, data: new Float32Array(length) };
+            history.frames.push(frame);
+            history.bytes += frame.data.byteLength;
+            while (history.bytes > RUN_HISTORY_MAX_BYTES && history.frames.length > 1) {
+                history.bytes -= history.frames.shift().data.byteLength;
+                history.dropped_frames += 1;
+            }
+            history.capacity = history.bytes + frame.data.byteLength > RUN_HISTORY_MAX_BYTES ? history.frames.length : Infinity;
+        }
+        frame.tick = g_context.frame_tick;
+        // Keep the field layer in effect at the oldest kept tick, and every later one.
+        const oldest_tick = history.frames[history.head].tick;
+        while (history.fields.length > 1 && history.fields[1].before_tick <= oldest_tick) {
+            const { us, vs } = history.fields.shift();
+            history.bytes -= us.byteLength + vs.byteLength;
+        }
+
+        const ff = g_context.field_instance;
+        const steps = ff.steps, step = FlowFieldFn.cell_size(ff);
+        const data = frame.data;
+        g_context.particles.forEach((p, k) => {
+            const o = k * RUN_HISTORY_STRIDE;
+            data[o] = p.x;
+            data[o + 1] = p.y;
+            data[o + 2] = p.vx;
+            data[o + 3] = p.vy;
+            data[o + 4] = p.size;
+            data[o + 5] = p.age / p.lifetime;
+            data[o + 6] = p.closest_point === undefined ? -1 : Math.round(p.closest_point.y / step) * steps + Math.round(p.closest_point.x / step);
+        });
+    }
+
+    /** Records the field layer the live loop just drew from `ff`. @param {FlowField} ff */
+    static record_field(ff) {
+        const history = g_context.history;
+        const newest = history.frames.length === 0 ? undefined : history.frames[(history.head + history.frames.length - 1) % history.frames.length];
+        const before_tick = newest === undefined ? 0 : newest.tick + 1;
+        // A redraw before any particle was drawn over the previous one replaces it.
+        if (history.fields.length > 0 && history.fields[history.fields.length - 1].before_tick === before_tick) {
+            const { us, vs } = history.fields.pop();
+            history.bytes -= us.byteLength + vs.byteLength;
+        }
+        const us = Float32Array.from(ff.field, (point) => point.u), vs = Float32Array.from(ff.field, (point) => point.v);
+        history.fields.push({ before_tick, us, vs, view: g_context.field_view, obstacles: g_context.obstacles.map((obstacle) => ({ ...obstacle })) });
+        history.bytes += us.byteLength + vs.byteLength;
+    }
+
+    /** @param {RunHistory} history @returns {HistoryFrame[]} The kept frames, oldest first. */
+    static frames(history) {
+        return history.head === 0 ? history.frames : [...history.frames.slice(history.head), ...history.frames.slice(0, history.head)];
+    }
+
+    /**
+     * Paths of every particle over the run, simplified to within `RUN_HISTORY_TRAIL_TOLERANCE`. A path is split into
+     * segments where the particle respawns or wraps around a canvas edge, so no segment jumps across the canvas.
+     * @param {RunHistory} history @returns {TrajectorySegment[]}
+     */
+    static trails(history) {
+        const open = history.open_trails.filter((segment) => segment !== undefined && segment.xs.length > 1);
+        return [...history.trails.slice(history.trails_head), ...open.map(RunHistoryFn.#simplify_trail)];
+    }
+
+    /**
+     * Tells what an export of `history` misses because it outgrew its budget.
+     * @param {RunHistory} history @param {"frames"|"trails"} kind - What the export plays back.
+     * @returns {string|undefined} Message for the user, or undefined when nothing was dropped.
+     */
+    static notice(history, kind) {
+        if (kind === "frames" && history.dropped_frames > 0) {
+            return `The run history kept its last ${history.frames.length} ticks only, so the export starts at tick ${RunHistoryFn.frames(history)[0].tick}.`;
+        }
+        if (kind === "trails" && history.dropped_trails > 0) {
+            return `The run history dropped the ${history.dropped_trails} oldest trail segments to stay within its memory budget.`;
+        }
+        return undefined;
+    }
+
+    /** Extends the open trail of every particle by its current position. @param {RunHistory} history */
+    static #record_trails(history) {
+        const max_step = Math.min(g_context.canvas_width, g_context.canvas_height) * 0.5;
+        g_context.particles.forEach((p, index) => {
+            let segment = history.open_trails[index];
+            const n = segment?.xs.length ?? 0;
+            const is_break = segment === undefined || p.age === 0 ||
+                Math.abs(p.x - segment.xs[n - 1]) > max_step || Math.abs(p.y - segment.ys[n - 1]) > max_step;
+            if (is_break) {
+                segment !== undefined && RunHistoryFn.#close_trail(history, segment);
+                segment = history.open_trails[index] = { index, ticks: [], xs: [], ys: [] };
+            }
+            segment.ticks.push(g_context.frame_tick);
+            segment.xs.push(p.x);
+            segment.ys.push(p.y);
+        });
+    }
+
+    /** @param {RunHistory} history @param {TrajectorySegment} segment */
+    static #close_trail(history, segment) {
+        if (segment.xs.length < 2) return;
+        const trail = RunHistoryFn.#simplify_trail(segment);
+        history.trails.push(trail);
+        history.trail_bytes += trail.xs.length * RUN_HISTORY_TRAIL_VERTEX_BYTES;
+        while (history.trail_bytes > RUN_HISTORY_MAX_TRAIL_BYTES && history.trails_head < history.trails.length - 1) {
+            history.trail_bytes -= history.trails[history.trails_head].xs.length * RUN_HISTORY_TRAIL_VERTEX_BYTES;
+            history.trails_head += 1;
+            history.dropped_trails += 1;
+        }
+        // Dropped segments are cut off in bulk, so dropping stays amortized O(1).
+        if (history.trails_head > history.trails.length / 2) {
+            history.trails.splice(0, history.trails_head);
+            history.trails_head = 0;
+        }
+    }
+
+    /** @param {TrajectorySegment} segment @returns {TrajectorySegment} */
+    static #simplify_trail({ index, ticks, xs, ys }) {
+        // The tick rides along as a third coordinate, which the simplification ignores.
+        const points = Utils.simplify_polyline(xs.map((x, i) => [x, ys[i], ticks[i]]), RUN_HISTORY_TRAIL_TOLERANCE);
+        return { index, ticks: points.map((point) => point[2]), xs: points.map((point) => point[0]), ys: points.map((point) => point[1]) };
+    }
+
+    /**
+     * Unpacks the particles of a frame for drawing. Their `lifetime` is 1, so `age` is the recorded fraction.
+     * @param {HistoryFrame} frame @param {FlowField} ff - Field their closest points are looked up in.
+     * @returns {Particle[]}
+     */
+    static particles_at(frame, ff) {
+        const { data } = frame;
+        /** @type {Particle[]} */
+        const particles = [];
+        for (let o = 0; o < data.length; o += RUN_HISTORY_STRIDE) {
+            const particle = new Particle(data[o], data[o + 1], 1, data[o + 4], 1);
+            particle.vx = data[o + 2];
+            particle.vy = data[o + 3];
+            particle.age = data[o + 5];
+            particle.closest_point = data[o + 6] < 0 ? undefined : ff.field[data[o + 6]];
+            particles.push(particle);
+        }
+        return particles;
+    }
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// DATA EXPORT
+
+/**
+ * File an export rendered, not downloaded yet. `notice` tells what it misses, e.g. ticks the run history dropped.
+ * @typedef {{blob: Blob, filename: string, notice?: string}} RenderedFile
+ */
+
+/** Exports the run as data files, which take no canvas. `ExportFn` adds the images. */
+class DataExportFn {
+    /** Paths of every particle over the run, see `RunHistoryFn.trails`. @returns {TrajectorySegment[]} */
+    static record_trajectories() {
+        return RunHistoryFn.trails(g_context.history);
+    }
+
+    /** @returns {DataExportMetadata} */
+    static data_metadata() {
+        const ff = g_context.field_instance;
+        return {
+            ...UrlStateFn.capture(),
+            scale: g_context.scale, cols: ff.cols, rows: ff.rows, time: ff.time,
+            width: g_context.canvas_width, height: g_context.canvas_height, frame_tick: g_context.frame_tick,
+        };
+    }
+
+    /**
+     * Serializes the live field vectors or the particle trajectories of the run. JSON is `{metadata, field}` or
+     * `{metadata, trajectories}`; CSV starts with one `# key: value` comment line per metadata entry, so a field CSV
+     * can be imported back as is.
+     * @param {"field"|"trajectories"} kind @param {"json"|"csv"} format @returns {string}
+     */
+    static data_text(kind, format) {
+        if (kind !== "field" && kind !== "trajectories") throw new TypeError(`Expected data export kind "field" or "trajectories". Got "${kind}".`);
+        if (format !== "json" && format !== "csv") throw new TypeError(`Expected data export format "json" or "csv". Got "${format}".`);
+        const metadata = DataExportFn.data_metadata();
+        const field = kind === "field" ? g_context.field_instance.field.map(({ x, y, u, v }) => ({ x, y, u, v })) : [];
+        const trajectories = kind === "trajectories" ? DataExportFn.record_trajectories() : [];
+        if (format === "json") return JSON.stringify(kind === "field" ? { metadata, field } : { metadata, trajectories }) + "\n";
+
+        const lines = Object.entries(metadata).map(([key, value]) => `# ${key}: ${JSON.stringify(value)}`);
+        if (kind === "field") {
+            lines.push("x,y,u,v", ...field.map(({ x, y, u, v }) => `${x},${y},${u},${v}`));
+        } else {
+            lines.push("particle,segment,tick,x,y");
+            trajectories.forEach(({ index, ticks, xs, ys }, segment) => {
+                ticks.forEach((tick, i) => lines.push(`${index},${segment},${tick},${xs[i]},${ys[i]}`));
+            });
+        }
+        return lines.join("\n") + "\n";
+    }
+
+    /** @param {"field"|"trajectories"} kind @param {"json"|"csv"} format @returns {RenderedFile} */
+    static render_data(kind, format) {
+        const type = format === "json" ? "application/json" : "text/csv";
+        const notice = kind === "trajectories" ? RunHistoryFn.notice(g_context.history, "trails") : undefined;
+        return { blob: new Blob([DataExportFn.data_text(kind, format)], { type }), filename: `${DataExportFn.file_stem()}_${kind}.${format}`, notice };
+    }
+
+    /** @returns {string} File name stem that identifies the run, e.g. `flow_field_curl_noise_seed42_t600`. */
+    static file_stem() {
+        return DataExportFn.file_stem_of(g_context.cur_field_pattern, g_context.seed, g_context.frame_tick);
+    }
+
+    /** See `DataExportFn.file_stem`. @param {string} pattern @param {number} seed @param {number} frame_tick @returns {string} */
+    static file_stem_of(pattern, seed, frame_tick) {
+        return `flow_field_${pattern.toLowerCase()}_seed${seed}_t${frame_tick}`;
+    }
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// SIMULATION SETUP
+
+/**
+ * Creates the initial state of a run on `surface`. Nothing is sized or spawned until it is made current and reset,
+ * see `reset_run`. `create_canvas_context` adds what drawing it on a canvas takes.
+ * @param {object} owner - The `FlowFieldCanvas` or `FlowFieldSimulation` it belongs to.
+ * @param {Surface} surface - A canvas, or the size of a headless run.
+ */
+function create_context(owner, surface) {
+    if (!(Number.isInteger(surface?.width) && surface.width > 0 && Number.isInteger(surface?.height) && surface.height > 0))
+        throw new RangeError(`Expected a canvas, or a surface of positive integer width and height. Got ${JSON.stringify(surface)}.`);
+
+    const seed = Random.random_seed();
+    const field_shape = 2 ** 3.5 || 13; // if field shape decides scaleFactor: 4 * 4 == 4 quadrants. A sinusoidal pattern creates at max 4 whole spirals.  else use atleast (4 * 2.5) or 10.
+    __DEBUG && Utils.assert(field_shape >= Math.fround(2 ** (Math.log(10) / Math.log(2))), `Expected field shape to be greater than 10. Got ${field_shape}.`); // 10
+    const field_steps = 2 ** (5 || 4); // Should be a power of 2, for bitwise operation while computing. // Field size =>1: 4|2: 16|3: 64|4: 256|5: 1024|6: 4096|7: 16384|...[((2 ** 5) ** 2) == 1024 == (2 ** 10)]
+    if (__DEBUG) {
+        const shape_to_step_ratio = field_shape / field_steps;
+        const shape_to_step_ratio_inv = 1 / shape_to_step_ratio;
+        if (shape_to_step_ratio_inv <= 16 && field_shape < 2 ** 3.5)
+            console.warn("Field shape is small for its steps.", { shape_to_step_ratio, shape_to_step_ratio_inv, field_shape, field_steps });
+    }
+    let frame_tick_limit = Math.floor((60 * FPS_RESISTANCE) / FPS_MULTIPLIER) || Infinity; // {FPS_RESISTANCE = 0.02} :: {1200 frame_ticks in (35339:40946)ms} || {120 frame_ticks = 4343ms => 1 frame = 36ms approx}
+    {
+        frame_tick_limit = Math.floor(frame_tick_limit * 6); // {1min if 10fps}
+    }
+
+    return {
+        /** The `FlowFieldCanvas` or `FlowFieldSimulation` it belongs to. @type {object} */
+        owner: owner,
+        /** Runtime options, read by setup and every subsystem. Change with `FlowFieldCanvas#configure`. @type {Config} */
+        config: ConfigFn.defaults(),
+        /** The canvas drawn to, or just the size of a headless run. @type {Surface} */
+        canvas: surface,
+        /** Field patterns of this instance only, see `FieldPatterns`. @type {Map<string, PatternEntry>} */
+        pattern_registry: new Map(),
+        /** Palettes of this instance only, see `Palettes`. @type {Map<string, Palette>} */
+        palette_registry: new Map(),
+        /** @type {Set<() => void>} */
+        pattern_listeners: new Set(),
+        /** @type {Set<() => void>} */
+        palette_listeners: new Set(),
+        /** Seed of the run. Random unless set by `seed=` in the URL, see `UrlStateFn`. @type {number} */
+        seed: seed,
+        /** The PRNG every random call of the particles draws from. @type {Random} */
+        rng: new Random(seed),
+        /** PRNG of pattern shuffles, a separate stream of `seed`, see `RNG_STREAM_SHUFFLE`. @type {Random} */
+        shuffle_rng: new Random(Random.stream_seed(seed, RNG_STREAM_SHUFFLE)),
+        /** Number of simulated particles. @type {number} */
+        particle_count: PARTICLE_COUNT_DEFAULT,
+        /** Speed multiplier applied to every particle on top of its own `speed`. @type {number} */
+        particle_speed: 1.0,
+        /** Interpolation factor of particle steps, see `ParticleFn.update_particle_via_field`. @type {number} */
+        particle_t_interpolate: 0.95,
+        /** @type {EFieldViews} */
+        field_view: E_FIELD_VIEWS.ARROWS,
+        /** @type {EBoundaryModes} */
+        boundary_mode: E_BOUNDARY_MODES.WRAP,
+        /** @type {Obstacle[]} */
+        obstacles: [],
+        /** Whether the flow bends around obstacles. Otherwise particles only collide with them. @type {boolean} */
+        obstacles_deflect: true,
+        /** @type {EIntegrators} */
+        particle_integrator: E_INTEGRATORS.LERP,
+        /** Fraction of the trails erased each frame. 0 keeps trails forever. @type {number} */
+        trail_fade: 0,
+        /** Name of a registered palette, see `Palettes`. @type {string} */
+        particle_palette: "DEFAULT",
+        /** @type {EColorMappings} */
+        particle_color_by: E_COLOR_MAPPINGS.SOLID,
+        /** `globalCompositeOperation` particles are drawn with, one of `PARTICLE_BLEND_MODES`. @type {string} */
+        particle_blend: "source-over",
+        /** @type {ESpawnStrategies} */
+        spawn_strategy: E_SPAWN_STRATEGIES.UNIFORM_RANDOM,
+        /** @type {Particle[]} */
+        particles: [], // Spawned by `reset_run`, once the surface is sized.
+        /** @type {Map<string,FlowVector>} */
+        closest_points_map: new Map(),
+        /** Active pointer sources by `PointerEvent.pointerId`. @type {Map<number,PointerSource>} */
+        pointer_sources: new Map(),
+        /** @type {EPointerTools} */
+        pointer_tool: E_POINTER_TOOLS.ATTRACTOR,
+        /** @type {EFieldPatterns} */
+        cur_field_pattern: E_FIELD_PATTERNS.SINUSOIDAL,
+        /** @type {boolean} */
+        field_has_arrows: false,
+        /** Whether the field evolves with `frame_tick`, via the time argument of its pattern. @type {boolean} */
+        field_is_animated: false,
+        /** Field time between recomputed keyframes, in seconds. @type {number} */
+        field_keyframe_interval: FIELD_KEYFRAME_INTERVAL_DEFAULT,
+        /** Frame ticks between redraws of the arrow layer while the field is animated. @type {number} */
+        field_arrow_redraw_ticks: FIELD_ARROW_REDRAW_TICKS_DEFAULT,
+        /** @type {EFieldInterpolations} */
+        field_interpolation: E_FIELD_INTERPOLATIONS.NEAREST,
+        /** Number of field shapes. @type {number} */
+        field_shape: field_shape,
+        /** @type {number} */
+        field_steps: field_steps,
+        /** Overrides of the current pattern's default parameters. @type {Record<string, number>} */
+        field_params: {},
+        /** @type {FlowField} */
+        field_instance: new FlowField(field_shape, field_shape, field_steps, E_FIELD_PATTERNS.SINUSOIDAL, {}),
+        /** Shuffle morph in progress, `undefined` otherwise. @type {FieldMorph|undefined} */
+        field_morph: undefined,
+        /** @type {number} */
+        scale: surface.width / (field_shape || 10), // 800 x 800 => 80 x 80, 10 * 1 unit pixel
+        /** @type {number} */
+        canvas_width: surface.width,
+        /** @type {number} */
+        canvas_height: surface.height,
+        /** @type {number} */
+        cell_count: surface.width * surface.height,
+        /** @type {number} */
+        frame_tick: 1,
+        /** @type {number} */
+        frame_tick_limit: frame_tick_limit,
+        /** @type {number} */
+        frame_tick_limit_360deg: 360 / frame_tick_limit,
+        /** @type {Particle|undefined} */
+        closest_point: undefined,
+        /** What the run drew since its last reset, played back by exports, see `RunHistoryFn`. @type {RunHistory} */
+        history: RunHistoryFn.create(),
+    };
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// FUNCTIONS
+
+/**
+ * Advances the simulation by one frame tick, without drawing; `step_frame` in flow_field.js draws it.
+ * @param {FlowField} ff - Flow field.
+ */
+function simulate_tick(ff) {
+    g_context.frame_tick += 1;
+    if (g_context.field_morph !== undefined) {
+        // The target keeps its own time, so an animated field carries on seamlessly once the morph ends.
+        g_context.field_is_animated && FlowFieldFn.advance_time(g_context.field_morph.to, g_context.frame_tick * FIELD_SECONDS_PER_TICK, g_context.field_keyframe_interval);
+        if (FlowFieldFn.step_morph(ff, g_context.field_morph, (g_context.frame_tick - g_context.field_morph.start_tick) / FIELD_MORPH_TICKS)) g_context.field_morph = undefined;
+        g_context.config.lru_cache && g_context.closest_points_map.clear();
+    } else if (g_context.field_is_animated) {
+        FlowFieldFn.advance_time(ff, g_context.frame_tick * FIELD_SECONDS_PER_TICK, g_context.field_keyframe_interval);
+        g_context.config.lru_cache && g_context.closest_points_map.clear(); // Cached vectors are of the previous field time.
+    }
+    ParticleFn.update_particles(g_context.particles, ff);
+}
+
+/**
+ * Restarts the run from its seed on a surface of its current size, without drawing: respawns the particles, and
+ * clears the tick count, the morph, the caches and the run history. `EventHandlerFn.reset_all` wraps it for canvases.
+ */
+function reset_run() {
+    // Restart the sequence, so every reset of the same seed replays the same run.
+    g_context.rng.reseed(g_context.seed);
+    g_context.shuffle_rng.reseed(Random.stream_seed(g_context.seed, RNG_STREAM_SHUFFLE));
+    g_context.particles.length = 0;
+    g_context.particles.push(...ParticleFn.spawn_particles(g_context.particle_count, g_context.spawn_strategy, g_context.canvas.width, g_context.canvas.height, g_context.rng));
+
+    // Following can lead to race conditions or cache miss like phenomenon if not handled properly.
+
+    g_context.scale = g_context.canvas.width / g_context.field_shape;
+
+    g_context.canvas_width = g_context.canvas.width;
+    g_context.canvas_height = g_context.canvas.height;
+
+    g_context.cell_count = g_context.canvas_width * g_context.canvas_height;
+
+    g_context.closest_point = undefined;
+
+    g_context.field_morph = undefined;
+
+    g_context.frame_tick = 1;
+
+    RunHistoryFn.clear();
+
+    g_context.closest_points_map.clear();
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// PUBLIC API
+
+/**
+ * The simulation of `FlowFieldCanvas` without a canvas: no drawing, DOM or animation loop, so it runs under Node.
+ * A run is fully determined by its state and config, so a fixed seed replays the same trajectories.
+ * @example
+ * const sim = new FlowFieldSimulation({ width: 400, height: 400, state: { pattern: "CLOCKWISE", seed: 42, count: 8 } });
+ * sim.step(600);
+ * console.log(sim.particles.map(({ x, y }) => [x, y]));
+ */
+class FlowFieldSimulation {
+    /**
+     * @param {Partial<Surface> & {state?: Partial<SimulationState>, config?: Partial<Config>}} [options] - See
+     *   `FlowFieldCanvas`. The size is in canvas pixels, 800 by 800 by default.
+     */
+    constructor({ width = 800, height = 800, state = {}, config = {} } = {}) {
+        g_contexts.set(this, create_context(this, { width, height }));
+        with_context(this, () => {
+            ConfigFn.override(config, g_context.config);
+            const decoded = UrlStateFn.decode(`?${UrlStateFn.encode({ ...UrlStateFn.capture(), params: {}, ...state })}`, "");
+            if (decoded.errors.length > 0) throw decoded.errors[0];
+            UrlStateFn.apply(decoded.state);
+            g_context.field_instance = new FlowField(g_context.field_shape, g_context.field_shape, g_context.field_steps, g_context.cur_field_pattern, g_context.field_params);
+            reset_run();
+        });
+    }
+
+    /**
+     * Advances `count` frame ticks, stopping early at the tick limit like the animation does.
+     * @param {number} [count=1] @returns {boolean} Whether the tick limit has been passed.
+     */
+    step(count = 1) {
+        if (!Number.isInteger(count) || count < 0) throw new RangeError(`Expected step count to be a non-negative integer. Got ${count}.`);
+        return with_context(this, () => {
+            for (let i = 0; i < count && g_context.frame_tick <= g_context.frame_tick_limit; i++) {
+                simulate_tick(g_context.field_instance);
+                RunHistoryFn.record_frame();
+            }
+            return g_context.frame_tick > g_context.frame_tick_limit;
+        });
+    }
+
+    /** Restarts the run from its seed. */
+    reset() {
+        with_context(this, () => reset_run());
+    }
+
+    /** Switches to a registered field pattern and restarts the run. See `FlowFieldCanvas#setPattern`. @param {string} name @param {Record<string, number>} [params] */
+    setPattern(name, params = {}) {
+        with_context(this, () => {
+            g_context.field_instance = new FlowField(g_context.field_shape, g_context.field_shape, g_context.field_steps, name, params);
+            g_context.cur_field_pattern = name;
+            g_context.field_params = { ...params };
+            reset_run();
+        });
+    }
+
+    /**
+     * Changes some settings of the run, see `FlowFieldCanvas#setState`. Field and run settings restart the run from
+     * its seed; the rest apply from the next tick. @param {Partial<SimulationState>} state
+     */
+    setState(state) {
+        with_context(this, () => {
+            const validated = UrlStateFn.validate(state);
+            /** @param {(keyof SimulationState)[]} keys */
+            const has_any = (keys) => keys.some((key) => validated[key] !== undefined);
+            UrlStateFn.apply(validated);
+            const is_field_changed = has_any(["pattern", "params", "shape", "steps", "interpolation", "animated", "keyframe_interval"]);
+            if (is_field_changed)
+                g_context.field_instance = new FlowField(g_context.field_shape, g_context.field_shape, g_context.field_steps, g_context.cur_field_pattern, g_context.field_params);
+            if (is_field_changed || has_any(["seed", "count", "spawn", "limit"])) reset_run();
+        });
+    }
+
+    /** See `FlowFieldCanvas#registerPattern`. @param {string} name @param {PatternFn} fn @param {Parameters<typeof FieldPatterns.register>[2]} [options] */
+    registerPattern(name, fn, options) {
+        with_context(this, () => FieldPatterns.register(name, fn, options));
+    }
+
+    /** See `FlowFieldCanvas#registerPalette`. @param {string} name @param {Parameters<typeof Palettes.register>[1]} options */
+    registerPalette(name, options) {
+        with_context(this, () => Palettes.register(name, options));
+    }
+
+    /** Overrides runtime options, see `CONFIG_SCHEMA`. @param {Partial<Config>} partial */
+    configure(partial) {
+        with_context(this, () => {
+            ConfigFn.override(partial, g_context.config);
+            if ("lru_cache" in partial) g_context.closest_points_map.clear();
+        });
+    }
+
+    /** @returns {SimulationState} */
+    get state() {
+        return with_context(this, () => UrlStateFn.capture());
+    }
+
+    /** @returns {number} */
+    get frameTick() {
+        return with_context(this, () => g_context.frame_tick);
+    }
+
+    /** See `FlowFieldCanvas#renderData`. @param {"field"|"trajectories"} kind @param {"json"|"csv"} [format="json"] @returns {RenderedFile} */
+    renderData(kind, format = "json") {
+        return with_context(this, () => DataExportFn.render_data(kind, format));
+    }
+
+    /** @returns {Particle[]} Copies of the particles, in spawn order. */
+    get particles() {
+        return with_context(this, () => g_context.particles.map((particle) => Object.assign(Object.create(Particle.prototype), particle)));
+    }
+
+    /** @returns {FlowField} The live field. Treat it as read only. */
+    get field() {
+        return with_context(this, () => g_context.field_instance);
+    }
+
+    /** Releases the run. The instance cannot be used afterwards. */
+    destroy() {
+        g_contexts.delete(this);
+    }
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+// EXPORTS
+
+export {
+    FlowFieldSimulation,
+    FlowField, FlowFieldFn, ImportFn, Particle, ParticleFn, IntegratorFn, BoundaryFn, ObstacleFn, Random, Noise, Utils,
+    FieldPatterns, CompositeFn, Palettes, ConfigFn, CONFIG_SCHEMA,
+    E_FIELD_PATTERNS, E_FIELD_INTERPOLATIONS, E_FIELD_VIEWS, E_INTEGRATORS, E_BOUNDARY_MODES, E_SPAWN_STRATEGIES, E_COLOR_MAPPINGS,
+    // For flow_field.js, which draws the simulation.
+    __DEBUG, PHI, PI_INV, FIELD_SECONDS_PER_TICK, FPS_RESISTANCE, PARTICLE_COUNT_MAX, PARTICLE_GRADIENT_ALPHA,
+    PARTICLE_SPEED_MULTIPLIER_MAX, POINTER_SOURCE_RADIUS,
+    E_POINTER_TOOLS, IMPORTED_PATTERN, FlowVector, FieldVector, Perf, UrlStateFn, RunHistoryFn, DataExportFn,
+    g_contexts, g_context, with_context, current_context, add_listener, create_context, simulate_tick, reset_run,
+};
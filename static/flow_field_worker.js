@@ -0,0 +1,7 @@
+// static/flow_field_worker.js
+
+/** @fileoverview Worker entry of `FlowFieldWorker`. See WORKER in flow_field.js for the message protocol. */
+
+import { WorkerFn } from "./flow_field.js";
+
+WorkerFn.serve(self);
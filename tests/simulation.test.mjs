@@ -0,0 +1,269 @@
+// Headless checks of the simulation core in flow_field_core.js: field patterns, field lookups, integrators, boundaries
+// and seeded runs. Run with `npm test`.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    ConfigFn, FieldPatterns, FlowField, FlowFieldFn, FlowFieldSimulation, IntegratorFn, BoundaryFn, Particle, Random,
+    E_FIELD_PATTERNS, E_FIELD_INTERPOLATIONS, E_INTEGRATORS, E_BOUNDARY_MODES,
+} from "../static/flow_field_core.js";
+
+/** Tolerance of values that only rounding separates from the expected ones. */
+const EPSILON = 1e-9;
+
+/** @param {{u: number, v: number}} actual @param {[number, number]} expected @param {number} [tolerance=EPSILON] */
+function assert_vector(actual, [u, v], tolerance = EPSILON) {
+    assert.ok(Math.abs(actual.u - u) <= tolerance && Math.abs(actual.v - v) <= tolerance,
+        `Expected (${u}, ${v}) within ${tolerance}. Got (${actual.u}, ${actual.v}).`);
+}
+
+/** @param {string} name @param {number} x @param {number} y @param {{params?: Record<string, number>, time?: number, extent?: number}} [options] */
+function sample_pattern(name, x, y, { params = {}, time = 0, extent = 16 } = {}) {
+    return FieldPatterns.get(name).fn(x, y, FieldPatterns.resolve_params(name, params), time, extent);
+}
+
+describe("ConfigFn", () => {
+    it("loads and overrides a config outside an instance", () => {
+        const config = ConfigFn.load_json('{"particle_trail": false}', ConfigFn.defaults());
+        const changes = [];
+        ConfigFn.subscribe((changed) => changes.push(changed), config);
+        ConfigFn.override({ close_point_radius: 3 }, config);
+        assert.equal(config.particle_trail, false);
+        assert.equal(config.close_point_radius, 3);
+        assert.deepEqual(changes, [{ close_point_radius: 3 }]);
+    });
+
+    it("rejects a missing config and invalid keys without writing", () => {
+        assert.throws(() => ConfigFn.override({ particle_trail: false }), TypeError);
+        const config = ConfigFn.defaults();
+        assert.throws(() => ConfigFn.override({ particle_trail: false, nope: 1 }, config), TypeError);
+        assert.equal(config.particle_trail, ConfigFn.defaults().particle_trail);
+    });
+});
+
+describe("Random", () => {
+    it("derives streams that are reproducible and independent of the main sequence", () => {
+        assert.equal(Random.stream_seed(42, 0), 42);
+        assert.equal(Random.stream_seed(42, 1), Random.stream_seed(42, 1));
+        assert.notEqual(Random.stream_seed(42, 1), 42);
+        assert.notEqual(Random.stream_seed(42, 1), Random.stream_seed(43, 1));
+        assert.notEqual(new Random(Random.stream_seed(42, 1)).next(), new Random(42).next());
+    });
+});
+
+describe("FieldPatterns", () => {
+    /**
+     * Known vectors of every built-in pattern with its default params, as `[x, y, [u, v], options]`. The noise
+     * patterns are 0 on their lattice, so they point along +x at the origin; elsewhere they are pinned to the values
+     * of this implementation, so a change to the noise shows up here.
+     * @type {Record<string, [number, number, [number, number], Parameters<typeof sample_pattern>[3]?][]>}
+     */
+    const known_vectors = {
+        [E_FIELD_PATTERNS.SINUSOIDAL]: [[0, 0, [0, 1]], [Math.PI / 2, 0, [0, 0]], [0, 0, [1, 0], { time: Math.PI }]],
+        [E_FIELD_PATTERNS.INVERSE_SINUSOIDAL]: [[0, 0, [1, 0]], [0, Math.PI / 2, [1, 1]]],
+        [E_FIELD_PATTERNS.ANTI_CLOCKWISE]: [[0, 0, [0, 0]], [1, 4, [2, 1], { params: { scale: 1 } }]],
+        [E_FIELD_PATTERNS.CLOCKWISE]: [[0, 0, [0, 0]], [1, 4, [-2, 1], { params: { scale: 1 } }]],
+        [E_FIELD_PATTERNS.PERLIN]: [[0, 0, [1, 0]], [1.5, 2.5, [-0.9123049575266566, 0.40951149492082056]]],
+        [E_FIELD_PATTERNS.SIMPLEX]: [[0, 0, [1, 0]], [1.5, 2.5, [0.8316559029465265, 0.5552913281280356]]],
+        [E_FIELD_PATTERNS.FBM]: [[0, 0, [1, 0]], [1.5, 2.5, [-0.452247921027822, 0.8918922681165101]]],
+        [E_FIELD_PATTERNS.CURL_NOISE]: [[1.5, 2.5, [-0.5252379808857415, 0.02797044541779145]]],
+        // The point flows peak at `strength` one core radius from the center, which is (8, 8) on an extent of 16.
+        [E_FIELD_PATTERNS.SOURCE]: [[8, 8, [0, 0]], [9.6, 8, [1, 0]]],
+        [E_FIELD_PATTERNS.SINK]: [[8, 8, [0, 0]], [9.6, 8, [-1, 0]]],
+        [E_FIELD_PATTERNS.VORTEX]: [[8, 8, [0, 0]], [9.6, 8, [0, 1]]],
+        [E_FIELD_PATTERNS.UNIFORM]: [[3, 7, [1, 0]], [3, 7, [0, 2], { params: { speed: 2, angle: Math.PI / 2 } }]],
+    };
+
+    it("covers every built-in pattern", () => {
+        assert.deepEqual(Object.keys(known_vectors).sort(), Object.values(E_FIELD_PATTERNS).sort());
+    });
+
+    for (const [name, cases] of Object.entries(known_vectors)) {
+        it(`samples ${name} at known points`, () => {
+            for (const [x, y, expected, options] of cases) assert_vector(sample_pattern(name, x, y, options), expected);
+        });
+    }
+
+    it("rejects unknown patterns and out of range params", () => {
+        assert.throws(() => FieldPatterns.get("NOPE"), TypeError);
+        assert.throws(() => FieldPatterns.resolve_params(E_FIELD_PATTERNS.PERLIN, { nope: 1 }), TypeError);
+        assert.throws(() => FieldPatterns.resolve_params(E_FIELD_PATTERNS.SINUSOIDAL, { amplitude: -1 }), RangeError);
+    });
+});
+
+describe("FlowFieldFn.lookup", () => {
+    // A quadratic in x tells the interpolations apart between nodes; the grid step is 1 field unit.
+    FieldPatterns.register("TEST_QUADRATIC", (x, y) => ({ u: x * x, v: y }));
+    const ff = new FlowField(16, 16, 16, "TEST_QUADRATIC");
+
+    for (const interpolation of Object.values(E_FIELD_INTERPOLATIONS)) {
+        it(`returns the node vector at a node with ${interpolation}`, () => {
+            assert_vector(FlowFieldFn.lookup(ff, 3, 5, interpolation), [9, 5]);
+            assert_vector(FlowFieldFn.lookup(ff, 0, 0, interpolation), [0, 0]);
+        });
+    }
+
+    it("returns the closest node between nodes with NEAREST", () => {
+        assert_vector(FlowFieldFn.lookup(ff, 3.4, 5.25, E_FIELD_INTERPOLATIONS.NEAREST), [9, 5]);
+        assert_vector(FlowFieldFn.lookup(ff, 3.6, 5.25, E_FIELD_INTERPOLATIONS.NEAREST), [16, 5]);
+    });
+
+    it("interpolates linearly between nodes with BILINEAR", () => {
+        assert_vector(FlowFieldFn.lookup(ff, 3.5, 5.25, E_FIELD_INTERPOLATIONS.BILINEAR), [(9 + 16) / 2, 5.25]);
+    });
+
+    it("follows the quadratic between nodes with BICUBIC", () => {
+        assert_vector(FlowFieldFn.lookup(ff, 3.5, 5.25, E_FIELD_INTERPOLATIONS.BICUBIC), [3.5 * 3.5, 5.25]);
+    });
+
+    it("clamps positions outside the grid to its edge", () => {
+        for (const interpolation of Object.values(E_FIELD_INTERPOLATIONS)) assert_vector(FlowFieldFn.lookup(ff, -4, -4, interpolation), [0, 0]);
+    });
+
+    it("rejects unknown interpolations", () => {
+        assert.throws(() => FlowFieldFn.lookup(ff, 1, 1, "CUBIC"), TypeError);
+    });
+});
+
+describe("IntegratorFn.step", () => {
+    // Rigid rotation by `OMEGA` radians per tick, so a point at (1, 0) moves to (cos OMEGA, sin OMEGA) in one tick.
+    const OMEGA = 0.1;
+    /** @type {(x: number, y: number) => {u: number, v: number}} */
+    const rotation = (x, y) => ({ u: -OMEGA * y, v: OMEGA * x });
+    /** @type {[number, number]} */
+    const exact = [Math.cos(OMEGA) - 1, Math.sin(OMEGA)];
+
+    it("takes the velocity at the start with EULER", () => {
+        assert_vector(IntegratorFn.step(E_INTEGRATORS.EULER, 1, 0, rotation), [0, OMEGA]);
+    });
+
+    it("takes the velocity at the half step with MIDPOINT", () => {
+        assert_vector(IntegratorFn.step(E_INTEGRATORS.MIDPOINT, 1, 0, rotation), [-OMEGA * OMEGA / 2, OMEGA]);
+    });
+
+    it("matches the exact displacement to fifth order with RK4", () => {
+        assert_vector(IntegratorFn.step(E_INTEGRATORS.RK4, 1, 0, rotation), exact, OMEGA ** 5);
+    });
+
+    it("matches the exact displacement within its tolerance with RK45", () => {
+        assert_vector(IntegratorFn.step(E_INTEGRATORS.RK45, 1, 0, rotation), exact, 1e-6);
+    });
+
+    it("rejects LERP, which needs the field itself", () => {
+        assert.throws(() => IntegratorFn.step(E_INTEGRATORS.LERP, 1, 0, rotation), TypeError);
+    });
+});
+
+describe("BoundaryFn.apply", () => {
+    const WIDTH = 200, HEIGHT = 100;
+    /** @param {number} x @param {number} y @param {EBoundaryModes} mode @returns {[number, number]} */
+    const apply = (x, y, mode) => {
+        const particle = new Particle(x, y, 1, 1);
+        BoundaryFn.apply(particle, mode, undefined, WIDTH, HEIGHT, new Random(1));
+        return [particle.x, particle.y];
+    };
+
+    it("leaves particles on the canvas alone", () => {
+        for (const mode of [E_BOUNDARY_MODES.WRAP, E_BOUNDARY_MODES.REFLECT, E_BOUNDARY_MODES.CLAMP]) {
+            assert.deepEqual(apply(0, 0, mode), [0, 0]);
+            assert.deepEqual(apply(WIDTH, HEIGHT, mode), [WIDTH, HEIGHT]);
+        }
+    });
+
+    it("wraps around to the opposite edge with WRAP", () => {
+        assert.deepEqual(apply(-5, 50, E_BOUNDARY_MODES.WRAP), [195, 50]);
+        assert.deepEqual(apply(205, 50, E_BOUNDARY_MODES.WRAP), [5, 50]);
+        assert.deepEqual(apply(50, -5, E_BOUNDARY_MODES.WRAP), [50, 95]);
+        assert.deepEqual(apply(50, 105, E_BOUNDARY_MODES.WRAP), [50, 5]);
+    });
+
+    it("mirrors the overshoot back in with REFLECT", () => {
+        assert.deepEqual(apply(-5, 50, E_BOUNDARY_MODES.REFLECT), [5, 50]);
+        assert.deepEqual(apply(205, 105, E_BOUNDARY_MODES.REFLECT), [195, 95]);
+        assert.deepEqual(apply(-500, 50, E_BOUNDARY_MODES.REFLECT), [WIDTH, 50]);
+    });
+
+    it("holds particles at the edge with CLAMP", () => {
+        assert.deepEqual(apply(-5, 105, E_BOUNDARY_MODES.CLAMP), [0, HEIGHT]);
+        assert.deepEqual(apply(205, -5, E_BOUNDARY_MODES.CLAMP), [WIDTH, 0]);
+    });
+
+    it("rejects unknown modes", () => {
+        assert.throws(() => apply(-5, 50, "BOUNCE"), TypeError);
+    });
+
+    /** Runs particles through a uniform flow to the right, so each of them crosses the right edge. @param {EBoundaryModes} boundary */
+    const run_through_edge = (boundary) => {
+        const sim = new FlowFieldSimulation({ width: WIDTH, height: HEIGHT, state: { pattern: E_FIELD_PATTERNS.UNIFORM, boundary, seed: 3, count: 32 } });
+        /** @type {Particle[][]} */
+        const ticks = [];
+        for (let i = 0; i < 300; i++) {
+            sim.step(1);
+            ticks.push(sim.particles);
+        }
+        sim.destroy();
+        return ticks;
+    };
+
+    for (const mode of [E_BOUNDARY_MODES.RESPAWN, E_BOUNDARY_MODES.INFLOW]) {
+        it(`keeps particles crossing an edge on the canvas with ${mode}`, () => {
+            for (const particles of run_through_edge(mode))
+                for (const { x, y } of particles) assert.ok(x >= 0 && x <= WIDTH && y >= 0 && y <= HEIGHT, `Expected (${x}, ${y}) on the canvas.`);
+        });
+    }
+
+    it("brings particles back in on the upwind edge with INFLOW", () => {
+        const entered = run_through_edge(E_BOUNDARY_MODES.INFLOW).flat().filter(({ x }) => x === 0);
+        assert.ok(entered.length > 0, "Expected particles to come back in at x = 0.");
+    });
+});
+
+describe("FlowFieldSimulation", () => {
+    const options = { width: 400, height: 400, state: { pattern: E_FIELD_PATTERNS.CLOCKWISE, seed: 42, count: 4, integrator: E_INTEGRATORS.RK4 } };
+    /** Positions after 120 ticks of `options`. Update them only for a deliberate change of the simulation. */
+    const golden_positions = [
+        [148.4880509097236, 265.23365729521856],
+        [229.9027064471533, 372.68896962671744],
+        [3.56356896286632, 236.07689150641738],
+        [18.50676321708496, 293.0163464417152],
+    ];
+
+    it("reproduces the golden positions of a fixed seed", () => {
+        const sim = new FlowFieldSimulation(options);
+        sim.step(120);
+        assert.equal(sim.frameTick, 121);
+        sim.particles.forEach(({ x, y }, k) => assert_vector({ u: x, v: y }, golden_positions[k]));
+        sim.destroy();
+    });
+
+    it("replays the same run after a reset", () => {
+        const sim = new FlowFieldSimulation(options);
+        sim.step(60);
+        const first = sim.particles.map(({ x, y }) => [x, y]);
+        sim.reset();
+        sim.step(60);
+        assert.deepEqual(sim.particles.map(({ x, y }) => [x, y]), first);
+        sim.destroy();
+    });
+
+    it("exports trajectories as simplified vertices of the whole run", async () => {
+        const sim = new FlowFieldSimulation(options);
+        sim.step(120);
+        const { blob, notice } = sim.renderData("trajectories", "json");
+        const { trajectories } = JSON.parse(await blob.text());
+        const vertices = trajectories.reduce((sum, { xs }) => sum + xs.length, 0);
+        assert.equal(notice, undefined);
+        assert.ok(vertices < 4 * 120, `Expected fewer vertices than recorded ticks. Got ${vertices}.`);
+        // Every step records the tick it advanced to, so the first one recorded is 2.
+        assert.equal(Math.min(...trajectories.map(({ ticks }) => ticks[0])), 2);
+        assert.equal(Math.max(...trajectories.map(({ ticks }) => ticks.at(-1))), sim.frameTick);
+        sim.destroy();
+    });
+
+    it("is re-exported unchanged by the canvas module", async () => {
+        const canvas_module = await import("../static/flow_field.js");
+        assert.equal(canvas_module.FlowFieldSimulation, FlowFieldSimulation);
+        assert.equal(canvas_module.FieldPatterns, FieldPatterns);
+    });
+});